@@ -1,55 +1,201 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import { DragDropContext } from "@hello-pangea/dnd";
 import { KanbanColumn } from "./components/KanbanColumn";
 import { ExportDropdown } from "./components/ExportDropdown";
+import { HtmlDropZone } from "./components/HtmlDropZone";
+import { SessionHistory } from "./components/SessionHistory";
+import { BoardSwitcher } from "./components/BoardSwitcher";
+import { BoardToolbar } from "./components/BoardToolbar";
+import { CategoryEditor } from "./components/CategoryEditor";
+import { ReviewQueue } from "./components/ReviewQueue";
+import { Dashboard } from "./components/Dashboard";
 import { useKanbanData } from "./hooks/useKanbanData";
-import { classifyMessages, getAvailableModels } from "./services/gemini";
-import { Brain, RotateCcw, Loader2, Settings, Link } from "lucide-react";
+import { useBoards } from "./hooks/useBoards";
+import { useSessionWatch } from "./hooks/useSessionWatch";
+import { useNow } from "./hooks/useNow";
+import { useUndoShortcuts } from "./hooks/useUndoShortcuts";
+import {
+  applyViewToColumns,
+  getVisibleColumnIds,
+  spansSeveralDays,
+  viewFromSearch,
+  viewToSearch,
+} from "./utils/boardView";
+import { needsReview } from "./utils/review";
+import { API_URL } from "./config";
+import { getAvailableModels, getClassifierInfo } from "./services/classify";
+import { useClassificationRun } from "./hooks/useClassificationRun";
+import {
+  startScrapeJob,
+  waitForScrapeJob,
+  cancelScrapeJob,
+} from "./services/scrapeJobs";
+import {
+  Brain,
+  RotateCcw,
+  Loader2,
+  Settings,
+  Link,
+  Radio,
+  Square,
+  Tags,
+  Play,
+  ClipboardCheck,
+  Undo2,
+  Redo2,
+} from "lucide-react";
+
+// Hand-placed cards sent with each AI request as few-shot examples
+const MAX_PROMPT_EXAMPLES = 20;
+
+// What to ask for when a gated session's join flow needs more than the URL
+const CREDENTIAL_PROMPTS = {
+  PIN_REQUIRED: { key: "pin", label: "This session needs a session ID or PIN:" },
+  PASSWORD_REQUIRED: { key: "password", label: "This session needs a password:" },
+  NAME_REQUIRED: { key: "name", label: "This session asks for your name:" },
+};
 
 function App() {
+  const {
+    boards,
+    activeBoardId,
+    selectBoard,
+    createBoard,
+    duplicateBoard,
+    renameBoard,
+    archiveBoard,
+    deleteBoard,
+  } = useBoards();
   const {
     columns,
     columnOrder,
     loading,
     moveCard,
     updateCategoryForIds,
+    reviewCard,
+    unlockCard,
+    mergeCards,
+    splitCard,
+    separateCard,
+    examples,
+    addCategory,
+    updateCategory,
+    deleteCategory,
+    moveCategory,
     resetData,
     addMessages,
+    importMessages,
+    updateLikes,
+    undo,
+    redo,
+    undoLabel,
+    redoLabel,
     rawData,
-  } = useKanbanData();
-  const [apiKey, setApiKey] = useState(
-    import.meta.env.VITE_GEMINI_API_KEY || ""
-  );
+  } = useKanbanData(activeBoardId);
+  useUndoShortcuts({ onUndo: undo, onRedo: redo });
+  // The AI provider and its key live on the server; an empty model means
+  // the server's configured one
+  const [classifierInfo, setClassifierInfo] = useState(null);
   const [selectedModel, setSelectedModel] = useState(
-    localStorage.getItem("gemini_model") || "gemini-3-pro-preview",
+    localStorage.getItem("ai_model") || "",
   );
   const [availableModels, setAvailableModels] = useState([]);
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [showKeyInput, setShowKeyInput] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showCategories, setShowCategories] = useState(false);
+  const [showReview, setShowReview] = useState(false);
+  // "board" or "dashboard"
+  const [tab, setTab] = useState("board");
   const [checkingModels, setCheckingModels] = useState(false);
 
   // URL Input State
   const [vevoxUrl, setVevoxUrl] = useState("");
   const [fetchingData, setFetchingData] = useState(false);
+  const [scrapeJob, setScrapeJob] = useState(null);
+  const [parsingFile, setParsingFile] = useState(false);
+
+  // The board open now: a fetch or parse that finishes after a switch
+  // belongs to the board it started on, and is dropped
+  const openBoardRef = useRef(activeBoardId);
+  useEffect(() => {
+    openBoardRef.current = activeBoardId;
+  });
+
+  // Live watch: merge streamed messages and like counts into the board
+  const { watchUrl, status: watchStatus, startWatching, stopWatching } =
+    useSessionWatch({
+      onSnapshot: (data) => addMessages(data.messages),
+      onMessages: addMessages,
+      onLikes: updateLikes,
+      onError: (message, fatal) => {
+        console.error("Watch error:", message);
+        if (fatal) alert("Error watching session: " + message);
+      },
+    });
+
+  const handleToggleWatch = () => {
+    if (watchUrl) {
+      stopWatching();
+      return;
+    }
+    if (!vevoxUrl) {
+      alert("Please enter a Vevox URL");
+      return;
+    }
+    startWatching(vevoxUrl);
+  };
+
+  const now = useNow();
+
+  // Search, filters and sort order of the cards on screen (and in
+  // exports), kept in the URL so a filtered board can be bookmarked
+  const [view, setView] = useState(() =>
+    viewFromSearch(window.location.search),
+  );
+  useEffect(() => {
+    const search = viewToSearch(view);
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`,
+    );
+  }, [view]);
+  // Memoized so each column only looks for near-duplicates when its cards
+  // change
+  const displayedColumns = useMemo(
+    () => applyViewToColumns(columns, view),
+    [columns, view],
+  );
+  const visibleColumnOrder = getVisibleColumnIds(columnOrder, view);
+  // Cards show their date too when the board spans several days
+  const showDates = useMemo(() => spansSeveralDays(columns), [columns]);
+  const countItems = (cols, order) =>
+    order.reduce((sum, columnId) => sum + cols[columnId].items.length, 0);
 
   const onDragEnd = (result) => {
-    const { destination, source } = result;
-    moveCard(source, destination);
+    const { destination, source, draggableId } = result;
+    moveCard(source, destination, draggableId);
+  };
+
+  const handleToggleSettings = async () => {
+    const open = !showSettings;
+    setShowSettings(open);
+    if (!open) return;
+    try {
+      setClassifierInfo(await getClassifierInfo());
+    } catch (error) {
+      console.error("Error loading AI settings:", error);
+      setClassifierInfo(null);
+    }
   };
 
   const handleFetchModels = async () => {
-    if (!apiKey) return;
     setCheckingModels(true);
-    const models = await getAvailableModels(apiKey);
-    setAvailableModels(models);
-    setCheckingModels(false);
-
-    const hasGemini3 = models.find(
-      (m) =>
-        m.name.includes("gemini-3") || m.name.includes("gemini-3-pro-preview"),
-    );
-    if (hasGemini3) {
-      setSelectedModel(hasGemini3.name.replace("models/", ""));
+    try {
+      setAvailableModels(await getAvailableModels());
+    } catch (error) {
+      alert("Error fetching models: " + error.message);
+    } finally {
+      setCheckingModels(false);
     }
   };
 
@@ -60,71 +206,198 @@ function App() {
     }
 
     setFetchingData(true);
+    const boardId = activeBoardId;
+    const leftBoard = () => openBoardRef.current !== boardId;
+    const credentials = {};
+    try {
+      // Gated sessions: ask for what the join flow needs and try again
+      for (;;) {
+        try {
+          const job = await startScrapeJob(vevoxUrl, credentials);
+          setScrapeJob(job);
+          // Switched boards while the job was starting
+          if (leftBoard()) {
+            await cancelScrapeJob(job.id);
+            return;
+          }
+          const data = await waitForScrapeJob(job.id, setScrapeJob);
+          if (leftBoard()) return;
+
+          if (applyParsedData(data)) {
+            setVevoxUrl(""); // Clear input
+          }
+          break;
+        } catch (error) {
+          const field = CREDENTIAL_PROMPTS[error.code];
+          if (!field || credentials[field.key] || leftBoard()) throw error;
+          const value = prompt(field.label);
+          if (!value) return;
+          credentials[field.key] = value;
+        }
+      }
+    } catch (error) {
+      // Leaving the board cancels its fetch, which needs no alert
+      if (leftBoard()) return;
+      alert(
+        error.code === "INVALID_CREDENTIALS" || error.code === "ACCESS_DENIED"
+          ? "Access denied: " + error.message
+          : "Error fetching data: " + error.message,
+      );
+    } finally {
+      setFetchingData(false);
+      setScrapeJob(null);
+    }
+  };
+
+  const handleCancelScrape = async () => {
+    if (!scrapeJob) return;
+    try {
+      await cancelScrapeJob(scrapeJob.id);
+    } catch (error) {
+      console.error("Error cancelling scrape:", error);
+    }
+  };
+
+  // Send a saved Vevox page to the server for offline parsing.
+  // A URL in the input is passed along so message IDs match live scrapes.
+  const handleParseFile = async (file) => {
+    setParsingFile(true);
+    const boardId = activeBoardId;
     try {
-      const response = await fetch("http://localhost:3000/api/scrape", {
+      const html = await file.text();
+      const query = vevoxUrl ? `?source=${encodeURIComponent(vevoxUrl)}` : "";
+      const response = await fetch(`${API_URL}/parse${query}`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ url: vevoxUrl }),
+        headers: { "Content-Type": "text/html" },
+        body: html,
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || "Failed to fetch");
+        throw new Error(data.error || "Failed to parse");
       }
 
-      if (data.messages && data.messages.length > 0) {
-        addMessages(data.messages);
-        setVevoxUrl(""); // Clear input
-        alert(`Successfully loaded ${data.totalMessages} messages!`);
-      } else {
-        alert("No messages found or empty response.");
-      }
+      if (openBoardRef.current !== boardId) return;
+      applyParsedData(data);
     } catch (error) {
-      alert("Error fetching data: " + error.message);
+      alert("Error parsing file: " + error.message);
     } finally {
-      setFetchingData(false);
+      setParsingFile(false);
     }
   };
 
-  const handleCategorize = async () => {
-    if (!apiKey) {
-      setShowKeyInput(true);
-      return;
+  const applyParsedData = (data) => {
+    if (data.messages && data.messages.length > 0) {
+      // Snapshots from history carry the time their likes were read
+      importMessages(data.messages, data.takenAt || data.updatedAt);
+      alert(`Successfully loaded ${data.totalMessages} messages!`);
+      return true;
     }
+    alert("No messages found or empty response.");
+    return false;
+  };
 
-    localStorage.setItem("gemini_model", selectedModel);
+  // AI runs go in chunks; each chunk's result lands on the board right away
+  const {
+    progress: classifyProgress,
+    pendingIds: classifyPendingIds,
+    start: startClassification,
+    resume: resumeClassification,
+    cancel: cancelClassification,
+  } = useClassificationRun({
+    boardId: activeBoardId,
+    onChunk: updateCategoryForIds,
+  });
 
-    setIsProcessing(true);
-    try {
-      const allMessages = Object.values(columns).flatMap((col) => col.items);
-      const categories = Object.values(columns).map((c) => ({
-        id: c.id,
-        title: c.title,
-      }));
-
-      if (allMessages.length === 0) {
-        alert("No messages to categorize!");
-        setIsProcessing(false);
-        return;
-      }
+  // The live watch, a running fetch and a running AI run belong to the
+  // board they started on, so they stop before another board opens
+  const leaveBoard = () => {
+    if (watchUrl) stopWatching();
+    if (scrapeJob) handleCancelScrape();
+    cancelClassification();
+  };
+  const switchingBoard =
+    (change) =>
+    (...args) => {
+      leaveBoard();
+      return change(...args);
+    };
+  // Archiving or deleting only leaves the board if it is the open one
+  const leavingBoard =
+    (change) =>
+    (id, ...args) => {
+      if (id === activeBoardId) leaveBoard();
+      return change(id, ...args);
+    };
+
+  const allMessages = Object.values(columns).flatMap((col) => col.items);
+  const boardIds = new Set(allMessages.map((msg) => String(msg.id)));
+  const resumableCount = classifyPendingIds.filter((id) =>
+    boardIds.has(id),
+  ).length;
+  const reviewCount = allMessages.filter(needsReview).length;
+
+  // Cards placed by hand keep their column
+  const unlockedMessages = allMessages.filter((msg) => !msg.locked);
+
+  const runClassification = async (run) => {
+    // The descriptions tell the AI what each category is about, and the
+    // latest manual placements show it how this team uses them
+    const categories = columnOrder.map((columnId) => ({
+      id: columns[columnId].id,
+      title: columns[columnId].title,
+      description: columns[columnId].description,
+    }));
+    const fewShot = examples
+      .filter((example) => columns[example.category])
+      .slice(-MAX_PROMPT_EXAMPLES)
+      .map(({ text, category }) => ({ text, category }));
 
-      const mapping = await classifyMessages(
-        apiKey,
-        allMessages,
+    try {
+      const { classified, unclassified } = await run({
         categories,
-        selectedModel,
+        examples: fewShot,
+      });
+      if (unclassified > 0) {
+        alert(
+          `Categorized ${classified} messages; ${unclassified} could not be classified. Click "Resume" to try them again.`,
+        );
+      } else {
+        alert("Categorization complete!");
+      }
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      alert(
+        `Error categorizing: ${error.message}\nMessages done so far are kept; click "Resume" to continue.`,
       );
+    }
+  };
 
-      updateCategoryForIds(mapping);
-      alert("Categorization complete!");
-    } catch (error) {
-      alert("Error categorizing: " + error.message);
-    } finally {
-      setIsProcessing(false);
+  const handleCategorize = () => {
+    if (classifyProgress) {
+      cancelClassification();
+      return;
+    }
+    if (unlockedMessages.length === 0) {
+      alert(
+        allMessages.length === 0
+          ? "No messages to categorize!"
+          : "Every card was placed by hand; unlock some to categorize them.",
+      );
+      return;
     }
+    localStorage.setItem("ai_model", selectedModel);
+    runClassification((context) =>
+      startClassification(unlockedMessages, context, selectedModel),
+    );
   };
 
+  const handleResumeCategorize = () =>
+    runClassification((context) =>
+      resumeClassification(unlockedMessages, context),
+    );
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-screen">
@@ -146,61 +419,106 @@ function App() {
               </span>
             </h1>
 
-            <div className="flex items-center gap-2 w-full md:w-[400px]">
+            <BoardSwitcher
+              boards={boards}
+              activeBoardId={activeBoardId}
+              onSelect={switchingBoard(selectBoard)}
+              onCreate={switchingBoard(createBoard)}
+              onDuplicate={switchingBoard(duplicateBoard)}
+              onRename={renameBoard}
+              onArchive={leavingBoard(archiveBoard)}
+              onDelete={leavingBoard(deleteBoard)}
+            />
+
+            <div className="flex items-center gap-2 w-full md:w-[600px]">
               <input
                 type="text"
-                placeholder="Paste Vevox URL here..."
+                placeholder="Paste Vevox, Slido or Mentimeter URL..."
                 value={vevoxUrl}
                 onChange={(e) => setVevoxUrl(e.target.value)}
                 className="flex-1 border border-gray-300 rounded px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
               <button
-                onClick={handleScrape}
-                disabled={fetchingData}
+                onClick={fetchingData ? handleCancelScrape : handleScrape}
                 className="bg-blue-600 text-white px-3 py-1.5 rounded text-sm font-medium hover:bg-blue-700 disabled:bg-blue-300 flex items-center gap-1 whitespace-nowrap"
+                title={
+                  scrapeJob
+                    ? `${scrapeJob.progress.stage} (click to cancel)`
+                    : "Fetch messages from the URL"
+                }
               >
                 {fetchingData ? (
                   <Loader2 className="animate-spin" size={16} />
                 ) : (
                   <Link size={16} />
                 )}
-                Fetch
+                {fetchingData
+                  ? `Cancel ${scrapeJob ? `${scrapeJob.progress.percent}%` : ""}`
+                  : "Fetch"}
+              </button>
+              <button
+                onClick={handleToggleWatch}
+                className={`px-3 py-1.5 rounded text-sm font-medium flex items-center gap-1 whitespace-nowrap border ${
+                  watchUrl
+                    ? "border-red-200 text-red-600 hover:bg-red-50"
+                    : "border-gray-300 text-gray-600 hover:bg-gray-100"
+                }`}
+                title={
+                  watchUrl
+                    ? `Watching ${watchUrl} (${watchStatus})`
+                    : "Keep the board in sync with a live session"
+                }
+              >
+                {!watchUrl ? (
+                  <Radio size={16} />
+                ) : watchStatus === "live" ? (
+                  <Square size={16} />
+                ) : (
+                  <Loader2 className="animate-spin" size={16} />
+                )}
+                {watchUrl ? "Stop" : "Watch"}
               </button>
+              <HtmlDropZone onFile={handleParseFile} disabled={parsingFile} />
             </div>
           </div>
 
           <div className="flex items-center gap-4">
             <button
-              onClick={() => setShowKeyInput(!showKeyInput)}
+              onClick={() => setShowCategories(true)}
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded"
+              title="Edit categories"
+            >
+              <Tags size={20} />
+            </button>
+
+            <button
+              onClick={handleToggleSettings}
               className="p-2 text-gray-600 hover:bg-gray-100 rounded"
               title="AI Settings"
             >
               <Settings size={20} />
             </button>
 
-            {showKeyInput && (
+            {showSettings && (
               <div className="absolute top-16 right-4 bg-white p-4 shadow-xl rounded-lg border border-gray-200 z-50 w-80">
-                <h3 className="font-semibold mb-2">Gemini Settings</h3>
-                <div className="mb-3">
-                  <label className="block text-xs text-gray-500 mb-1">
-                    API Key
-                  </label>
-                  <input
-                    type="password"
-                    placeholder="Paste API Key"
-                    value={apiKey}
-                    onChange={(e) => setApiKey(e.target.value)}
-                    className="border rounded px-2 py-1 text-sm w-full mb-2"
-                  />
-                  <button
-                    onClick={handleFetchModels}
-                    disabled={!apiKey || checkingModels}
-                    className="text-xs bg-blue-50 text-blue-600 px-2 py-1 rounded hover:bg-blue-100 w-full"
-                  >
-                    {checkingModels
-                      ? "Fetching Models..."
-                      : "Check Available Models"}
-                  </button>
+                <h3 className="font-semibold mb-2">AI Settings</h3>
+                <div className="mb-3 text-xs text-gray-500">
+                  {!classifierInfo ? (
+                    "Could not reach the server."
+                  ) : classifierInfo.configured ? (
+                    <>
+                      Provider:{" "}
+                      <span className="font-medium text-gray-700">
+                        {classifierInfo.provider}
+                      </span>
+                      . The API key is set on the server.
+                    </>
+                  ) : (
+                    <span className="text-red-600">
+                      {classifierInfo.provider} is not configured. Set
+                      AI_API_KEY (or AI_PROVIDER / AI_BASE_URL) on the server.
+                    </span>
+                  )}
                 </div>
 
                 <div className="mb-3">
@@ -213,54 +531,113 @@ function App() {
                       onChange={(e) => setSelectedModel(e.target.value)}
                       className="border rounded px-2 py-1 text-sm w-full"
                     >
-                      {availableModels
-                        .filter((m) => m.name.includes("gemini"))
-                        .map((m) => {
-                          const shortName = m.name.replace("models/", "");
-                          return (
-                            <option key={m.name} value={shortName}>
-                              {shortName}
-                            </option>
-                          );
-                        })}
+                      <option value="">
+                        Server default ({classifierInfo?.model})
+                      </option>
+                      {availableModels.map((model) => (
+                        <option key={model} value={model}>
+                          {model}
+                        </option>
+                      ))}
                     </select>
                   ) : (
                     <input
                       type="text"
                       value={selectedModel}
                       onChange={(e) => setSelectedModel(e.target.value)}
-                      placeholder="e.g. gemini-3-pro-preview"
+                      placeholder={
+                        classifierInfo
+                          ? `Server default (${classifierInfo.model})`
+                          : "Server default"
+                      }
                       className="border rounded px-2 py-1 text-sm w-full"
                     />
                   )}
+                  <button
+                    onClick={handleFetchModels}
+                    disabled={!classifierInfo?.configured || checkingModels}
+                    className="text-xs bg-blue-50 text-blue-600 px-2 py-1 rounded hover:bg-blue-100 w-full mt-2"
+                  >
+                    {checkingModels
+                      ? "Fetching Models..."
+                      : "Check Available Models"}
+                  </button>
                 </div>
               </div>
             )}
 
             <button
               onClick={handleCategorize}
-              disabled={isProcessing}
               className={`flex items-center gap-2 px-3 py-1.5 rounded text-sm font-medium text-white transition-colors
-                ${isProcessing ? "bg-purple-400" : "bg-purple-600 hover:bg-purple-700"}`}
+                ${classifyProgress ? "bg-purple-400" : "bg-purple-600 hover:bg-purple-700"}`}
+              title={classifyProgress ? "Click to cancel" : "Categorize all messages"}
             >
-              {isProcessing ? (
+              {classifyProgress ? (
                 <Loader2 className="animate-spin" size={16} />
               ) : (
                 <Brain size={16} />
               )}
-              {isProcessing ? "Thinking..." : "AI Categorize"}
+              {classifyProgress
+                ? `Categorizing ${classifyProgress.done}/${classifyProgress.total}`
+                : "AI Categorize"}
             </button>
 
+            {!classifyProgress && resumableCount > 0 && (
+              <button
+                onClick={handleResumeCategorize}
+                className="flex items-center gap-1 px-3 py-1.5 rounded text-sm font-medium text-purple-700 border border-purple-200 hover:bg-purple-50"
+                title="Categorize the messages the last run did not finish"
+              >
+                <Play size={14} />
+                Resume ({resumableCount})
+              </button>
+            )}
+
+            {reviewCount > 0 && (
+              <button
+                onClick={() => setShowReview(true)}
+                className="flex items-center gap-1 px-3 py-1.5 rounded text-sm font-medium text-amber-700 border border-amber-200 hover:bg-amber-50"
+                title="Check low-confidence and contested AI categories"
+              >
+                <ClipboardCheck size={14} />
+                Review ({reviewCount})
+              </button>
+            )}
+
+            <SessionHistory onLoad={applyParsedData} />
+
             <ExportDropdown
               columns={columns}
               columnOrder={columnOrder}
               rawData={rawData}
+              view={view}
             />
 
+            <div className="flex items-center">
+              <button
+                onClick={undo}
+                disabled={!undoLabel}
+                className="p-2 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30 disabled:hover:bg-transparent"
+                title={undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : "Nothing to undo"}
+              >
+                <Undo2 size={18} />
+              </button>
+              <button
+                onClick={redo}
+                disabled={!redoLabel}
+                className="p-2 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30 disabled:hover:bg-transparent"
+                title={
+                  redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"
+                }
+              >
+                <Redo2 size={18} />
+              </button>
+            </div>
+
             <button
               onClick={resetData}
               className="flex items-center gap-2 px-3 py-1.5 rounded text-sm font-medium text-red-600 hover:bg-red-50 border border-red-200"
-              title="Clear all data"
+              title="Clear all data on this board"
             >
               <RotateCcw size={16} />
               Reset
@@ -269,13 +646,68 @@ function App() {
         </div>
       </header>
 
+      {showCategories && (
+        <CategoryEditor
+          columns={columns}
+          columnOrder={columnOrder}
+          onAdd={addCategory}
+          onUpdate={updateCategory}
+          onDelete={deleteCategory}
+          onMove={moveCategory}
+          onClose={() => setShowCategories(false)}
+        />
+      )}
+
+      {showReview && (
+        <ReviewQueue
+          columns={columns}
+          columnOrder={columnOrder}
+          onReview={reviewCard}
+          onClose={() => setShowReview(false)}
+        />
+      )}
+
+      <BoardToolbar
+        tab={tab}
+        onTabChange={setTab}
+        view={view}
+        onChange={setView}
+        columns={columns}
+        columnOrder={columnOrder}
+        shownCount={countItems(displayedColumns, visibleColumnOrder)}
+        totalCount={countItems(columns, columnOrder)}
+      />
+
+      {tab === "dashboard" && (
+        <div className="flex-1 overflow-y-auto py-6">
+          <Dashboard
+            columns={displayedColumns}
+            columnOrder={visibleColumnOrder}
+          />
+        </div>
+      )}
+
       {/* Board */}
-      <div className="flex-1 overflow-x-auto overflow-y-hidden py-6">
+      <div
+        className={`flex-1 overflow-x-auto overflow-y-hidden py-6 ${tab === "board" ? "" : "hidden"}`}
+      >
         <DragDropContext onDragEnd={onDragEnd}>
           <div className="flex h-full w-screen pb-4">
-            {columnOrder.map((columnId) => {
-              const column = columns[columnId];
-              return <KanbanColumn key={column.id} column={column} />;
+            {visibleColumnOrder.map((columnId) => {
+              const column = displayedColumns[columnId];
+              return (
+                <KanbanColumn
+                  key={column.id}
+                  column={column}
+                  now={now}
+                  highlight={view.query}
+                  showDates={showDates}
+                  onUnlock={unlockCard}
+                  onMerge={mergeCards}
+                  onSplit={splitCard}
+                  onSeparate={separateCard}
+                />
+              );
             })}
           </div>
         </DragDropContext>
@@ -0,0 +1,159 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  Archive,
+  ArchiveRestore,
+  Check,
+  ChevronDown,
+  ChevronRight,
+  Copy,
+  LayoutGrid,
+  Pencil,
+  Plus,
+  Trash2,
+} from 'lucide-react';
+import { clsx } from 'clsx';
+
+const ActionButton = ({ icon, title, onClick, danger = false }) => {
+  const Icon = icon;
+  return (
+    <button
+      onClick={onClick}
+      className={clsx(
+        'p-1 rounded text-gray-400',
+        danger ? 'hover:text-red-600 hover:bg-red-50' : 'hover:text-gray-700 hover:bg-gray-100'
+      )}
+      title={title}
+    >
+      <Icon size={14} />
+    </button>
+  );
+};
+
+// One board per event or session; archived boards are listed apart
+export const BoardSwitcher = ({
+  boards,
+  activeBoardId,
+  onSelect,
+  onCreate,
+  onDuplicate,
+  onRename,
+  onArchive,
+  onDelete,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const dropdownRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const activeBoard = boards.find((board) => board.id === activeBoardId);
+  const openBoards = boards.filter((board) => !board.archived);
+  const archivedBoards = boards.filter((board) => board.archived);
+
+  const select = (id) => {
+    setIsOpen(false);
+    if (id !== activeBoardId) onSelect(id);
+  };
+
+  const handleCreate = () => {
+    const name = prompt('Name of the new board:', '');
+    if (!name?.trim()) return;
+    setIsOpen(false);
+    onCreate(name.trim());
+  };
+
+  const handleRename = (board) => {
+    const name = prompt('Rename board:', board.name);
+    if (name?.trim() && name.trim() !== board.name) onRename(board.id, name.trim());
+  };
+
+  const handleDelete = (board) => {
+    if (confirm(`Delete the board "${board.name}" with all its cards? This cannot be undone.`)) {
+      onDelete(board.id);
+    }
+  };
+
+  const renderBoard = (board) => (
+    <div
+      key={board.id}
+      className={clsx(
+        'group flex items-center gap-1 px-3 py-1.5',
+        board.id === activeBoardId ? 'bg-blue-50' : 'hover:bg-gray-50'
+      )}
+    >
+      <button
+        onClick={() => select(board.id)}
+        className="flex-1 flex items-center gap-2 text-left min-w-0 text-sm text-gray-700"
+      >
+        <Check size={14} className={clsx('shrink-0', board.id !== activeBoardId && 'invisible')} />
+        <span className="truncate">{board.name}</span>
+      </button>
+      <div className="flex items-center opacity-0 group-hover:opacity-100">
+        {board.archived ? (
+          <ActionButton
+            icon={ArchiveRestore}
+            title="Unarchive"
+            onClick={() => onArchive(board.id, false)}
+          />
+        ) : (
+          <>
+            <ActionButton icon={Pencil} title="Rename" onClick={() => handleRename(board)} />
+            <ActionButton icon={Copy} title="Duplicate" onClick={() => onDuplicate(board.id)} />
+            <ActionButton icon={Archive} title="Archive" onClick={() => onArchive(board.id)} />
+          </>
+        )}
+        <ActionButton icon={Trash2} title="Delete" danger onClick={() => handleDelete(board)} />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 px-3 py-1.5 rounded text-sm font-medium text-gray-700 hover:bg-gray-100 border border-gray-300 max-w-[14rem]"
+        title="Switch board"
+      >
+        <LayoutGrid size={16} className="shrink-0" />
+        <span className="truncate">{activeBoard?.name || 'Boards'}</span>
+        <ChevronDown size={14} className="shrink-0" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute left-0 top-full mt-1 w-72 max-h-[70vh] overflow-y-auto bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-50">
+          {openBoards.map(renderBoard)}
+
+          <button
+            onClick={handleCreate}
+            className="w-full flex items-center gap-2 px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 border-t border-gray-100"
+          >
+            <Plus size={14} />
+            New board
+          </button>
+
+          {archivedBoards.length > 0 && (
+            <div className="border-t border-gray-100">
+              <button
+                onClick={() => setShowArchived(!showArchived)}
+                className="w-full flex items-center gap-1 px-3 py-2 text-xs text-gray-500 hover:text-gray-700"
+              >
+                {showArchived ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                Archived ({archivedBoards.length})
+              </button>
+              {showArchived && archivedBoards.map(renderBoard)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,171 @@
+import React from 'react';
+import { ArrowUpDown, CalendarRange, ChartColumn, Kanban, Search, ThumbsUp, X } from 'lucide-react';
+import { clsx } from 'clsx';
+import { SORT_OPTIONS, SENTIMENT_OPTIONS, DEFAULT_VIEW, isViewActive } from '../utils/boardView';
+import { CATEGORY_COLORS, DEFAULT_COLOR } from '../utils/categories';
+
+const TABS = [
+  { value: 'board', label: 'Board', icon: Kanban },
+  { value: 'dashboard', label: 'Dashboard', icon: ChartColumn },
+];
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((entry) => entry !== value) : [...list, value];
+
+// The filters apply to both tabs
+export const BoardToolbar = ({
+  tab,
+  onTabChange,
+  view,
+  onChange,
+  columns,
+  columnOrder,
+  shownCount,
+  totalCount,
+}) => {
+  const update = (changes) => onChange({ ...view, ...changes });
+
+  return (
+    <div className="bg-white border-t border-gray-100 px-4 py-2">
+      <div className="max-w-7xl mx-auto flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-600">
+        <div className="flex rounded border border-gray-300 overflow-hidden">
+          {TABS.map((option) => {
+            const Icon = option.icon;
+            return (
+              <button
+                key={option.value}
+                onClick={() => onTabChange(option.value)}
+                className={clsx(
+                  'flex items-center gap-1 px-2 py-1 text-sm',
+                  tab === option.value ? 'bg-gray-700 text-white' : 'hover:bg-gray-100'
+                )}
+              >
+                <Icon size={14} />
+                {option.label}
+              </button>
+            );
+          })}
+        </div>
+
+        <label className="flex items-center gap-2">
+          <Search size={14} />
+          <input
+            type="search"
+            value={view.query}
+            onChange={(e) => update({ query: e.target.value })}
+            placeholder="Search messages and authors"
+            className="border border-gray-300 rounded px-2 py-1 text-sm w-56"
+          />
+        </label>
+
+        <label className="flex items-center gap-2">
+          <ArrowUpDown size={14} />
+          <select
+            value={view.sortBy}
+            onChange={(e) => update({ sortBy: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="flex items-center gap-1">
+          {SENTIMENT_OPTIONS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => update({ sentiments: toggle(view.sentiments, option.value) })}
+              className={clsx(
+                'px-2 py-0.5 rounded-full border text-xs',
+                view.sentiments.includes(option.value)
+                  ? 'bg-gray-700 border-gray-700 text-white'
+                  : 'border-gray-300 hover:bg-gray-100'
+              )}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <ThumbsUp size={14} />
+          <input
+            type="number"
+            min="0"
+            value={view.minLikes}
+            onChange={(e) => update({ minLikes: e.target.value })}
+            placeholder="Min"
+            className="border border-gray-300 rounded px-2 py-1 text-sm w-16"
+            title="At least this many likes"
+          />
+          <span>–</span>
+          <input
+            type="number"
+            min="0"
+            value={view.maxLikes}
+            onChange={(e) => update({ maxLikes: e.target.value })}
+            placeholder="Max"
+            className="border border-gray-300 rounded px-2 py-1 text-sm w-16"
+            title="At most this many likes"
+          />
+        </div>
+
+        <div className="flex items-center gap-2">
+          <CalendarRange size={14} />
+          <input
+            type="datetime-local"
+            value={view.from}
+            onChange={(e) => update({ from: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+            title="Sent from"
+          />
+          <span>–</span>
+          <input
+            type="datetime-local"
+            value={view.to}
+            onChange={(e) => update({ to: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+            title="Sent until"
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-1">
+          {columnOrder.map((columnId) => (
+            <button
+              key={columnId}
+              onClick={() => update({ categories: toggle(view.categories, columnId) })}
+              className={clsx(
+                'px-2 py-0.5 rounded-full text-xs',
+                (CATEGORY_COLORS[columns[columnId].color] || CATEGORY_COLORS[DEFAULT_COLOR]).header,
+                view.categories.includes(columnId)
+                  ? 'ring-2 ring-gray-700 font-medium text-gray-800'
+                  : 'opacity-70 hover:opacity-100'
+              )}
+              title="Show only the selected categories"
+            >
+              {columns[columnId].title}
+            </button>
+          ))}
+        </div>
+
+        {isViewActive(view) && (
+          <>
+            <span className="text-xs text-gray-500">
+              Showing {shownCount} of {totalCount} messages
+            </span>
+            <button
+              onClick={() => onChange({ ...DEFAULT_VIEW, sortBy: view.sortBy })}
+              className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700"
+            >
+              <X size={12} />
+              Clear filters
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
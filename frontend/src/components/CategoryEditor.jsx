@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, Plus, Trash2, X } from 'lucide-react';
+import { clsx } from 'clsx';
+import { CATEGORY_COLORS, DEFAULT_COLOR, UNCATEGORIZED_ID } from '../utils/categories';
+
+const ColorPicker = ({ value, onChange }) => (
+  <div className="flex gap-1">
+    {Object.entries(CATEGORY_COLORS).map(([color, { label, swatch }]) => (
+      <button
+        key={color}
+        type="button"
+        onClick={() => onChange(color)}
+        className={clsx(
+          'w-4 h-4 rounded-full',
+          swatch,
+          value === color && 'ring-2 ring-offset-1 ring-gray-700'
+        )}
+        title={label}
+      />
+    ))}
+  </div>
+);
+
+// Edits the board's columns in place: every change applies right away.
+// Descriptions tell the AI what belongs in a category.
+export const CategoryEditor = ({
+  columns,
+  columnOrder,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onMove,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState({ title: '', description: '', color: DEFAULT_COLOR });
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const title = draft.title.trim();
+    if (!title) return;
+    onAdd({ ...draft, title, description: draft.description.trim() });
+    setDraft({ title: '', description: '', color: DEFAULT_COLOR });
+  };
+
+  const handleDelete = (column) => {
+    if (
+      column.items.length > 0 &&
+      !confirm(`Delete "${column.title}"? Its ${column.items.length} messages move to Uncategorized.`)
+    ) {
+      return;
+    }
+    onDelete(column.id);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-full flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="font-semibold text-gray-800">Categories</h2>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {columnOrder.map((columnId, index) => {
+            const column = columns[columnId];
+            return (
+              <div key={column.id} className="border border-gray-200 rounded-lg p-3">
+                <div className="flex items-center gap-2 mb-2">
+                  <input
+                    type="text"
+                    value={column.title}
+                    onChange={(e) => onUpdate(column.id, { title: e.target.value })}
+                    onBlur={(e) => {
+                      if (!e.target.value.trim()) onUpdate(column.id, { title: column.id });
+                    }}
+                    className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm font-medium"
+                    aria-label="Category name"
+                  />
+                  <span className="text-[10px] font-mono text-gray-400" title="Category ID, used by the AI">
+                    {column.id}
+                  </span>
+                  <button
+                    onClick={() => onMove(column.id, -1)}
+                    disabled={index === 0}
+                    className="p-1 text-gray-500 hover:bg-gray-100 rounded disabled:opacity-30"
+                    title="Move left"
+                  >
+                    <ChevronLeft size={16} />
+                  </button>
+                  <button
+                    onClick={() => onMove(column.id, 1)}
+                    disabled={index === columnOrder.length - 1}
+                    className="p-1 text-gray-500 hover:bg-gray-100 rounded disabled:opacity-30"
+                    title="Move right"
+                  >
+                    <ChevronRight size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(column)}
+                    disabled={column.id === UNCATEGORIZED_ID}
+                    className="p-1 text-red-500 hover:bg-red-50 rounded disabled:opacity-30"
+                    title={
+                      column.id === UNCATEGORIZED_ID
+                        ? 'New and unmatched messages go here, so it cannot be deleted'
+                        : 'Delete category'
+                    }
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+                <textarea
+                  value={column.description}
+                  onChange={(e) => onUpdate(column.id, { description: e.target.value })}
+                  placeholder="What belongs here? The AI reads this."
+                  rows={2}
+                  className="w-full border border-gray-300 rounded px-2 py-1 text-sm mb-2"
+                />
+                <ColorPicker value={column.color} onChange={(color) => onUpdate(column.id, { color })} />
+              </div>
+            );
+          })}
+        </div>
+
+        <form onSubmit={handleAdd} className="p-4 border-t border-gray-200 space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={draft.title}
+              onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+              placeholder="New category name"
+              className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={!draft.title.trim()}
+              className="flex items-center gap-1 bg-blue-600 text-white px-3 py-1 rounded text-sm font-medium hover:bg-blue-700 disabled:bg-blue-300"
+            >
+              <Plus size={14} />
+              Add
+            </button>
+          </div>
+          <textarea
+            value={draft.description}
+            onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+            placeholder="Description for the AI"
+            rows={2}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <ColorPicker value={draft.color} onChange={(color) => setDraft({ ...draft, color })} />
+        </form>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { ThumbsUp } from 'lucide-react';
+import { clsx } from 'clsx';
+import { CATEGORY_COLORS, DEFAULT_COLOR } from '../utils/categories';
+import { getOriginals } from '../utils/duplicates';
+import {
+  SENTIMENTS,
+  getCategoryStats,
+  getLikesDistribution,
+  getMessagesOverTime,
+  getTopQuestions,
+  getKeywordFrequency,
+} from '../utils/analytics';
+
+const SENTIMENT_STYLES = {
+  positive: { label: 'Positive', bar: 'bg-green-500' },
+  negative: { label: 'Negative', bar: 'bg-red-500' },
+  question: { label: 'Question', bar: 'bg-amber-500' },
+  neutral: { label: 'Neutral', bar: 'bg-gray-300' },
+};
+
+const TOP_QUESTION_LIMITS = [5, 10, 20];
+const KEYWORD_LIMIT = 20;
+
+const Panel = ({ title, action, className, children }) => (
+  <section className={clsx('bg-white rounded-lg shadow-sm border border-gray-200 p-4', className)}>
+    <div className="flex items-center justify-between mb-3">
+      <h3 className="text-sm font-semibold text-gray-700">{title}</h3>
+      {action}
+    </div>
+    {children}
+  </section>
+);
+
+const Empty = () => <div className="text-sm text-gray-400">No messages.</div>;
+
+// One labeled horizontal bar, scaled to the largest value of its chart
+const BarRow = ({ label, value, max, barClassName, title }) => (
+  <div className="flex items-center gap-2 text-xs" title={title}>
+    <span className="w-28 truncate text-gray-600">{label}</span>
+    <div className="flex-1 h-3 bg-gray-100 rounded">
+      <div
+        className={clsx('h-3 rounded', barClassName)}
+        style={{ width: `${max ? (value / max) * 100 : 0}%` }}
+      />
+    </div>
+    <span className="w-10 text-right font-medium text-gray-700">{value}</span>
+  </div>
+);
+
+// Vertical bars with a label under the first and last one
+const ColumnChart = ({ bars, firstLabel, lastLabel, barClassName }) => {
+  const max = Math.max(...bars.map((bar) => bar.count), 0);
+  return (
+    <div>
+      <div className="flex items-end gap-px h-32">
+        {bars.map((bar) => (
+          <div
+            key={bar.key}
+            className={clsx('flex-1 rounded-t min-h-px', barClassName)}
+            style={{ height: `${max ? (bar.count / max) * 100 : 0}%` }}
+            title={`${bar.label}: ${bar.count}`}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-500 mt-1">
+        <span>{firstLabel}</span>
+        <span>{lastLabel}</span>
+      </div>
+    </div>
+  );
+};
+
+const formatClock = (time) =>
+  new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Numbers for the cards on the board (as filtered by the toolbar); they are
+// computed on every render, so they follow moves, AI runs and live updates
+export const Dashboard = ({ columns, columnOrder }) => {
+  const [questionLimit, setQuestionLimit] = useState(TOP_QUESTION_LIMITS[1]);
+
+  const items = columnOrder.flatMap((columnId) => columns[columnId].items);
+  const messages = items.flatMap(getOriginals);
+  const categories = getCategoryStats(columns, columnOrder);
+  const likes = getLikesDistribution(messages);
+  const overTime = getMessagesOverTime(messages);
+  const questions = getTopQuestions(items, questionLimit);
+  const keywords = getKeywordFrequency(messages, KEYWORD_LIMIT);
+
+  const totalLikes = messages.reduce((sum, msg) => sum + (msg.likes || 0), 0);
+  const maxCategory = Math.max(...categories.map((category) => category.count), 0);
+  const maxKeyword = keywords[0]?.count || 0;
+  const summary = [
+    { label: 'Messages', value: messages.length },
+    { label: 'Likes', value: totalLikes },
+    { label: 'Likes per message', value: messages.length ? (totalLikes / messages.length).toFixed(1) : '–' },
+    { label: 'Questions', value: categories.reduce((sum, category) => sum + category.sentiments.question, 0) },
+  ];
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <div className="lg:col-span-2 grid grid-cols-2 md:grid-cols-4 gap-4">
+        {summary.map((tile) => (
+          <div key={tile.label} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+            <div className="text-xs text-gray-500">{tile.label}</div>
+            <div className="text-2xl font-semibold text-gray-800">{tile.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <Panel title="Messages per category">
+        <div className="space-y-2">
+          {categories.map((category) => (
+            <BarRow
+              key={category.id}
+              label={category.title}
+              value={category.count}
+              max={maxCategory}
+              barClassName={(CATEGORY_COLORS[category.color] || CATEGORY_COLORS[DEFAULT_COLOR]).swatch}
+              title={`${category.likes} likes`}
+            />
+          ))}
+        </div>
+      </Panel>
+
+      <Panel
+        title="Sentiment per category"
+        action={
+          <div className="flex gap-2 text-[10px] text-gray-500">
+            {SENTIMENTS.map((sentiment) => (
+              <span key={sentiment} className="flex items-center gap-1">
+                <span className={clsx('w-2 h-2 rounded-sm', SENTIMENT_STYLES[sentiment].bar)} />
+                {SENTIMENT_STYLES[sentiment].label}
+              </span>
+            ))}
+          </div>
+        }
+      >
+        <div className="space-y-2">
+          {categories.map((category) => (
+            <div key={category.id} className="flex items-center gap-2 text-xs">
+              <span className="w-28 truncate text-gray-600">{category.title}</span>
+              <div className="flex-1 h-3 bg-gray-100 rounded flex overflow-hidden">
+                {SENTIMENTS.map((sentiment) =>
+                  category.sentiments[sentiment] ? (
+                    <div
+                      key={sentiment}
+                      className={SENTIMENT_STYLES[sentiment].bar}
+                      style={{ width: `${(category.sentiments[sentiment] / category.count) * 100}%` }}
+                      title={`${SENTIMENT_STYLES[sentiment].label}: ${category.sentiments[sentiment]}`}
+                    />
+                  ) : null
+                )}
+              </div>
+              <span className="w-10 text-right font-medium text-gray-700">{category.count}</span>
+            </div>
+          ))}
+        </div>
+      </Panel>
+
+      <Panel title="Likes per message">
+        {messages.length === 0 ? (
+          <Empty />
+        ) : (
+          <ColumnChart
+            bars={likes.map((bucket) => ({ key: bucket.label, label: `${bucket.label} likes`, count: bucket.count }))}
+            firstLabel={`${likes[0].label} likes`}
+            lastLabel={`${likes[likes.length - 1].label} likes`}
+            barClassName="bg-blue-500"
+          />
+        )}
+      </Panel>
+
+      <Panel
+        title="Messages over time"
+        action={
+          overTime.stepMinutes > 0 && (
+            <span className="text-[10px] text-gray-500">
+              per {overTime.stepMinutes} min
+              {overTime.undated > 0 && `, ${overTime.undated} without a time`}
+            </span>
+          )
+        }
+      >
+        {overTime.buckets.length === 0 ? (
+          <div className="text-sm text-gray-400">No messages with a sent time.</div>
+        ) : (
+          <ColumnChart
+            bars={overTime.buckets.map((bucket) => ({
+              key: bucket.start,
+              label: formatClock(bucket.start),
+              count: bucket.count,
+            }))}
+            firstLabel={formatClock(overTime.buckets[0].start)}
+            lastLabel={formatClock(overTime.buckets[overTime.buckets.length - 1].start)}
+            barClassName="bg-purple-500"
+          />
+        )}
+      </Panel>
+
+      <Panel
+        title="Top questions"
+        action={
+          <select
+            value={questionLimit}
+            onChange={(e) => setQuestionLimit(Number(e.target.value))}
+            className="border border-gray-300 rounded px-1 py-0.5 text-xs"
+          >
+            {TOP_QUESTION_LIMITS.map((limit) => (
+              <option key={limit} value={limit}>
+                Top {limit}
+              </option>
+            ))}
+          </select>
+        }
+      >
+        {questions.length === 0 ? (
+          <div className="text-sm text-gray-400">No questions.</div>
+        ) : (
+          <ol className="space-y-2">
+            {questions.map((item, i) => (
+              <li key={item.id} className="flex items-start gap-2 text-sm">
+                <span className="w-5 shrink-0 text-right text-gray-400">{i + 1}.</span>
+                <span className="flex-1 text-gray-800">{item.message}</span>
+                <span className="flex items-center shrink-0 text-xs text-gray-600">
+                  <ThumbsUp size={12} className="mr-1" />
+                  {item.likes}
+                </span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </Panel>
+
+      <Panel title="Keywords">
+        {keywords.length === 0 ? (
+          <Empty />
+        ) : (
+          <div className="space-y-1">
+            {keywords.map((keyword) => (
+              <BarRow
+                key={keyword.word}
+                label={keyword.word}
+                value={keyword.count}
+                max={maxKeyword}
+                barClassName="bg-teal-500"
+                title={`In ${keyword.count} messages`}
+              />
+            ))}
+          </div>
+        )}
+      </Panel>
+    </div>
+  );
+};
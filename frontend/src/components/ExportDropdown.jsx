@@ -1,12 +1,29 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Download, FileJson, Image, ChevronDown, Database } from 'lucide-react';
 import html2canvas from 'html2canvas';
+import {
+  DEFAULT_VIEW,
+  applyView,
+  applyViewToColumns,
+  getVisibleColumnIds,
+  isViewActive
+} from '../utils/boardView';
 
-export const ExportDropdown = ({ columns, columnOrder, rawData }) => {
+// Exports follow the board view's sort order. While filters are set they
+// include only the cards on screen, unless "Only filtered cards" is unticked.
+export const ExportDropdown = ({ columns: boardColumns, columnOrder: boardColumnOrder, rawData, view }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [isExportingImages, setIsExportingImages] = useState(false);
+  const [onlyFiltered, setOnlyFiltered] = useState(true);
   const dropdownRef = useRef(null);
 
+  const filtered = onlyFiltered && isViewActive(view);
+  const exportView = filtered ? view : { ...DEFAULT_VIEW, sortBy: view.sortBy };
+  const columnOrder = getVisibleColumnIds(boardColumnOrder, exportView);
+  const sortedColumns = applyViewToColumns(boardColumns, exportView);
+  const columns = Object.fromEntries(columnOrder.map((columnId) => [columnId, sortedColumns[columnId]]));
+  const cardCount = columnOrder.reduce((sum, columnId) => sum + columns[columnId].items.length, 0);
+
   // Close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -23,6 +40,7 @@ export const ExportDropdown = ({ columns, columnOrder, rawData }) => {
     const dataToSave = {
       columns,
       columnOrder,
+      view: exportView,
       exportedAt: new Date().toISOString()
     };
     
@@ -30,17 +48,28 @@ export const ExportDropdown = ({ columns, columnOrder, rawData }) => {
     setIsOpen(false);
   };
 
-  // Export raw data as JSON
+  // Export raw data as JSON; filtered exports keep the messages whose
+  // cards are on screen
   const handleExportRawData = () => {
-    if (!rawData || rawData.length === 0) {
-      alert('No raw data available to export.');
+    const shownIds = new Set(
+      columnOrder.flatMap((columnId) => columns[columnId].items.map((item) => String(item.id)))
+    );
+    const messages = applyView(
+      filtered ? (rawData || []).filter((msg) => shownIds.has(String(msg.id))) : rawData,
+      { ...DEFAULT_VIEW, sortBy: view.sortBy }
+    );
+    if (messages.length === 0) {
+      alert(filtered
+        ? 'No raw data matches the current filters.'
+        : 'No raw data available to export.');
       return;
     }
     
     const dataToSave = {
-      totalMessages: rawData.length,
-      totalLikes: rawData.reduce((acc, msg) => acc + (msg.likes || 0), 0),
-      messages: rawData,
+      totalMessages: messages.length,
+      totalLikes: messages.reduce((acc, msg) => acc + (msg.likes || 0), 0),
+      messages,
+      view: exportView,
       exportedAt: new Date().toISOString()
     };
     
@@ -144,9 +173,22 @@ export const ExportDropdown = ({ columns, columnOrder, rawData }) => {
     headerDiv.style.marginBottom = '8px';
     headerDiv.innerHTML = `
       <span style="font-size: 12px; font-family: monospace; color: #6b7280;">#${item.id}</span>
-      <span style="font-size: 12px; color: #6b7280;">${item.timestamp || ''}</span>
+      <span style="font-size: 12px; color: #6b7280;">${item.sentAt ? new Date(item.sentAt).toLocaleString() : (item.timestamp || '')}</span>
     `;
     card.appendChild(headerDiv);
+
+    // Author and moderation status
+    const statusLabels = ['pinned', 'starred', 'answered', 'hidden']
+      .filter(key => item.status?.[key])
+      .map(key => key.charAt(0).toUpperCase() + key.slice(1));
+    if (item.author || statusLabels.length > 0) {
+      const metaDiv = document.createElement('div');
+      metaDiv.style.fontSize = '12px';
+      metaDiv.style.color = '#4b5563';
+      metaDiv.style.marginBottom = '8px';
+      metaDiv.textContent = [item.author, ...statusLabels].filter(Boolean).join(' · ');
+      card.appendChild(metaDiv);
+    }
     
     // Message content
     const message = document.createElement('p');
@@ -156,6 +198,21 @@ export const ExportDropdown = ({ columns, columnOrder, rawData }) => {
     message.style.lineHeight = '1.5';
     message.textContent = item.message;
     card.appendChild(message);
+
+    // Replies, moderator ones highlighted
+    (item.replies || []).forEach((reply) => {
+      const replyDiv = document.createElement('div');
+      replyDiv.style.fontSize = '12px';
+      replyDiv.style.lineHeight = '1.4';
+      replyDiv.style.padding = '6px 8px';
+      replyDiv.style.borderRadius = '4px';
+      replyDiv.style.marginBottom = '8px';
+      replyDiv.style.backgroundColor = reply.isModerator ? '#eff6ff' : '#f9fafb';
+      replyDiv.style.color = reply.isModerator ? '#1e3a8a' : '#374151';
+      const author = reply.author || (reply.isModerator ? 'Moderator' : 'Anonymous');
+      replyDiv.textContent = `↳ ${author}: ${reply.message}`;
+      card.appendChild(replyDiv);
+    });
     
     // Footer with likes and sentiment
     const footer = document.createElement('div');
@@ -235,6 +292,20 @@ export const ExportDropdown = ({ columns, columnOrder, rawData }) => {
 
       {isOpen && (
         <div className="absolute right-0 top-full mt-1 w-56 bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-50">
+          {isViewActive(view) && (
+            <>
+              <label className="flex items-center gap-2 px-4 py-2 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={onlyFiltered}
+                  onChange={(e) => setOnlyFiltered(e.target.checked)}
+                />
+                Only filtered cards{filtered && ` (${cardCount})`}
+              </label>
+              <div className="border-t border-gray-100 my-1" />
+            </>
+          )}
+
           <button
             onClick={handleExportKanban}
             className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50 text-left"
@@ -0,0 +1,54 @@
+import React, { useState, useRef } from 'react';
+import { FileUp, Loader2 } from 'lucide-react';
+
+export const HtmlDropZone = ({ onFile, disabled }) => {
+  const [isDragOver, setIsDragOver] = useState(false);
+  const inputRef = useRef(null);
+
+  const pickFile = (files) => {
+    const file = files && files[0];
+    if (!file) return;
+    if (!/\.html?$/i.test(file.name) && file.type !== 'text/html') {
+      alert('Please drop a saved .html page');
+      return;
+    }
+    onFile(file);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    if (!disabled) pickFile(e.dataTransfer.files);
+  };
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragOver(true);
+      }}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={handleDrop}
+      onClick={() => !disabled && inputRef.current?.click()}
+      className={`flex items-center gap-1 px-3 py-1.5 rounded text-sm border border-dashed cursor-pointer whitespace-nowrap transition-colors ${
+        isDragOver
+          ? 'border-blue-500 bg-blue-50 text-blue-700'
+          : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+      } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+      title="Drop a saved Vevox page (.html) or click to choose one"
+    >
+      {disabled ? <Loader2 className="animate-spin" size={16} /> : <FileUp size={16} />}
+      Drop .html
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".html,.htm,text/html"
+        className="hidden"
+        onChange={(e) => {
+          pickFile(e.target.files);
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+};
@@ -1,13 +1,49 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { Droppable } from '@hello-pangea/dnd';
 import { MessageCard } from './MessageCard';
+import { CATEGORY_COLORS, DEFAULT_COLOR } from '../utils/categories';
+import { findStacks } from '../utils/duplicates';
+
+export const KanbanColumn = ({
+  column,
+  now,
+  highlight,
+  showDates,
+  onUnlock,
+  onMerge,
+  onSplit,
+  onSeparate,
+}) => {
+  // Similar cards stack under the most liked one until expanded
+  const [openStacks, setOpenStacks] = useState([]);
+  const stacks = useMemo(() => findStacks(column.items), [column.items]);
+
+  const stackOf = new Map();
+  stacks.forEach((stack) => stack.forEach((item) => stackOf.set(String(item.id), stack)));
+  const toggleStack = (id) =>
+    setOpenStacks((prev) => (prev.includes(id) ? prev.filter((open) => open !== id) : [...prev, id]));
+
+  const cards = [];
+  column.items.forEach((item) => {
+    const stack = stackOf.get(String(item.id));
+    if (!stack) {
+      cards.push({ item });
+      return;
+    }
+    if (item !== stack[0]) return;
+    const open = openStacks.includes(String(item.id));
+    cards.push({ item, stack: { size: stack.length, open, ids: stack.map((member) => member.id) } });
+    if (open) stack.slice(1).forEach((member) => cards.push({ item: member, stacked: true }));
+  });
 
-export const KanbanColumn = ({ column }) => {
   return (
-    <div className="flex flex-col w-1/5 h-full mx-2">
-      <div className="bg-gray-100 p-3 rounded-t-lg font-semibold flex justify-between items-center">
+    <div className="flex flex-col w-1/5 min-w-64 shrink-0 h-full mx-2">
+      <div
+        className={`${(CATEGORY_COLORS[column.color] || CATEGORY_COLORS[DEFAULT_COLOR]).header} p-3 rounded-t-lg font-semibold flex justify-between items-center`}
+        title={column.description}
+      >
         <span className="capitalize">{column.title}</span>
-        <span className="bg-gray-200 text-gray-600 text-xs px-2 py-1 rounded-full">
+        <span className="bg-white/60 text-gray-600 text-xs px-2 py-1 rounded-full">
           {column.items.length}
         </span>
       </div>
@@ -20,8 +56,22 @@ export const KanbanColumn = ({ column }) => {
               snapshot.isDraggingOver ? 'bg-blue-50' : ''
             }`}
           >
-            {column.items.map((item, index) => (
-              <MessageCard key={item.id} message={item} index={index} />
+            {cards.map(({ item, stack, stacked }, index) => (
+              <MessageCard
+                key={item.id}
+                message={item}
+                index={index}
+                now={now}
+                highlight={highlight}
+                showDates={showDates}
+                stack={stack}
+                stacked={stacked}
+                onToggleStack={() => toggleStack(String(item.id))}
+                onMerge={onMerge}
+                onSplit={onSplit}
+                onSeparate={onSeparate}
+                onUnlock={onUnlock}
+              />
             ))}
             {provided.placeholder}
           </div>
@@ -30,6 +80,3 @@ export const KanbanColumn = ({ column }) => {
     </div>
   );
 };
-
-
-
@@ -0,0 +1,46 @@
+import React from 'react';
+
+/**
+ * Step chart of a message's like count over time
+ */
+export const LikeSparkline = ({ history, width = 80, height = 20, className }) => {
+  if (!Array.isArray(history) || history.length < 2) return null;
+
+  const times = history.map((p) => new Date(p.t).getTime());
+  const likes = history.map((p) => p.likes);
+  const minT = times[0];
+  const spanT = times[times.length - 1] - minT || 1;
+  const minL = Math.min(...likes);
+  const spanL = Math.max(...likes) - minL || 1;
+
+  const x = (t) => ((t - minT) / spanT) * (width - 2) + 1;
+  const y = (l) => height - 1 - ((l - minL) / spanL) * (height - 2);
+
+  // Likes stay flat until the next reading, so draw steps rather than slopes
+  const path = history
+    .map((p, i) => {
+      const px = x(times[i]);
+      const py = y(p.likes);
+      return i === 0 ? `M${px},${py}` : `H${px}V${py}`;
+    })
+    .join('');
+
+  return (
+    <svg
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      className={className}
+      aria-hidden="true"
+    >
+      <path
+        d={path}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+};
@@ -1,17 +1,94 @@
-import React from "react";
+import React, { useState } from "react";
 import { Draggable } from "@hello-pangea/dnd";
-import { ThumbsUp, ThumbsDown, HelpCircle, Minus, Clock } from "lucide-react";
+import {
+  ThumbsUp,
+  ThumbsDown,
+  HelpCircle,
+  Minus,
+  Clock,
+  TrendingUp,
+  Pin,
+  Star,
+  CheckCircle2,
+  EyeOff,
+  MessageSquare,
+  User,
+  ShieldCheck,
+  Sparkles,
+  BadgeCheck,
+  Lock,
+  Layers,
+  Merge,
+  Split,
+  Unlink,
+} from "lucide-react";
 import { clsx } from "clsx";
 import { twMerge } from "tailwind-merge";
+import { LikeSparkline } from "./LikeSparkline";
+import { getLikeTrend, TREND_WINDOW_MS } from "../utils/likeHistory";
+import {
+  formatConfidence,
+  isLowConfidence,
+  needsReview,
+} from "../utils/review";
+import { getSearchTerms, splitByTerms } from "../utils/boardView";
 
-export const MessageCard = ({ message, index }) => {
-  const formatTime = (timestamp) => {
+// Marks the words of the board search in a card's text
+const Highlighted = ({ text, terms }) =>
+  splitByTerms(text, terms).map((part, i) =>
+    part.match ? (
+      <mark key={i} className="bg-yellow-200 text-inherit rounded-sm">
+        {part.text}
+      </mark>
+    ) : (
+      part.text
+    )
+  );
+
+// stack: set on the top card of a pile of similar cards, { size, open, ids };
+// stacked: the card is shown as part of an open pile
+export const MessageCard = ({
+  message,
+  index,
+  now,
+  highlight,
+  showDates,
+  stack,
+  stacked,
+  onToggleStack,
+  onMerge,
+  onSplit,
+  onSeparate,
+  onUnlock,
+}) => {
+  const [showTimeline, setShowTimeline] = useState(false);
+  const [showReplies, setShowReplies] = useState(false);
+  const [showOriginals, setShowOriginals] = useState(false);
+  const originals = message.merged || [];
+  const replies = message.replies || [];
+  const history = message.likeHistory || [];
+  const trend = now ? getLikeTrend(history, now) : 0;
+  const classification = message.classification;
+  const terms = getSearchTerms(highlight);
+
+  const formatTime = (timestamp, sentAt) => {
+    if (sentAt) {
+      // The date only matters when the board spans several days
+      return new Date(sentAt).toLocaleString([], {
+        ...(showDates && { day: "numeric", month: "short" }),
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    }
     if (!timestamp) return "";
+    if (showDates) return timestamp;
     // Extract only HH:MM from formats like "09 December 2025 19:07"
     const timeMatch = timestamp.match(/(\d{2}:\d{2})$/);
     return timeMatch ? timeMatch[1] : timestamp;
   };
 
+  const formatPointTime = (t) => new Date(t).toTimeString().slice(0, 5);
+
   const getSentimentIcon = (sentiment) => {
     switch (sentiment) {
       case "positive":
@@ -53,6 +130,13 @@ export const MessageCard = ({ message, index }) => {
     );
   };
 
+  const statusBadges = [
+    { key: "pinned", label: "Pinned", icon: Pin, className: "bg-blue-50 text-blue-700 border-blue-200" },
+    { key: "starred", label: "Starred", icon: Star, className: "bg-yellow-50 text-yellow-700 border-yellow-200" },
+    { key: "answered", label: "Answered", icon: CheckCircle2, className: "bg-emerald-50 text-emerald-700 border-emerald-200" },
+    { key: "hidden", label: "Hidden", icon: EyeOff, className: "bg-gray-100 text-gray-600 border-gray-300" },
+  ].filter((badge) => message.status?.[badge.key]);
+
   return (
     <Draggable draggableId={String(message.id)} index={index}>
       {(provided, snapshot) => (
@@ -60,34 +144,276 @@ export const MessageCard = ({ message, index }) => {
           ref={provided.innerRef}
           {...provided.draggableProps}
           {...provided.dragHandleProps}
-          className={clsx(
+          className={twMerge(clsx(
             "bg-white p-4 rounded-lg shadow-sm mb-3 border border-gray-200 hover:shadow-md transition-shadow relative group",
-            snapshot.isDragging && "shadow-lg ring-2 ring-blue-500 rotate-2"
-          )}
+            stack && !stack.open &&
+              "mb-5 shadow-[4px_4px_0_-1px_#fff,4px_4px_0_0_#d1d5db,8px_8px_0_-1px_#fff,8px_8px_0_0_#e5e7eb]",
+            stacked && "ml-4 border-l-4 border-l-gray-300",
+            snapshot.isDragging && "shadow-lg ring-2 ring-blue-500 rotate-2",
+            message.status?.hidden && "opacity-60",
+            message.status?.answered && "border-l-4 border-l-emerald-400"
+          ))}
           style={{ ...provided.draggableProps.style }}
         >
           <div className="flex justify-between items-start mb-2">
-            <span className="text-xs font-mono text-gray-500">
+            <span className="flex items-center gap-1 text-xs font-mono text-gray-500">
               #{message.id}
+              {message.locked && (
+                <button
+                  onClick={() => onUnlock?.(message.id)}
+                  className="text-gray-400 hover:text-gray-700"
+                  title="Placed by hand, so AI runs leave it here. Click to unlock."
+                >
+                  <Lock size={11} />
+                </button>
+              )}
             </span>
-            <div className="flex items-center text-xs text-gray-500">
+            <div
+              className="flex items-center text-xs text-gray-500"
+              title={
+                message.sentAt
+                  ? new Date(message.sentAt).toLocaleString()
+                  : message.timestamp
+              }
+            >
               <Clock size={12} className="mr-1" />
-              {formatTime(message.timestamp)}
+              {formatTime(message.timestamp, message.sentAt)}
             </div>
           </div>
 
+          {(message.author || statusBadges.length > 0) && (
+            <div className="flex flex-wrap items-center gap-1 mb-2">
+              {message.author && (
+                <span className="flex items-center text-xs text-gray-600 mr-1">
+                  <User size={12} className="mr-1" />
+                  <Highlighted text={message.author} terms={terms} />
+                </span>
+              )}
+              {statusBadges.map((badge) => {
+                const Icon = badge.icon;
+                return (
+                  <span
+                    key={badge.key}
+                    className={twMerge(
+                      "text-[10px] px-1.5 py-0.5 rounded border flex items-center gap-1 font-medium",
+                      badge.className
+                    )}
+                  >
+                    <Icon size={10} />
+                    {badge.label}
+                  </span>
+                );
+              })}
+            </div>
+          )}
+
           <p className="text-gray-800 text-sm mb-3 line-clamp-4 leading-relaxed">
-            {message.message}
+            <Highlighted text={message.message} terms={terms} />
           </p>
 
+          {(stack || stacked) && (
+            <div className="flex items-center gap-2 text-[11px] text-gray-500 mb-3">
+              {stack && (
+                <>
+                  <button
+                    onClick={onToggleStack}
+                    className="flex items-center gap-1 font-medium text-indigo-700 hover:underline"
+                    title="Near-duplicates of this message"
+                  >
+                    <Layers size={12} />
+                    {stack.open ? "Collapse" : `${stack.size - 1} similar`}
+                  </button>
+                  <button
+                    onClick={() => onMerge?.(stack.ids)}
+                    className="flex items-center gap-1 ml-auto rounded px-1.5 py-0.5 text-indigo-700 hover:bg-indigo-50"
+                    title="Merge into one card with the combined likes"
+                  >
+                    <Merge size={12} />
+                    Merge
+                  </button>
+                </>
+              )}
+              {stacked && (
+                <button
+                  onClick={() => onSeparate?.(message.id)}
+                  className="flex items-center gap-1 ml-auto rounded px-1.5 py-0.5 hover:bg-gray-100"
+                  title="Not a duplicate: take it out of the stack"
+                >
+                  <Unlink size={12} />
+                  Not similar
+                </button>
+              )}
+            </div>
+          )}
+
+          {originals.length > 0 && (
+            <div className="mb-3 text-[11px] text-gray-500">
+              <button
+                onClick={() => setShowOriginals(!showOriginals)}
+                className="flex items-center gap-1 font-medium text-indigo-700 hover:underline"
+                title="Likes are the sum of the merged messages"
+              >
+                <Layers size={12} />
+                Merged from {originals.length} messages
+              </button>
+              {showOriginals && (
+                <div className="mt-2 space-y-1">
+                  {originals.map((original) => (
+                    <div
+                      key={original.id}
+                      className="flex items-start gap-2 rounded bg-gray-50 px-2 py-1.5"
+                    >
+                      <span className="flex-1 text-gray-700">
+                        <Highlighted text={original.message} terms={terms} />
+                        <span className="ml-1 text-gray-400">
+                          #{original.id} · {original.likes} likes
+                        </span>
+                      </span>
+                      <button
+                        onClick={() => onSplit?.(message.id, original.id)}
+                        className="shrink-0 p-0.5 text-gray-400 hover:text-gray-700"
+                        title="Split out as its own card"
+                      >
+                        <Split size={12} />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => onSplit?.(message.id)}
+                    className="flex items-center gap-1 rounded px-1.5 py-0.5 hover:bg-gray-100"
+                  >
+                    <Split size={12} />
+                    Split all
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {classification && (
+            <div
+              className="flex items-center gap-1 text-[11px] text-gray-500 mb-3"
+              title={classification.rationale || "No rationale given"}
+            >
+              <Sparkles size={11} className="shrink-0 text-purple-500" />
+              <span
+                className={clsx(
+                  "font-medium shrink-0",
+                  isLowConfidence(classification)
+                    ? "text-amber-600"
+                    : "text-purple-600"
+                )}
+              >
+                {formatConfidence(classification)}
+              </span>
+              {classification.rationale && (
+                <span className="italic truncate">
+                  {classification.rationale}
+                </span>
+              )}
+              {message.review ? (
+                <BadgeCheck
+                  size={12}
+                  className="shrink-0 ml-auto text-emerald-600"
+                  aria-label={`Reviewed (${message.review.status})`}
+                />
+              ) : (
+                needsReview(message) && (
+                  <span className="shrink-0 ml-auto text-[10px] text-amber-700 bg-amber-50 border border-amber-200 rounded px-1">
+                    Review
+                  </span>
+                )
+              )}
+            </div>
+          )}
+
           <div className="flex justify-between items-center">
-            <div className="flex items-center text-gray-600 text-sm bg-gray-50 px-2 py-1 rounded">
-              <ThumbsUp size={14} className="mr-1.5" />
-              <span className="font-medium">{message.likes}</span>
+            <div className="flex items-center gap-2">
+              <div className="flex items-center text-gray-600 text-sm bg-gray-50 px-2 py-1 rounded">
+                <ThumbsUp size={14} className="mr-1.5" />
+                <span className="font-medium">{message.likes}</span>
+              </div>
+
+              {history.length > 1 && (
+                <button
+                  onClick={() => setShowTimeline(!showTimeline)}
+                  className={clsx(
+                    "flex items-center gap-1 text-[10px] font-medium rounded px-1.5 py-0.5",
+                    trend > 0
+                      ? "text-emerald-700 bg-emerald-50 hover:bg-emerald-100"
+                      : "text-gray-500 hover:bg-gray-100"
+                  )}
+                  title="Show like timeline"
+                >
+                  {trend > 0 ? (
+                    <>
+                      <TrendingUp size={12} />+{trend} in last{" "}
+                      {TREND_WINDOW_MS / 60000} min
+                    </>
+                  ) : (
+                    <LikeSparkline history={history} width={40} height={12} />
+                  )}
+                </button>
+              )}
             </div>
 
-            {getSentimentBadge(message.sentiment)}
+            <div className="flex items-center gap-1">
+              {replies.length > 0 && (
+                <button
+                  onClick={() => setShowReplies(!showReplies)}
+                  className="flex items-center gap-1 text-[10px] font-medium text-gray-500 rounded px-1.5 py-0.5 hover:bg-gray-100"
+                  title="Show replies"
+                >
+                  <MessageSquare size={12} />
+                  {replies.length}
+                </button>
+              )}
+              {getSentimentBadge(message.sentiment)}
+            </div>
           </div>
+
+          {showReplies && replies.length > 0 && (
+            <div className="mt-3 pt-2 border-t border-gray-100 space-y-2">
+              {replies.map((reply, i) => (
+                <div
+                  key={i}
+                  className={clsx(
+                    "text-xs rounded px-2 py-1.5",
+                    reply.isModerator ? "bg-blue-50 text-blue-900" : "bg-gray-50 text-gray-700"
+                  )}
+                >
+                  <div className="flex items-center gap-1 text-[10px] text-gray-500 mb-0.5">
+                    {reply.isModerator && <ShieldCheck size={10} className="text-blue-600" />}
+                    <span className="font-medium">
+                      {reply.author || (reply.isModerator ? "Moderator" : "Anonymous")}
+                    </span>
+                    {reply.timestamp && <span>· {formatTime(reply.timestamp, reply.sentAt)}</span>}
+                  </div>
+                  {reply.message}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {showTimeline && history.length > 1 && (
+            <div className="mt-3 pt-2 border-t border-gray-100 text-gray-500">
+              <LikeSparkline
+                history={history}
+                width={240}
+                height={40}
+                className="w-full text-blue-500"
+              />
+              <div className="flex justify-between text-[10px] mt-1">
+                <span>
+                  {formatPointTime(history[0].t)} · {history[0].likes}
+                </span>
+                <span>
+                  {formatPointTime(history[history.length - 1].t)} ·{" "}
+                  {history[history.length - 1].likes}
+                </span>
+              </div>
+            </div>
+          )}
         </div>
       )}
     </Draggable>
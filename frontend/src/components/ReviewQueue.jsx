@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Check, SkipForward, ThumbsUp, User, X } from 'lucide-react';
+import { clsx } from 'clsx';
+import { CATEGORY_COLORS, DEFAULT_COLOR } from '../utils/categories';
+import { getReviewQueue, formatConfidence, isLowConfidence } from '../utils/review';
+
+// Walks a moderator through the low-confidence and contested AI assignments
+// one card at a time: accept the column the card is in, or move it.
+export const ReviewQueue = ({ columns, columnOrder, onReview, onClose }) => {
+  const [skippedIds, setSkippedIds] = useState([]);
+  const queue = getReviewQueue(columns, columnOrder);
+  const open = queue.filter(({ item }) => !skippedIds.includes(String(item.id)));
+  const current = open[0];
+
+  const titleOf = (columnId) => columns[columnId]?.title || columnId;
+
+  return (
+    <div className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-xl max-h-full flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="font-semibold text-gray-800">
+            Review AI categories
+            <span className="ml-2 text-xs font-normal text-gray-500">
+              {queue.length} to review{skippedIds.length > 0 && `, ${open.length} not skipped`}
+            </span>
+          </h2>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {!current ? (
+          <div className="p-8 text-center text-sm text-gray-500">
+            {queue.length === 0 ? (
+              'Nothing left to review.'
+            ) : (
+              <>
+                You skipped {queue.length} cards.{' '}
+                <button onClick={() => setSkippedIds([])} className="text-blue-600 hover:underline">
+                  Go through them again
+                </button>
+              </>
+            )}
+          </div>
+        ) : (
+          <div className="p-4 overflow-y-auto space-y-4">
+            <div className="border border-gray-200 rounded-lg p-3">
+              <div className="flex items-center gap-3 text-xs text-gray-500 mb-1">
+                <span className="font-mono">#{current.item.id}</span>
+                {current.item.author && (
+                  <span className="flex items-center">
+                    <User size={12} className="mr-1" />
+                    {current.item.author}
+                  </span>
+                )}
+                <span className="flex items-center">
+                  <ThumbsUp size={12} className="mr-1" />
+                  {current.item.likes}
+                </span>
+              </div>
+              <p className="text-sm text-gray-800 leading-relaxed">{current.item.message}</p>
+            </div>
+
+            <div className="text-sm text-gray-700 space-y-1">
+              <div>
+                In <span className="font-medium">{titleOf(current.columnId)}</span>
+                {current.item.classification.category !== current.columnId && (
+                  <> (AI chose {titleOf(current.item.classification.category)})</>
+                )}
+                {' · '}
+                <span
+                  className={clsx(
+                    'font-medium',
+                    isLowConfidence(current.item.classification) ? 'text-amber-600' : 'text-purple-600'
+                  )}
+                >
+                  {formatConfidence(current.item.classification)} confident
+                </span>
+              </div>
+              {current.item.classification.rationale && (
+                <div className="text-xs italic text-gray-500">{current.item.classification.rationale}</div>
+              )}
+              {current.item.classification.contestedWith && (
+                <div className="text-xs text-red-600">
+                  Contested: previously in {titleOf(current.item.classification.contestedWith)}
+                </div>
+              )}
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => onReview(current.item.id, current.columnId)}
+                className="flex items-center gap-1 bg-emerald-600 text-white px-3 py-1.5 rounded text-sm font-medium hover:bg-emerald-700"
+              >
+                <Check size={14} />
+                Accept
+              </button>
+              <button
+                onClick={() => setSkippedIds([...skippedIds, String(current.item.id)])}
+                className="flex items-center gap-1 px-3 py-1.5 rounded text-sm font-medium text-gray-600 border border-gray-300 hover:bg-gray-100"
+              >
+                <SkipForward size={14} />
+                Skip
+              </button>
+            </div>
+
+            <div>
+              <div className="text-xs text-gray-500 mb-1">Or move it to</div>
+              <div className="flex flex-wrap gap-2">
+                {columnOrder
+                  .filter((columnId) => columnId !== current.columnId)
+                  .map((columnId) => (
+                    <button
+                      key={columnId}
+                      onClick={() => onReview(current.item.id, columnId)}
+                      className={clsx(
+                        'px-2 py-1 rounded text-xs font-medium text-gray-700 hover:ring-2 hover:ring-gray-300',
+                        (CATEGORY_COLORS[columns[columnId].color] || CATEGORY_COLORS[DEFAULT_COLOR]).header
+                      )}
+                    >
+                      {titleOf(columnId)}
+                    </button>
+                  ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,129 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { History, ChevronDown, ChevronRight, Loader2 } from 'lucide-react';
+import { listSessions, getSession, getLatestState, getSnapshot } from '../services/sessions';
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+export const SessionHistory = ({ onLoad }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [loadingList, setLoadingList] = useState(false);
+  const [expanded, setExpanded] = useState(null); // { id, snapshots }
+  const dropdownRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleToggle = async () => {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+    setIsOpen(true);
+    setLoadingList(true);
+    try {
+      setSessions(await listSessions());
+    } catch (error) {
+      alert('Error loading history: ' + error.message);
+    } finally {
+      setLoadingList(false);
+    }
+  };
+
+  const handleExpand = async (sessionId) => {
+    if (expanded?.id === sessionId) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      const session = await getSession(sessionId);
+      setExpanded({ id: sessionId, snapshots: [...session.snapshots].reverse() });
+    } catch (error) {
+      alert('Error loading session: ' + error.message);
+    }
+  };
+
+  const load = async (request) => {
+    setIsOpen(false);
+    try {
+      onLoad(await request);
+    } catch (error) {
+      alert('Error loading session: ' + error.message);
+    }
+  };
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        onClick={handleToggle}
+        className="flex items-center gap-2 px-3 py-1.5 rounded text-sm font-medium text-gray-600 hover:bg-gray-100 border border-gray-300"
+        title="Reopen a past session"
+      >
+        <History size={16} />
+        History
+        <ChevronDown size={14} />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 w-96 max-h-[70vh] overflow-y-auto bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-50">
+          {loadingList && (
+            <div className="flex items-center gap-2 px-4 py-3 text-sm text-gray-500">
+              <Loader2 className="animate-spin" size={16} />
+              Loading...
+            </div>
+          )}
+
+          {!loadingList && sessions.length === 0 && (
+            <div className="px-4 py-3 text-sm text-gray-500">No saved sessions yet.</div>
+          )}
+
+          {!loadingList && sessions.map((session) => (
+            <div key={session.id} className="border-b border-gray-100 last:border-0">
+              <div className="flex items-center gap-2 px-3 py-2 hover:bg-gray-50">
+                <button
+                  onClick={() => handleExpand(session.id)}
+                  className="text-gray-400 hover:text-gray-600"
+                  title="Show snapshots"
+                >
+                  {expanded?.id === session.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                </button>
+                <button
+                  onClick={() => load(getLatestState(session.id))}
+                  className="flex-1 text-left min-w-0"
+                  title="Open the latest merged state"
+                >
+                  <div className="text-sm font-medium text-gray-700 truncate">{session.session}</div>
+                  <div className="text-xs text-gray-500">
+                    {session.totalMessages} messages · {session.snapshotCount} snapshots · {formatDate(session.updatedAt)}
+                  </div>
+                </button>
+              </div>
+
+              {expanded?.id === session.id && (
+                <div className="pl-9 pb-2">
+                  {expanded.snapshots.map((snapshot) => (
+                    <button
+                      key={snapshot.id}
+                      onClick={() => load(getSnapshot(session.id, snapshot.id))}
+                      className="w-full text-left text-xs text-gray-600 px-2 py-1 rounded hover:bg-blue-50"
+                    >
+                      #{snapshot.id} · {formatDate(snapshot.takenAt)} · {snapshot.totalMessages} messages ({snapshot.origin})
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
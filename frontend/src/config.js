@@ -0,0 +1,3 @@
+// Base URL of the parser server API. Set VITE_API_URL, API_BASE_URL or
+// apiBaseUrl in the server's config file when building (see vite.config.js).
+export const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3000/api";
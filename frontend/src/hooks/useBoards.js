@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react';
+import {
+  loadBoards,
+  getBoardData,
+  saveBoard,
+  createBoard as createBoardRecord,
+  deleteBoard as deleteBoardRecord,
+} from '../services/boardStore';
+import { clearClassificationRun } from './useClassificationRun';
+
+// The open board survives a reload
+const ACTIVE_BOARD_KEY = 'vevox-active-board';
+
+// Where to go when the open board goes away: the first one not archived
+const pickBoard = (boards) => (boards.find((board) => !board.archived) || boards[0])?.id || null;
+
+/**
+ * Named boards, one per event or session, each with its own categories,
+ * cards and raw data (see useKanbanData). Archived boards are kept but left
+ * out of the main list.
+ */
+export const useBoards = () => {
+  const [boards, setBoards] = useState([]);
+  const [activeBoardId, setActiveBoardId] = useState(null);
+
+  const selectBoard = (id) => {
+    localStorage.setItem(ACTIVE_BOARD_KEY, id);
+    setActiveBoardId(id);
+  };
+
+  useEffect(() => {
+    const openBoards = async () => {
+      try {
+        const list = await loadBoards();
+        const saved = localStorage.getItem(ACTIVE_BOARD_KEY);
+        setBoards(list);
+        selectBoard(list.some((board) => board.id === saved) ? saved : pickBoard(list));
+      } catch (error) {
+        console.error('Error loading boards:', error);
+        alert('Could not open the board storage: ' + error.message);
+      }
+    };
+
+    openBoards();
+  }, []);
+
+  const createBoard = async (name, content) => {
+    try {
+      const board = await createBoardRecord(name, content);
+      setBoards((prev) => [...prev, board]);
+      selectBoard(board.id);
+    } catch (error) {
+      alert('Error creating board: ' + error.message);
+    }
+  };
+
+  // A copy starts with the same categories, cards and raw data, but no
+  // undo history and no unfinished AI run
+  const duplicateBoard = async (id) => {
+    const source = boards.find((board) => board.id === id);
+    if (!source) return;
+    try {
+      const content = (await getBoardData(id)) || {};
+      await createBoard(`${source.name} (copy)`, { ...content, history: undefined });
+    } catch (error) {
+      alert('Error duplicating board: ' + error.message);
+    }
+  };
+
+  const updateBoard = async (id, changes) => {
+    const board = boards.find((board) => board.id === id);
+    if (!board) return;
+    const updated = { ...board, ...changes };
+    try {
+      await saveBoard(updated);
+      setBoards((prev) => prev.map((other) => (other.id === id ? updated : other)));
+    } catch (error) {
+      alert('Error saving board: ' + error.message);
+    }
+  };
+
+  const renameBoard = (id, name) => updateBoard(id, { name });
+
+  // Archiving the open board switches to another one, if there is one
+  const archiveBoard = async (id, archived = true) => {
+    await updateBoard(id, { archived });
+    if (archived && id === activeBoardId) {
+      const next = boards.find((board) => board.id !== id && !board.archived);
+      if (next) selectBoard(next.id);
+    }
+  };
+
+  // Deleting the last board leaves a new, empty one
+  const deleteBoard = async (id) => {
+    try {
+      await deleteBoardRecord(id);
+    } catch (error) {
+      alert('Error deleting board: ' + error.message);
+      return;
+    }
+    clearClassificationRun(id);
+    const rest = boards.filter((board) => board.id !== id);
+    setBoards(rest);
+    if (rest.length === 0) {
+      await createBoard('Untitled board');
+    } else if (id === activeBoardId) {
+      selectBoard(pickBoard(rest));
+    }
+  };
+
+  return {
+    boards,
+    activeBoardId,
+    activeBoard: boards.find((board) => board.id === activeBoardId) || null,
+    selectBoard,
+    createBoard,
+    duplicateBoard,
+    renameBoard,
+    archiveBoard,
+    deleteBoard,
+  };
+};
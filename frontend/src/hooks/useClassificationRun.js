@@ -0,0 +1,112 @@
+import { useState, useRef } from 'react';
+import { getClassifierInfo, classifyChunk } from '../services/classify';
+
+const RUN_KEY = 'vevox-classification-run';
+const DEFAULT_CHUNK_SIZE = 25;
+
+// Each board has its own unfinished run: boards can share message IDs (a
+// duplicate, or two boards of one session)
+const runKey = (boardId) => `${RUN_KEY}:${boardId}`;
+
+// The messages an unfinished run still has to classify: { pendingIds, model }
+const readRun = (boardId) => {
+  if (!boardId) return null;
+  try {
+    return JSON.parse(localStorage.getItem(runKey(boardId))) || null;
+  } catch {
+    return null;
+  }
+};
+
+const saveRun = (boardId, run) => {
+  if (run && run.pendingIds.length > 0) {
+    localStorage.setItem(runKey(boardId), JSON.stringify(run));
+  } else {
+    localStorage.removeItem(runKey(boardId));
+  }
+};
+
+/**
+ * Forget a board's unfinished run, for when the board is deleted
+ * @param {string} boardId
+ */
+export const clearClassificationRun = (boardId) => saveRun(boardId, null);
+
+/**
+ * Classify a board in chunks, so large sessions stay under the model's limits
+ * and one failure loses nothing. The context is { categories, examples }, see
+ * classifyChunk. onChunk(classifications, runId) is called as each chunk
+ * comes back; runId is the same for all chunks of a run. The IDs still to do
+ * are kept in localStorage per board (boardId), so a run that failed, was
+ * cancelled or hit the page reload can be resumed on its own board.
+ * progress: { done, total } while running, else null
+ */
+export const useClassificationRun = ({ boardId, onChunk }) => {
+  const [progress, setProgress] = useState(null);
+  // The pending IDs of the open board's run
+  const [run, setRun] = useState(() => ({
+    boardId,
+    pendingIds: readRun(boardId)?.pendingIds || [],
+  }));
+  if (run.boardId !== boardId) {
+    setRun({ boardId, pendingIds: readRun(boardId)?.pendingIds || [] });
+  }
+  const { pendingIds } = run;
+  const controllerRef = useRef(null);
+
+  const execute = async (messages, context, model) => {
+    const runBoardId = boardId;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const runId = Date.now();
+    const total = messages.length;
+    // Everything not yet answered, and what the server gave up on
+    let remaining = messages;
+    const failed = [];
+    const persist = () => {
+      const ids = [...failed, ...remaining.map((m) => String(m.id))];
+      saveRun(runBoardId, { pendingIds: ids, model });
+      setRun((prev) => (prev.boardId === runBoardId ? { ...prev, pendingIds: ids } : prev));
+    };
+
+    persist();
+    setProgress({ done: 0, total });
+    try {
+      const info = await getClassifierInfo();
+      const chunkSize = info.chunkSize || DEFAULT_CHUNK_SIZE;
+
+      while (remaining.length > 0) {
+        const chunk = remaining.slice(0, chunkSize);
+        const { classifications, unclassified } = await classifyChunk(
+          chunk,
+          context,
+          model,
+          controller.signal
+        );
+        onChunk(classifications, runId);
+        failed.push(...unclassified.map(String));
+        remaining = remaining.slice(chunk.length);
+        persist();
+        setProgress({ done: total - remaining.length, total });
+      }
+      return { classified: total - failed.length, unclassified: failed.length };
+    } finally {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  // Classify all given messages, replacing any unfinished run
+  const start = (messages, context, model) => execute(messages, context, model);
+
+  // Continue an unfinished run with the messages of it still on the board
+  const resume = (allMessages, context, model) => {
+    const pending = new Set(pendingIds);
+    const messages = allMessages.filter((m) => pending.has(String(m.id)));
+    return execute(messages, context, model ?? readRun(boardId)?.model);
+  };
+
+  const cancel = () => controllerRef.current?.abort();
+
+  return { progress, pendingIds, start, resume, cancel };
+};
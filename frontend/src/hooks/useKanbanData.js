@@ -1,7 +1,28 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { appendLikePoint, mergeLikeHistory } from '../utils/likeHistory';
+import {
+  UNCATEGORIZED_ID,
+  DEFAULT_COLOR,
+  createDefaultBoard,
+  migrateBoard,
+  createCategoryId,
+  findCategory,
+} from '../utils/categories';
+import { getOriginals, mergeItems, splitItem, updateOriginals } from '../utils/duplicates';
+import {
+  EMPTY_HISTORY,
+  MAX_STORED_HISTORY,
+  findRestoredIds,
+  packEntries,
+  pushEntry,
+  restoreBoard,
+  restoreRawData,
+  unpackEntries,
+} from '../utils/history';
+import { getBoardData, saveBoardData } from '../services/boardStore';
 
-const STORAGE_KEY = 'vevox-kanban-data';
-const RAW_DATA_KEY = 'vevox-raw-data';
+// Cards placed by hand, kept as labeled examples for the AI prompt
+const MAX_STORED_EXAMPLES = 200;
 
 /**
  * Sort items by likes in descending order
@@ -37,88 +58,153 @@ const sortAllColumnsByLikes = (columns) => {
   return sortedColumns;
 };
 
-export const useKanbanData = () => {
-  const [columns, setColumns] = useState({
-    'uncategorized': {
-      id: 'uncategorized',
-      title: 'Uncategorized',
-      items: [],
-    },
-    'ui_ux': {
-      id: 'ui_ux',
-      title: 'UI/UX',
-      items: [],
-    },
-    'library': {
-      id: 'library',
-      title: 'Library',
-      items: [],
-    },
-    'ai': {
-      id: 'ai',
-      title: 'AI',
-      items: [],
-    },
-    'headless': {
-      id: 'headless',
-      title: 'Headless UI',
-      items: [],
-    }
-  });
-  
-  const [columnOrder, setColumnOrder] = useState(['uncategorized', 'ui_ux', 'library', 'ai', 'headless']);
-  const [loading, setLoading] = useState(true);
+// The content of one board (see useBoards), stored in IndexedDB by
+// services/boardStore.js and loaded again when boardId changes
+export const useKanbanData = (boardId) => {
+  // Columns are the user's categories, see utils/categories.js
+  const [columns, setColumns] = useState(() => createDefaultBoard().columns);
+  const [columnOrder, setColumnOrder] = useState(() => createDefaultBoard().columnOrder);
+  // The board the state above belongs to; until it is boardId, it is loading
+  const [loadedBoardId, setLoadedBoardId] = useState(null);
+  const loading = loadedBoardId !== boardId;
   const [rawData, setRawData] = useState([]);
+  // [{ id, text, category, labeledAt }], one per message, newest last
+  const [examples, setExamples] = useState([]);
+  // { past, future }: boards to go back and forward to, latest last
+  const [history, setHistory] = useState(EMPTY_HISTORY);
 
-  // Load from localStorage on mount
+  // Load the board whenever another one is opened
   useEffect(() => {
+    if (!boardId) return;
+    let cancelled = false;
+
     const loadData = async () => {
+      let saved = null;
       try {
-        const savedData = localStorage.getItem(STORAGE_KEY);
-        const savedRawData = localStorage.getItem(RAW_DATA_KEY);
-        
-        if (savedRawData) {
-          setRawData(JSON.parse(savedRawData));
-        }
-        
-        if (savedData) {
-          const parsed = JSON.parse(savedData);
-          // Check if the saved data has the new column structure. If not, we might need to migrate or reset.
-          // Simple check: see if 'ui_ux' exists.
-          if (parsed.columns && parsed.columns['ui_ux']) {
-              setColumns(sortAllColumnsByLikes(parsed.columns));
-              setColumnOrder(parsed.columnOrder);
-          } else {
-             // Migration or Fallback: If old structure, put everything in uncategorized
-             // For simplicity in this session, we might just default to initial state if structure mismatches,
-             // but let's try to preserve items if possible.
-             if (parsed.columns) {
-                 const allItems = Object.values(parsed.columns).flatMap(c => c.items);
-                 setColumns(prev => sortAllColumnsByLikes({
-                     ...prev,
-                     'uncategorized': { ...prev.uncategorized, items: allItems }
-                 }));
-             }
-          }
-        }
+        saved = await getBoardData(boardId);
       } catch (error) {
         console.error("Error loading data:", error);
-      } finally {
-        setLoading(false);
       }
+      // Switched again while this one was loading
+      if (cancelled) return;
+
+      // Older boards get descriptions and colors, and every card is kept
+      const board = saved?.columns ? migrateBoard(saved) : createDefaultBoard();
+      const current = { columns: sortAllColumnsByLikes(board.columns), columnOrder: board.columnOrder };
+      setColumns(current.columns);
+      setColumnOrder(current.columnOrder);
+      const savedRawData = saved?.rawData || [];
+      setRawData(savedRawData);
+      setExamples(saved?.examples || []);
+      setHistory({
+        past: unpackEntries(saved?.history?.past || [], current, savedRawData),
+        future: unpackEntries(saved?.history?.future || [], current, savedRawData)
+      });
+      setLoadedBoardId(boardId);
     };
 
     loadData();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [boardId]);
 
-  // Save to localStorage whenever state changes
+  // Save the board whenever it changes; history entries only keep the
+  // cards they changed (see packEntries)
   useEffect(() => {
-    if (!loading) {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify({ columns, columnOrder }));
-    }
-  }, [columns, columnOrder, loading]);
+    if (loading) return;
+    saveBoardData(loadedBoardId, {
+      columns,
+      columnOrder,
+      rawData,
+      examples,
+      history: {
+        past: packEntries(history.past.slice(-MAX_STORED_HISTORY), { columns, columnOrder }, rawData),
+        future: packEntries(history.future.slice(-MAX_STORED_HISTORY), { columns, columnOrder }, rawData)
+      }
+    }).catch(error => console.error("Error saving data:", error));
+  }, [columns, columnOrder, rawData, examples, history, loadedBoardId, loading]);
+
+  // The board as last rendered, for changes that come from callbacks held
+  // since an earlier render (the chunks of an AI run)
+  const boardRef = useRef({ columns, columnOrder });
+  useEffect(() => {
+    boardRef.current = { columns, columnOrder };
+  });
+
+  // Remember the board as it is before a change, so it can be undone.
+  // options: { group } merges consecutive changes of one group into one
+  // entry; { addedIds } are the cards the change brings in (imports);
+  // { rawData } is the raw data to go back to, for changes to it.
+  const record = (label, { group = null, addedIds = [], rawData: previousRawData } = {}) => {
+    const entry = {
+      label,
+      group,
+      addedIds,
+      board: boardRef.current,
+      ...(previousRawData && { rawData: previousRawData }),
+      recordedAt: new Date().toISOString()
+    };
+    setHistory(prev => ({ past: pushEntry(prev.past, entry), future: [] }));
+  };
+
+  const undo = () => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return;
+    const current = { columns, columnOrder };
+    const board = restoreBoard(entry.board, current, entry.addedIds);
+    setColumns(sortAllColumnsByLikes(board.columns));
+    setColumnOrder(board.columnOrder);
+    if (entry.rawData) setRawData(restoreRawData(entry.rawData, rawData, entry.addedIds));
+    const undone = {
+      ...entry,
+      board: current,
+      restoredIds: findRestoredIds(entry, current, rawData),
+      ...(entry.rawData && { rawData })
+    };
+    setHistory(prev => ({
+      past: prev.past.slice(0, -1),
+      future: [...prev.future, undone]
+    }));
+  };
+
+  const redo = () => {
+    const last = history.future[history.future.length - 1];
+    if (!last) return;
+    const { restoredIds, ...entry } = last;
+    const current = { columns, columnOrder };
+    const board = restoreBoard(entry.board, current, restoredIds);
+    setColumns(sortAllColumnsByLikes(board.columns));
+    setColumnOrder(board.columnOrder);
+    if (entry.rawData) setRawData(restoreRawData(entry.rawData, rawData, restoredIds));
+    const redone = { ...entry, board: current, ...(entry.rawData && { rawData }) };
+    setHistory(prev => ({
+      past: [...prev.past, redone],
+      future: prev.future.slice(0, -1)
+    }));
+  };
+
+  // A human decided where this card belongs: remember it as an example
+  const recordExample = (item, category) => {
+    setExamples(prev => {
+      const newExamples = [
+        ...prev.filter(example => example.id !== String(item.id)),
+        { id: String(item.id), text: item.message, category, labeledAt: new Date().toISOString() }
+      ].slice(-MAX_STORED_EXAMPLES);
+      return newExamples;
+    });
+  };
+
+  // Mark a card as placed by hand: AI runs leave locked cards alone
+  const lockItem = (item, status) => ({
+    ...item,
+    locked: true,
+    review: item.classification ? { status, reviewedAt: new Date().toISOString() } : item.review
+  });
 
-  const moveCard = (source, destination) => {
+  const moveCard = (source, destination, draggableId) => {
+    // The board may show a filtered or re-sorted view, so the card is looked
+    // up by its ID rather than by the index it was displayed at
     if (!destination) return;
 
     if (
@@ -138,7 +224,19 @@ export const useKanbanData = () => {
       ? sourceItems 
       : [...destColumn.items];
 
-    const [removed] = sourceItems.splice(source.index, 1);
+    const sourceIndex = draggableId === undefined
+      ? source.index
+      : sourceItems.findIndex(item => String(item.id) === String(draggableId));
+    if (sourceIndex === -1) return;
+
+    let [removed] = sourceItems.splice(sourceIndex, 1);
+    // Dragging to another column is a manual correction
+    if (source.droppableId !== destination.droppableId) {
+      record('Move card');
+      const status = removed.classification?.category === destination.droppableId ? 'accepted' : 'corrected';
+      removed = lockItem(removed, status);
+      recordExample(removed, destination.droppableId);
+    }
     destItems.splice(destination.index, 0, removed);
 
     // Sort destination column by likes after adding the card
@@ -157,75 +255,358 @@ export const useKanbanData = () => {
     });
   };
 
-  const updateCategoryForIds = (classificationResult) => {
-    // classificationResult: { messageId: { category: 'ui_ux', sentiment: 'positive' } }
-    
-    const newColumns = { ...columns };
-    
-    // Gather all items
-    let allItems = [];
-    Object.values(newColumns).forEach(col => {
-      allItems = [...allItems, ...col.items];
-    });
-
-    // Clear columns
-    Object.keys(newColumns).forEach(key => {
-      newColumns[key].items = [];
-    });
+  const updateCategoryForIds = (classificationResult, runId = null) => {
+    // classificationResult: { messageId: { category: 'ui_ux', sentiment: 'positive', confidence: 0.8, rationale: '...' } }
+    // Only the messages in the result move, so chunks of a long AI run can be
+    // applied one by one as they come back; chunks with the same runId undo
+    // together. Locked cards never move.
+    record('AI categorization', { group: runId && `classify-${runId}` });
+    const classifiedAt = new Date().toISOString();
+    setColumns(prev => {
+      const newColumns = {};
+      const moved = [];
+      Object.keys(prev).forEach(key => {
+        newColumns[key] = {
+          ...prev[key],
+          items: prev[key].items.filter(item => {
+            if (!classificationResult[item.id] || item.locked) return true;
+            moved.push({ item, from: key });
+            return false;
+          })
+        };
+      });
 
-    allItems.forEach(item => {
-      let targetCat = 'uncategorized';
-      
-      if (classificationResult[item.id]) {
+      moved.forEach(({ item, from }) => {
         const result = classificationResult[item.id];
-        
-        // Update the item's sentiment/tag
-        item.sentiment = result.sentiment; // 'positive', 'negative', 'question', 'neutral'
-        
-        // Determine Target Column
-        const assignedCat = result.category ? result.category.toLowerCase() : 'uncategorized';
-        
-        if (newColumns[assignedCat]) {
-          targetCat = assignedCat;
-        }
-      }
-      
-      newColumns[targetCat].items.push(item);
-    });
+        // Unknown categories fall back to 'uncategorized'
+        const target = findCategory(newColumns, result.category)?.id || UNCATEGORIZED_ID;
+        // Contested: an earlier run chose differently, or a moderator had
+        // corrected the card to another column
+        const earlier = item.review?.status === 'corrected' ? from : item.classification?.category;
+        newColumns[target].items.push({
+          ...item,
+          sentiment: result.sentiment,
+          classification: {
+            category: target,
+            confidence: result.confidence ?? null,
+            rationale: result.rationale ?? null,
+            classifiedAt,
+            contestedWith: earlier && earlier !== target ? earlier : null
+          },
+          review: null
+        });
+      });
 
-    // Sort all columns by likes after categorization
-    setColumns(sortAllColumnsByLikes(newColumns));
+      // Sort all columns by likes after categorization
+      return sortAllColumnsByLikes(newColumns);
+    });
   };
 
-  const addMessages = (messages) => {
+  const addMessages = (messages, observedAt = new Date().toISOString()) => {
+    // observedAt: when these like counts were read (e.g. the snapshot time)
     if (!Array.isArray(messages) || messages.length === 0) return;
     
-    // Store raw data for export
+    // Store raw data for export, replacing earlier copies of the same message
     setRawData(prev => {
-      const newRawData = [...prev, ...messages];
-      localStorage.setItem(RAW_DATA_KEY, JSON.stringify(newRawData));
+      const incomingById = new Map(messages.map(msg => [String(msg.id), msg]));
+      const newRawData = [
+        ...prev.filter(msg => !incomingById.has(String(msg.id))),
+        ...messages
+      ];
       return newRawData;
     });
     
     setColumns(prev => {
-        const newItems = sortByLikes([...prev['uncategorized'].items, ...messages]);
+        // Messages already on the board are updated in place so they keep
+        // their column and sentiment; only unseen ones go to 'uncategorized'
+        const incomingById = new Map(messages.map(msg => [String(msg.id), msg]));
+        const newColumns = {};
+        const withHistory = (msg, history) => ({
+            ...msg,
+            likeHistory: appendLikePoint(mergeLikeHistory(history, msg.likeHistory), msg.likes, observedAt)
+        });
+
+        const applyUpdate = (item) => {
+            const update = incomingById.get(String(item.id));
+            if (!update) return item;
+            incomingById.delete(String(item.id));
+            return withHistory({ ...item, ...update }, item.likeHistory);
+        };
+
+        Object.keys(prev).forEach(key => {
+            // Merged cards are updated through their originals
+            const items = prev[key].items.map(item =>
+                item.merged ? updateOriginals(item, applyUpdate, observedAt) : applyUpdate(item)
+            );
+            newColumns[key] = { ...prev[key], items: sortByLikes(items) };
+        });
+
+        const newItems = [...incomingById.values()].map(msg => withHistory(msg, []));
+        newColumns[UNCATEGORIZED_ID] = {
+            ...newColumns[UNCATEGORIZED_ID],
+            items: sortByLikes([...newColumns[UNCATEGORIZED_ID].items, ...newItems])
+        };
+        return newColumns;
+    });
+  };
+
+  // Messages loaded by hand (fetch, file, history), as opposed to the live
+  // watch: they can be undone
+  const importMessages = (messages, observedAt) => {
+    if (!Array.isArray(messages) || messages.length === 0) return;
+    const onBoard = new Set(
+      Object.values(columns).flatMap(column =>
+        column.items.flatMap(getOriginals).map(item => String(item.id))
+      )
+    );
+    record('Import', {
+      addedIds: messages.map(msg => String(msg.id)).filter(id => !onBoard.has(id)),
+      rawData
+    });
+    addMessages(messages, observedAt);
+  };
+
+  const updateLikes = (changes) => {
+    // changes: [{ id, likes }] from a live watch
+    if (!Array.isArray(changes) || changes.length === 0) return;
+    const observedAt = new Date().toISOString();
+
+    setRawData(prev => {
+      const likesById = new Map(changes.map(c => [String(c.id), c.likes]));
+      const newRawData = prev.map(msg =>
+        likesById.has(String(msg.id)) ? { ...msg, likes: likesById.get(String(msg.id)) } : msg
+      );
+      return newRawData;
+    });
+
+    setColumns(prev => {
+        const likesById = new Map(changes.map(c => [String(c.id), c.likes]));
+        const newColumns = {};
+        const applyLikes = (item) => {
+            if (!likesById.has(String(item.id))) return item;
+            const likes = likesById.get(String(item.id));
+            return { ...item, likes, likeHistory: appendLikePoint(item.likeHistory, likes, observedAt) };
+        };
+        Object.keys(prev).forEach(key => {
+            const items = prev[key].items.map(item =>
+                item.merged ? updateOriginals(item, applyLikes, observedAt) : applyLikes(item)
+            );
+            newColumns[key] = { ...prev[key], items: sortByLikes(items) };
+        });
+        return newColumns;
+    });
+  };
+
+  // Review of an AI assignment: keep the card where it is, or correct it by
+  // moving it to another column. Either way it leaves the review queue, is
+  // locked and becomes a labeled example.
+  const reviewCard = (id, categoryId) => {
+    const from = Object.keys(columns).find(key =>
+      columns[key].items.some(item => String(item.id) === String(id))
+    );
+    if (!from || !columns[categoryId]) return;
+    record('Review card');
+    recordExample(columns[from].items.find(item => String(item.id) === String(id)), categoryId);
+
+    setColumns(prev => {
+      const from = Object.keys(prev).find(key =>
+        prev[key].items.some(item => String(item.id) === String(id))
+      );
+      if (!from || !prev[categoryId]) return prev;
+      const item = prev[from].items.find(item => String(item.id) === String(id));
+      const status = item.classification?.category === categoryId ? 'accepted' : 'corrected';
+      const reviewed = lockItem(item, status);
+
+      if (from === categoryId) {
         return {
-            ...prev,
-            'uncategorized': {
-                ...prev['uncategorized'],
-                items: newItems
-            }
+          ...prev,
+          [from]: {
+            ...prev[from],
+            items: prev[from].items.map(other => other === item ? reviewed : other)
+          }
+        };
+      }
+      return {
+        ...prev,
+        [from]: { ...prev[from], items: prev[from].items.filter(other => other !== item) },
+        [categoryId]: {
+          ...prev[categoryId],
+          items: sortByLikes([...prev[categoryId].items, reviewed])
+        }
+      };
+    });
+  };
+
+  // Let AI runs classify a hand-placed card again
+  const unlockCard = (id) => {
+    record('Unlock card');
+    setColumns(prev => {
+      const newColumns = {};
+      Object.keys(prev).forEach(key => {
+        newColumns[key] = {
+          ...prev[key],
+          items: prev[key].items.map(item =>
+            String(item.id) === String(id) ? { ...item, locked: false } : item
+          )
+        };
+      });
+      return newColumns;
+    });
+  };
+
+  // Near-duplicates. Merging keeps the most liked card, in its column, with
+  // the combined likes and the originals in `merged`.
+  const mergeCards = (ids) => {
+    record('Merge cards');
+    const idSet = new Set(ids.map(String));
+    setColumns(prev => {
+      const picked = [];
+      Object.keys(prev).forEach(key => {
+        prev[key].items.forEach(item => {
+          if (idSet.has(String(item.id))) picked.push({ item, key });
+        });
+      });
+      if (picked.length < 2) return prev;
+      picked.sort((a, b) => (b.item.likes || 0) - (a.item.likes || 0));
+      const target = picked[0].key;
+      const merged = mergeItems(picked.map(({ item }) => item));
+
+      const newColumns = {};
+      Object.keys(prev).forEach(key => {
+        const items = prev[key].items.filter(item => !idSet.has(String(item.id)));
+        newColumns[key] = { ...prev[key], items: key === target ? sortByLikes([...items, merged]) : items };
+      });
+      return newColumns;
+    });
+  };
+
+  // Take one original (or, without originalId, all of them) out of a merged
+  // card. Split cards stay in the column and no longer stack.
+  const splitCard = (id, originalId) => {
+    record('Split card');
+    setColumns(prev => {
+      const key = Object.keys(prev).find(key =>
+        prev[key].items.some(item => String(item.id) === String(id) && item.merged)
+      );
+      if (!key) return prev;
+      const card = prev[key].items.find(item => String(item.id) === String(id));
+      const { card: rest, split } = splitItem(card, originalId);
+      return {
+        ...prev,
+        [key]: {
+          ...prev[key],
+          items: sortByLikes([
+            ...prev[key].items.filter(item => item !== card),
+            ...(rest ? [rest] : []),
+            ...split.map(original => ({ ...original, separate: true }))
+          ])
+        }
+      };
+    });
+  };
+
+  // "Not a duplicate": keep the card out of stacks
+  const separateCard = (id) => {
+    record('Unstack card');
+    setColumns(prev => {
+      const newColumns = {};
+      Object.keys(prev).forEach(key => {
+        newColumns[key] = {
+          ...prev[key],
+          items: prev[key].items.map(item =>
+            String(item.id) === String(id) ? { ...item, separate: true } : item
+          )
         };
+      });
+      return newColumns;
+    });
+  };
+
+  // Category editing. Ids never change, so classifications and stored cards
+  // keep pointing at the right column through renames.
+  const addCategory = ({ title, description = '', color = DEFAULT_COLOR }) => {
+    const id = createCategoryId(title, columns);
+    record('Add category');
+    setColumns(prev => ({ ...prev, [id]: { id, title, description, color, items: [] } }));
+    setColumnOrder(prev => [...prev, id]);
+    return id;
+  };
+
+  const updateCategory = (id, changes) => {
+    // changes: any of { title, description, color }; typing into one field
+    // is one undo step
+    record('Edit category', { group: `category-${id}-${Object.keys(changes).join()}` });
+    setColumns(prev => prev[id] ? { ...prev, [id]: { ...prev[id], ...changes, id } } : prev);
+  };
+
+  const deleteCategory = (id) => {
+    // Cards of a deleted category go back to 'uncategorized'
+    if (id === UNCATEGORIZED_ID) return;
+    record('Delete category');
+    setColumns(prev => {
+      if (!prev[id]) return prev;
+      const { [id]: removed, ...rest } = prev;
+      return {
+        ...rest,
+        [UNCATEGORIZED_ID]: {
+          ...rest[UNCATEGORIZED_ID],
+          items: sortByLikes([...rest[UNCATEGORIZED_ID].items, ...removed.items])
+        }
+      };
+    });
+    setColumnOrder(prev => prev.filter(columnId => columnId !== id));
+    setExamples(prev => prev.filter(example => example.category !== id));
+  };
+
+  const moveCategory = (id, offset) => {
+    // offset: -1 moves the column left, 1 right
+    record('Move category');
+    setColumnOrder(prev => {
+      const from = prev.indexOf(id);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= prev.length) return prev;
+      const order = [...prev];
+      order.splice(to, 0, ...order.splice(from, 1));
+      return order;
     });
   };
 
   const resetData = () => {
-    if (confirm("Are you sure you want to clear all data?")) {
-        localStorage.removeItem(STORAGE_KEY);
-        localStorage.removeItem(RAW_DATA_KEY);
-        window.location.reload();
+    if (confirm("Are you sure you want to clear all data on this board?")) {
+        // Labeled examples stay: they teach the AI the team's taxonomy.
+        // The reset is an undo step, raw data included.
+        record("Reset board", { rawData });
+        const board = createDefaultBoard();
+        setColumns(board.columns);
+        setColumnOrder(board.columnOrder);
+        setRawData([]);
     }
   };
 
-  return { columns, columnOrder, loading, moveCard, updateCategoryForIds, resetData, addMessages, rawData };
+  return {
+    columns,
+    columnOrder,
+    loading,
+    moveCard,
+    updateCategoryForIds,
+    reviewCard,
+    unlockCard,
+    mergeCards,
+    splitCard,
+    separateCard,
+    examples,
+    addCategory,
+    updateCategory,
+    deleteCategory,
+    moveCategory,
+    resetData,
+    addMessages,
+    importMessages,
+    updateLikes,
+    undo,
+    redo,
+    undoLabel: history.past[history.past.length - 1]?.label || null,
+    redoLabel: history.future[history.future.length - 1]?.label || null,
+    rawData
+  };
 };
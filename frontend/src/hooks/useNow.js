@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Current time in ms, refreshed every intervalMs so relative labels stay current
+ */
+export const useNow = (intervalMs = 30000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
@@ -0,0 +1,66 @@
+import { useState, useEffect, useRef } from 'react';
+import { API_URL } from '../config';
+
+const WATCH_URL = `${API_URL}/watch`;
+
+/**
+ * Subscribe to live updates of a Vevox session over Server-Sent Events.
+ * handlers: { onSnapshot(result), onMessages(messages), onLikes(changes), onError(message, fatal) }
+ * status: 'idle' | 'connecting' | 'live' | 'error'
+ */
+export const useSessionWatch = (handlers) => {
+  const [watchUrl, setWatchUrl] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const handlersRef = useRef(handlers);
+
+  // Always call the latest handlers without reopening the stream
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!watchUrl) return;
+
+    const source = new EventSource(`${WATCH_URL}?url=${encodeURIComponent(watchUrl)}`);
+
+    source.addEventListener('snapshot', (e) => {
+      setStatus('live');
+      handlersRef.current.onSnapshot?.(JSON.parse(e.data));
+    });
+
+    source.addEventListener('messages', (e) => {
+      handlersRef.current.onMessages?.(JSON.parse(e.data).messages);
+    });
+
+    source.addEventListener('likes', (e) => {
+      handlersRef.current.onLikes?.(JSON.parse(e.data).likes);
+    });
+
+    source.addEventListener('watch-error', (e) => {
+      const data = JSON.parse(e.data);
+      handlersRef.current.onError?.(data.error, Boolean(data.fatal));
+      if (data.fatal) {
+        source.close();
+        setStatus('error');
+        setWatchUrl(null);
+      }
+    });
+
+    // Connection dropped: EventSource reconnects on its own
+    source.onerror = () => setStatus('connecting');
+
+    return () => source.close();
+  }, [watchUrl]);
+
+  const startWatching = (url) => {
+    setStatus('connecting');
+    setWatchUrl(url);
+  };
+
+  const stopWatching = () => {
+    setStatus('idle');
+    setWatchUrl(null);
+  };
+
+  return { watchUrl, status, startWatching, stopWatching };
+};
@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react';
+
+// Text fields keep their own undo
+const isEditable = (target) =>
+  Boolean(target?.isContentEditable) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+
+/**
+ * Ctrl+Z (Cmd+Z on macOS) undoes, Ctrl+Shift+Z or Ctrl+Y redoes, except while
+ * typing in a field
+ */
+export const useUndoShortcuts = ({ onUndo, onRedo }) => {
+  const handlersRef = useRef({ onUndo, onRedo });
+
+  // Always call the latest handlers without re-adding the listener
+  useEffect(() => {
+    handlersRef.current = { onUndo, onRedo };
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditable(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handlersRef.current.onUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handlersRef.current.onRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+};
@@ -0,0 +1,135 @@
+// Boards are kept in IndexedDB, which holds far more than localStorage's few
+// megabytes. The "boards" store has what the switcher lists
+// ({ id, name, archived, createdAt }); "boardData" has each board's content
+// ({ id, columns, columnOrder, rawData, examples, history }), read only for
+// the board that is open.
+const DB_NAME = "vevox-analyzer";
+const DB_VERSION = 1;
+const BOARDS = "boards";
+const BOARD_DATA = "boardData";
+
+// Where versions before named boards kept their single board
+const LEGACY_KEYS = {
+  board: "vevox-kanban-data",
+  rawData: "vevox-raw-data",
+  examples: "vevox-labeled-examples",
+  history: "vevox-board-history",
+};
+
+let dbPromise = null;
+let setupPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(BOARDS, { keyPath: "id" });
+        db.createObjectStore(BOARD_DATA, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run work(boards, boardData) in one transaction; resolves with the result
+// of the request work returns, once everything is written
+const transact = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([BOARDS, BOARD_DATA], mode);
+    const request = work(tx.objectStore(BOARDS), tx.objectStore(BOARD_DATA));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const byCreation = (a, b) => a.createdAt.localeCompare(b.createdAt);
+
+export const listBoards = async () =>
+  (await transact("readonly", (boards) => boards.getAll())).sort(byCreation);
+
+export const getBoardData = (id) =>
+  transact("readonly", (_, boardData) => boardData.get(id));
+
+export const saveBoardData = (id, content) =>
+  transact("readwrite", (_, boardData) => boardData.put({ ...content, id }));
+
+export const saveBoard = (board) =>
+  transact("readwrite", (boards) => boards.put(board));
+
+/**
+ * Add a board with its content, both or neither
+ * @returns {Promise<Object>} - The new board
+ */
+export const createBoard = async (name, content = {}) => {
+  const board = {
+    id: crypto.randomUUID(),
+    name,
+    archived: false,
+    createdAt: new Date().toISOString(),
+  };
+  await transact("readwrite", (boards, boardData) => {
+    boards.put(board);
+    boardData.put({ ...content, id: board.id });
+  });
+  return board;
+};
+
+export const deleteBoard = (id) =>
+  transact("readwrite", (boards, boardData) => {
+    boards.delete(id);
+    boardData.delete(id);
+  });
+
+/**
+ * The board an older version left in localStorage, or null
+ */
+const readLegacyBoard = () => {
+  const read = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch {
+      return null;
+    }
+  };
+  const board = read(LEGACY_KEYS.board);
+  if (!board) return null;
+  return {
+    ...board,
+    rawData: read(LEGACY_KEYS.rawData) || [],
+    examples: read(LEGACY_KEYS.examples) || [],
+    history: read(LEGACY_KEYS.history) || undefined,
+  };
+};
+
+const clearLegacyBoard = () =>
+  Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key));
+
+/**
+ * All boards, oldest first. On the first start there are none yet: the board
+ * an older version left in localStorage moves here, else an empty one is
+ * made. Calls made while that runs share it, so it happens once.
+ */
+export const loadBoards = () => {
+  if (!setupPromise) {
+    setupPromise = (async () => {
+      const list = await listBoards();
+      if (list.length > 0) return list;
+      const legacy = readLegacyBoard();
+      const board = await createBoard(legacy ? "My board" : "Untitled board", legacy || {});
+      clearLegacyBoard();
+      return [board];
+    })().finally(() => {
+      setupPromise = null;
+    });
+  }
+  return setupPromise;
+};
@@ -0,0 +1,53 @@
+import { API_URL } from "../config";
+
+// AI classification goes through the server, which holds the provider's
+// API key (see /api/classify in index.js)
+
+const requestJson = async (path, options) => {
+  const response = await fetch(`${API_URL}${path}`, options);
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(
+      data.error || `Request failed: ${response.statusText}`,
+    );
+    error.code = data.code;
+    throw error;
+  }
+  return data;
+};
+
+// { provider, model, configured }
+export const getClassifierInfo = () => requestJson("/classify");
+
+export const getAvailableModels = async () =>
+  (await requestJson("/classify/models")).models;
+
+/**
+ * Classify one chunk of messages into the board's categories and a sentiment.
+ * `examples` ([{ text, category }], cards placed by hand) guide the model.
+ * Resolves with { classifications: { [messageId]: { category, sentiment,
+ * confidence, rationale } }, unclassified: [messageId] }; the server
+ * validates and retries the answer. `model` overrides the server's model.
+ */
+export const classifyChunk = async (
+  messages,
+  { categories, examples = [] },
+  model,
+  signal,
+) => {
+  const data = await requestJson("/classify", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      messages: messages.map((m) => ({ id: m.id, text: m.message })),
+      categories,
+      examples,
+      model: model || undefined,
+    }),
+    signal,
+  });
+  return {
+    classifications: data.classifications,
+    unclassified: data.unclassified || [],
+  };
+};
@@ -0,0 +1,48 @@
+import { API_URL } from "../config";
+const POLL_INTERVAL_MS = 1000;
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+const requestJson = async (path, options) => {
+  const response = await fetch(`${API_URL}${path}`, options);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed: ${response.statusText}`);
+  }
+  return data;
+};
+
+// credentials: { pin, password, name } for sessions behind a join flow
+export const startScrapeJob = (url, credentials = {}) =>
+  requestJson("/scrape", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ url, ...credentials }),
+  });
+
+export const getScrapeJob = (jobId) => requestJson(`/jobs/${jobId}`);
+
+export const cancelScrapeJob = (jobId) =>
+  requestJson(`/jobs/${jobId}`, { method: "DELETE" });
+
+/**
+ * Poll a scrape job until it finishes.
+ * Resolves with the scrape result, rejects if the job fails or is cancelled.
+ * A failed job's errorCode (e.g. PIN_REQUIRED) is kept on the error as `code`.
+ */
+export const waitForScrapeJob = async (jobId, onProgress) => {
+  for (;;) {
+    const job = await getScrapeJob(jobId);
+    onProgress?.(job);
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      if (job.status === "completed") return job.result;
+      const error = new Error(
+        job.status === "cancelled" ? "Scrape was cancelled" : job.error,
+      );
+      error.code = job.errorCode;
+      throw error;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+};
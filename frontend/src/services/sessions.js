@@ -0,0 +1,20 @@
+import { API_URL } from "../config";
+
+const requestJson = async (path) => {
+  const response = await fetch(`${API_URL}${path}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed: ${response.statusText}`);
+  }
+  return data;
+};
+
+export const listSessions = async () => (await requestJson("/sessions")).sessions;
+
+export const getSession = (sessionId) => requestJson(`/sessions/${sessionId}`);
+
+export const getLatestState = (sessionId) =>
+  requestJson(`/sessions/${sessionId}/latest`);
+
+export const getSnapshot = (sessionId, snapshotId) =>
+  requestJson(`/sessions/${sessionId}/snapshots/${snapshotId}`);
@@ -0,0 +1,118 @@
+// Session statistics for the dashboard, computed from the board as shown
+// (after the board view's filters). Merged cards count as the messages they
+// were merged from; likes are the same either way.
+import { getSentTime } from './boardView';
+import { getContentWords, getOriginals } from './duplicates';
+
+export const SENTIMENTS = ['positive', 'negative', 'question', 'neutral'];
+
+// Upper bounds of the likes histogram buckets; the last bucket is open
+const LIKE_BUCKETS = [0, 1, 4, 9, 19, 49];
+
+// Candidate widths of a time bucket; the smallest that gives at most
+// MAX_TIME_BUCKETS bars is used
+const TIME_STEPS_MIN = [1, 2, 5, 10, 15, 30, 60, 120, 240, 720, 1440];
+const MAX_TIME_BUCKETS = 48;
+
+const messagesOf = (column) => column.items.flatMap(getOriginals);
+
+/**
+ * Messages, likes and sentiments per column, in board order
+ * @returns {{id: string, title: string, color: string, count: number, likes: number, sentiments: Object<string, number>}[]}
+ */
+export const getCategoryStats = (columns, columnOrder) =>
+  columnOrder.map((columnId) => {
+    const column = columns[columnId];
+    const messages = messagesOf(column);
+    const sentiments = Object.fromEntries(SENTIMENTS.map((sentiment) => [sentiment, 0]));
+    // Cards the AI has not seen yet count as neutral, as in the filters.
+    // Sentiment is set per card, so merged originals take the card's.
+    column.items.forEach((item) => {
+      sentiments[SENTIMENTS.includes(item.sentiment) ? item.sentiment : 'neutral'] +=
+        getOriginals(item).length;
+    });
+    return {
+      id: column.id,
+      title: column.title,
+      color: column.color,
+      count: messages.length,
+      likes: messages.reduce((sum, msg) => sum + (msg.likes || 0), 0),
+      sentiments,
+    };
+  });
+
+/**
+ * How many messages got how many likes
+ * @returns {{label: string, count: number}[]}
+ */
+export const getLikesDistribution = (messages) => {
+  const buckets = LIKE_BUCKETS.map((max, i) => {
+    const min = i === 0 ? 0 : LIKE_BUCKETS[i - 1] + 1;
+    return { min, max, label: min === max ? String(min) : `${min}–${max}`, count: 0 };
+  });
+  const last = LIKE_BUCKETS[LIKE_BUCKETS.length - 1];
+  buckets.push({ min: last + 1, max: Infinity, label: `${last + 1}+`, count: 0 });
+
+  messages.forEach((msg) => {
+    const likes = msg.likes || 0;
+    buckets.find((bucket) => likes <= bucket.max).count++;
+  });
+  return buckets.map(({ label, count }) => ({ label, count }));
+};
+
+/**
+ * Messages per time bucket, from the sent times. Messages without one are
+ * counted separately.
+ * @returns {{buckets: {start: number, count: number}[], stepMinutes: number, undated: number}}
+ */
+export const getMessagesOverTime = (messages) => {
+  const times = messages.map(getSentTime).filter((time) => time !== null);
+  const undated = messages.length - times.length;
+  if (times.length === 0) return { buckets: [], stepMinutes: 0, undated };
+
+  const first = Math.min(...times);
+  const last = Math.max(...times);
+  const stepMinutes =
+    TIME_STEPS_MIN.find((step) => (last - first) / (step * 60000) < MAX_TIME_BUCKETS) ||
+    TIME_STEPS_MIN[TIME_STEPS_MIN.length - 1];
+  const stepMs = stepMinutes * 60000;
+  const start = Math.floor(first / stepMs) * stepMs;
+
+  const buckets = Array.from({ length: Math.floor((last - start) / stepMs) + 1 }, (_, i) => ({
+    start: start + i * stepMs,
+    count: 0,
+  }));
+  times.forEach((time) => buckets[Math.floor((time - start) / stepMs)].count++);
+  return { buckets, stepMinutes, undated };
+};
+
+/**
+ * The most liked questions: cards the AI marked as questions, or, before any
+ * AI run, cards with a question mark
+ */
+export const getTopQuestions = (items, limit) =>
+  items
+    .filter((item) =>
+      item.sentiment ? item.sentiment === 'question' : (item.message || '').includes('?')
+    )
+    .sort((a, b) => (b.likes || 0) - (a.likes || 0))
+    .slice(0, limit);
+
+/**
+ * The most frequent words, counting each word once per message
+ * @returns {{word: string, count: number}[]}
+ */
+export const getKeywordFrequency = (messages, limit) => {
+  const counts = new Map();
+  messages.forEach((msg) => {
+    new Set(getContentWords(msg.message)).forEach((word) => {
+      // Very short words and bare numbers are rarely what a session is about
+      if (word.length < 3 || /^\d+$/.test(word)) return;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    });
+  });
+  return [...counts.entries()]
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, limit);
+};
@@ -0,0 +1,216 @@
+// A board view decides which cards are shown and in which order. It never
+// changes the stored columns, so drag and drop and AI runs see every card.
+// The view lives in the URL query string, so a filtered board can be
+// bookmarked and shared.
+
+export const SORT_OPTIONS = [
+  { value: 'likes', label: 'Most liked' },
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+];
+
+export const SENTIMENT_OPTIONS = [
+  { value: 'positive', label: 'Positive' },
+  { value: 'negative', label: 'Negative' },
+  { value: 'question', label: 'Question' },
+  { value: 'neutral', label: 'Neutral' },
+];
+
+export const DEFAULT_VIEW = {
+  sortBy: 'likes',
+  query: '', // every word must appear in the message or author
+  sentiments: [], // empty shows all
+  minLikes: '', // number input value, inclusive
+  maxLikes: '', // number input value, inclusive
+  categories: [], // column IDs; empty shows all
+  from: '', // datetime-local value, inclusive
+  to: '', // datetime-local value, inclusive
+};
+
+// Query string parameter of each view field; lists are comma separated
+const QUERY_PARAMS = {
+  sortBy: 'sort',
+  query: 'q',
+  sentiments: 'sentiment',
+  minLikes: 'minLikes',
+  maxLikes: 'maxLikes',
+  categories: 'category',
+  from: 'from',
+  to: 'to',
+};
+
+/**
+ * Sent time of a card in ms, or null when the parser could not read it
+ */
+export const getSentTime = (item) => {
+  if (!item?.sentAt) return null;
+  const time = new Date(item.sentAt).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Whether the cards were sent on more than one day, so their faces need the
+ * date as well as the time
+ */
+export const spansSeveralDays = (columns) => {
+  const days = new Set();
+  Object.values(columns).forEach((column) =>
+    column.items.forEach((item) => {
+      const time = getSentTime(item);
+      if (time !== null) days.add(new Date(time).toDateString());
+    })
+  );
+  return days.size > 1;
+};
+
+const byLikes = (a, b) => (b?.likes || 0) - (a?.likes || 0);
+
+// Cards without a sent time go last in both time orders
+const byTime = (direction) => (a, b) => {
+  const timeA = getSentTime(a);
+  const timeB = getSentTime(b);
+  if (timeA === null && timeB === null) return byLikes(a, b);
+  if (timeA === null) return 1;
+  if (timeB === null) return -1;
+  return direction * (timeA - timeB);
+};
+
+const COMPARATORS = {
+  likes: byLikes,
+  newest: byTime(-1),
+  oldest: byTime(1),
+};
+
+/**
+ * Whether the view hides any cards; the sort order alone does not
+ */
+export const isViewActive = (view) =>
+  Boolean(
+    view.query.trim() ||
+      view.sentiments.length ||
+      view.minLikes !== '' ||
+      view.maxLikes !== '' ||
+      view.categories.length ||
+      view.from ||
+      view.to
+  );
+
+/**
+ * The lowercase words of a search, for matching and highlighting
+ */
+export const getSearchTerms = (query) =>
+  (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split text into parts that do and do not match the search, in order
+ * @returns {{text: string, match: boolean}[]}
+ */
+export const splitByTerms = (text, terms) => {
+  if (!text || terms.length === 0) return [{ text: text || '', match: false }];
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
+
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+/**
+ * Filter a list of cards by the view's search, sentiments, likes and time
+ * range, and sort it. The category filter picks columns instead, see
+ * getVisibleColumnIds.
+ */
+export const applyView = (items, view) => {
+  if (!Array.isArray(items)) return [];
+  const terms = getSearchTerms(view.query);
+  const minLikes = toNumber(view.minLikes);
+  const maxLikes = toNumber(view.maxLikes);
+  const from = view.from ? new Date(view.from).getTime() : null;
+  // datetime-local has minute precision, so include the whole "to" minute
+  const to = view.to ? new Date(view.to).getTime() + 59999 : null;
+
+  const filtered = items.filter((item) => {
+    if (terms.length) {
+      const text = `${item.message || ''} ${item.author || ''}`.toLowerCase();
+      if (!terms.every((term) => text.includes(term))) return false;
+    }
+    // Cards the AI has not seen yet count as neutral
+    if (view.sentiments.length && !view.sentiments.includes(item.sentiment || 'neutral')) {
+      return false;
+    }
+    const likes = item.likes || 0;
+    if ((minLikes !== null && likes < minLikes) || (maxLikes !== null && likes > maxLikes)) {
+      return false;
+    }
+    if (from !== null || to !== null) {
+      const time = getSentTime(item);
+      if (time === null) return false;
+      if ((from !== null && time < from) || (to !== null && time > to)) return false;
+    }
+    return true;
+  });
+
+  return [...filtered].sort(COMPARATORS[view.sortBy] || byLikes);
+};
+
+/**
+ * Apply a view to every column of the board
+ */
+export const applyViewToColumns = (columns, view) => {
+  const result = {};
+  Object.keys(columns).forEach((key) => {
+    result[key] = { ...columns[key], items: applyView(columns[key].items, view) };
+  });
+  return result;
+};
+
+/**
+ * The columns the view's category filter shows, in board order. Filtered
+ * categories that no longer exist are ignored.
+ */
+export const getVisibleColumnIds = (columnOrder, view) => {
+  const shown = view.categories.filter((id) => columnOrder.includes(id));
+  return shown.length ? columnOrder.filter((id) => shown.includes(id)) : columnOrder;
+};
+
+/**
+ * Read a view from a query string like "?q=export&sentiment=negative,question"
+ */
+export const viewFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const view = { ...DEFAULT_VIEW };
+  Object.entries(QUERY_PARAMS).forEach(([field, param]) => {
+    const value = params.get(param);
+    if (value === null) return;
+    if (Array.isArray(DEFAULT_VIEW[field])) {
+      view[field] = value.split(',').filter(Boolean);
+    } else if (field === 'minLikes' || field === 'maxLikes') {
+      view[field] = /^\d+$/.test(value) ? value : '';
+    } else {
+      view[field] = value;
+    }
+  });
+  if (!COMPARATORS[view.sortBy]) view.sortBy = DEFAULT_VIEW.sortBy;
+  if (view.sentiments.length) {
+    view.sentiments = view.sentiments.filter((sentiment) =>
+      SENTIMENT_OPTIONS.some((option) => option.value === sentiment)
+    );
+  }
+  return view;
+};
+
+/**
+ * Write a view as a query string, leaving out what matches the default
+ * @returns {string} - Without the leading "?", empty for the default view
+ */
+export const viewToSearch = (view) => {
+  const params = new URLSearchParams();
+  Object.entries(QUERY_PARAMS).forEach(([field, param]) => {
+    const value = Array.isArray(view[field]) ? view[field].join(',') : view[field];
+    if (value && value !== DEFAULT_VIEW[field]) params.set(param, value);
+  });
+  return params.toString();
+};
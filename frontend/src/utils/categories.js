@@ -0,0 +1,140 @@
+// Board categories: each column has an id (stable, what the AI answers
+// with), a title, a description (sent to the AI to explain the category)
+// and a color. 'uncategorized' always exists: new messages land there, and
+// so do the cards of a deleted category.
+
+export const UNCATEGORIZED_ID = 'uncategorized';
+
+// Full class names, so Tailwind keeps them in the build
+export const CATEGORY_COLORS = {
+  gray: { label: 'Gray', header: 'bg-gray-100', swatch: 'bg-gray-400' },
+  blue: { label: 'Blue', header: 'bg-blue-100', swatch: 'bg-blue-500' },
+  teal: { label: 'Teal', header: 'bg-teal-100', swatch: 'bg-teal-500' },
+  green: { label: 'Green', header: 'bg-green-100', swatch: 'bg-green-500' },
+  amber: { label: 'Amber', header: 'bg-amber-100', swatch: 'bg-amber-500' },
+  red: { label: 'Red', header: 'bg-red-100', swatch: 'bg-red-500' },
+  pink: { label: 'Pink', header: 'bg-pink-100', swatch: 'bg-pink-500' },
+  purple: { label: 'Purple', header: 'bg-purple-100', swatch: 'bg-purple-500' },
+};
+
+export const DEFAULT_COLOR = 'gray';
+
+export const DEFAULT_CATEGORIES = [
+  {
+    id: UNCATEGORIZED_ID,
+    title: 'Uncategorized',
+    description: "Anything that doesn't fit the other categories.",
+    color: 'gray',
+  },
+  {
+    id: 'ui_ux',
+    title: 'UI/UX',
+    description: 'Design, user experience, look and feel.',
+    color: 'pink',
+  },
+  {
+    id: 'library',
+    title: 'Library',
+    description: 'Topics related to "Takeoff" or "Takeoff UI".',
+    color: 'blue',
+  },
+  {
+    id: 'ai',
+    title: 'AI',
+    description:
+      'Topics related to "Takeoff MCP server", "GenFly" (AI image generation platform), or general AI/LLM discussions.',
+    color: 'purple',
+  },
+  {
+    id: 'headless',
+    title: 'Headless UI',
+    description:
+      'Headless components or "Headless UI". If a component is mentioned in a headless context, put it here.',
+    color: 'teal',
+  },
+];
+
+const DEFAULTS_BY_ID = Object.fromEntries(
+  DEFAULT_CATEGORIES.map((category) => [category.id, category])
+);
+
+/**
+ * A board with the default categories and no cards
+ */
+export const createDefaultBoard = () => ({
+  columns: Object.fromEntries(
+    DEFAULT_CATEGORIES.map((category) => [category.id, { ...category, items: [] }])
+  ),
+  columnOrder: DEFAULT_CATEGORIES.map((category) => category.id),
+});
+
+/**
+ * Bring a stored board up to date. Boards saved before categories were
+ * editable lack descriptions and colors; the defaults fill them in by id.
+ * Columns the order does not mention are appended, unknown ids in the order
+ * are dropped, and 'uncategorized' is added back if it went missing, so no
+ * card is ever lost.
+ * @param {Object} saved - { columns, columnOrder } as stored
+ * @returns {{columns: Object, columnOrder: string[]}}
+ */
+export const migrateBoard = (saved) => {
+  if (!saved?.columns || typeof saved.columns !== 'object') {
+    return createDefaultBoard();
+  }
+
+  const columns = {};
+  Object.entries(saved.columns).forEach(([key, column]) => {
+    if (!column || !Array.isArray(column.items)) return;
+    const id = column.id || key;
+    const defaults = DEFAULTS_BY_ID[id] || {};
+    columns[id] = {
+      ...column,
+      id,
+      title: column.title || defaults.title || id,
+      description: column.description ?? defaults.description ?? '',
+      color: CATEGORY_COLORS[column.color]
+        ? column.color
+        : defaults.color || DEFAULT_COLOR,
+    };
+  });
+  if (!columns[UNCATEGORIZED_ID]) {
+    columns[UNCATEGORIZED_ID] = { ...DEFAULTS_BY_ID[UNCATEGORIZED_ID], items: [] };
+  }
+
+  const savedOrder = Array.isArray(saved.columnOrder) ? saved.columnOrder : [];
+  const columnOrder = savedOrder.filter(
+    (id, index) => columns[id] && savedOrder.indexOf(id) === index
+  );
+  Object.keys(columns).forEach((id) => {
+    if (!columnOrder.includes(id)) columnOrder.push(id);
+  });
+
+  return { columns, columnOrder };
+};
+
+/**
+ * An id for a new category, derived from its title and unique on the board
+ */
+export const createCategoryId = (title, columns) => {
+  const base =
+    title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'category';
+  let id = base;
+  for (let n = 2; columns[id]; n++) id = `${base}_${n}`;
+  return id;
+};
+
+/**
+ * Find the column an AI answer refers to, by id or (leniently) by title
+ */
+export const findCategory = (columns, name) => {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase();
+  return (
+    columns[key] ||
+    Object.values(columns).find((column) => column.title.toLowerCase() === key) ||
+    null
+  );
+};
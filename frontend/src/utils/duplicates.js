@@ -0,0 +1,175 @@
+import { appendLikePoint } from './likeHistory';
+
+// Near-duplicate questions: audiences post the same question in different
+// words, which splits its likes. Similar cards are found locally, from the
+// words they share and their spelling, and shown as a stack. Merging a stack
+// makes one card with the combined likes that keeps the originals in
+// `merged`, so they can be expanded or split back out.
+
+// Cards at least this similar (0-1) stack
+export const SIMILARITY_THRESHOLD = 0.5;
+
+// Words that say nothing about what a message is about
+const STOPWORDS = new Set(
+  (
+    'a about an and are as at be been but by can could did do does for from had has have how i if in ' +
+    'is it its me my of on or our please so that the their them there this to us was we were ' +
+    'what when where which who why will with would you your'
+  ).split(' ')
+);
+
+const normalize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Plurals and the like should not keep two questions apart
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, '') || word;
+
+/**
+ * The lowercase words of a text that carry meaning, in order
+ */
+export const getContentWords = (text) =>
+  normalize(text)
+    .split(' ')
+    .filter((word) => word && !STOPWORDS.has(word));
+
+/**
+ * What a message is compared by: its content words and their letter
+ * trigrams. Short messages of nothing but stopwords keep them all.
+ */
+const profile = (text) => {
+  const content = getContentWords(text);
+  const kept = content.length ? content : normalize(text).split(' ').filter(Boolean);
+  const words = new Set(kept.map(stem));
+  const trigrams = new Set();
+  const padded = ` ${kept.join(' ')} `;
+  for (let i = 0; i < padded.length - 2; i++) trigrams.add(padded.slice(i, i + 3));
+  return { words, trigrams };
+};
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((entry) => {
+    if (b.has(entry)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+// "install" and "uninstall" share most of their letters, yet ask opposite
+// things
+const NEGATING_PREFIXES = ['un', 'dis', 'non'];
+
+const hasNegatedWord = (a, b) =>
+  [...a.words].some((word) =>
+    NEGATING_PREFIXES.some((prefix) => b.words.has(prefix + word) && !a.words.has(prefix + word))
+  );
+
+// Shared words catch rewording, shared trigrams misspellings; neither alone
+// tells "React" from "Vue" well enough
+const compareProfiles = (a, b) => {
+  if (hasNegatedWord(a, b) || hasNegatedWord(b, a)) return 0;
+  return (jaccard(a.words, b.words) + jaccard(a.trigrams, b.trigrams)) / 2;
+};
+
+/**
+ * How alike two texts are, from 0 (nothing shared) to 1
+ */
+export const getSimilarity = (textA, textB) => compareProfiles(profile(textA), profile(textB));
+
+/**
+ * The originals behind a card: itself, or what was merged into it
+ */
+export const getOriginals = (item) => item.merged || [item];
+
+const byLikes = (a, b) => (b.likes || 0) - (a.likes || 0);
+
+/**
+ * Group similar cards. Every card in a group is similar to at least one
+ * other; cards marked `separate` never group.
+ * @returns {Object[][]} - Groups of two or more cards, most liked first
+ */
+export const findStacks = (items, threshold = SIMILARITY_THRESHOLD) => {
+  const candidates = items.filter((item) => !item.separate);
+  const profiles = candidates.map((item) => profile(item.message));
+  const parent = candidates.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (root(i) !== root(j) && compareProfiles(profiles[i], profiles[j]) >= threshold) {
+        parent[root(j)] = root(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  candidates.forEach((item, i) => {
+    groups.set(root(i), [...(groups.get(root(i)) || []), item]);
+  });
+  return [...groups.values()].filter((group) => group.length > 1).map((group) => group.sort(byLikes));
+};
+
+/**
+ * Build a merged card from its originals, with the combined likes. `base`
+ * supplies the board state (classification, lock) and which original the
+ * card shows; when that one is gone, the most liked one takes over.
+ */
+export const combineOriginals = (originals, base, observedAt) => {
+  const sorted = [...originals].sort(byLikes);
+  const likes = sorted.reduce((sum, original) => sum + (original.likes || 0), 0);
+  const lead = sorted.find((original) => String(original.id) === String(base.id)) || sorted[0];
+  return {
+    ...base,
+    id: lead.id,
+    message: lead.message,
+    author: lead.author,
+    timestamp: lead.timestamp,
+    sentAt: lead.sentAt,
+    likes,
+    likeHistory: appendLikePoint(base.likeHistory, likes, observedAt),
+    merged: sorted,
+  };
+};
+
+/**
+ * Merge cards into one that shows the most liked of them. Merged cards among
+ * them are flattened, so every original stays one level deep.
+ */
+export const mergeItems = (items, observedAt = new Date().toISOString()) => {
+  const lead = [...items].sort(byLikes)[0];
+  const originals = items.flatMap(getOriginals);
+  return combineOriginals(originals, lead, observedAt);
+};
+
+/**
+ * Take one original out of a merged card, or all of them
+ * @returns {{card: Object|null, split: Object[]}} - What is left of the card
+ *   (null when nothing is), and the originals that become cards again
+ */
+export const splitItem = (card, originalId, observedAt = new Date().toISOString()) => {
+  const originals = getOriginals(card);
+  const split =
+    originalId === undefined
+      ? originals
+      : originals.filter((original) => String(original.id) === String(originalId));
+  const rest = originals.filter((original) => !split.includes(original));
+  // A merged card needs at least two originals
+  if (rest.length < 2) return { card: null, split: originals };
+  return { card: combineOriginals(rest, card, observedAt), split };
+};
+
+/**
+ * Apply new data to the originals of a merged card (e.g. live like counts)
+ * and recount its likes
+ * @param {Function} update - Maps an original to its new version
+ */
+export const updateOriginals = (card, update, observedAt) => {
+  if (!card.merged) return card;
+  return combineOriginals(card.merged.map(update), card, observedAt);
+};
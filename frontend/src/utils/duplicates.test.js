@@ -0,0 +1,221 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SIMILARITY_THRESHOLD,
+  combineOriginals,
+  findStacks,
+  getContentWords,
+  getOriginals,
+  getSimilarity,
+  mergeItems,
+  splitItem,
+  updateOriginals,
+} from './duplicates';
+
+const T0 = '2025-12-09T19:00:00.000Z';
+const T1 = '2025-12-09T19:05:00.000Z';
+
+const card = (id, message, likes = 0, extra = {}) => ({ id, message, likes, ...extra });
+
+const ids = (items) => items.map((item) => item.id);
+
+describe('getContentWords', () => {
+  it('drops stopwords, punctuation, case and accents', () => {
+    expect(getContentWords('How do I EXPORT the Résumé, please?')).toEqual(['export', 'resume']);
+  });
+
+  it('handles empty text', () => {
+    expect(getContentWords('')).toEqual([]);
+    expect(getContentWords(undefined)).toEqual([]);
+  });
+});
+
+describe('getSimilarity', () => {
+  it('scores identical texts 1 and unrelated texts near 0', () => {
+    expect(getSimilarity('Will slides be shared?', 'will slides be shared')).toBe(1);
+    expect(getSimilarity('Will slides be shared?', 'Lunch options for vegans')).toBeLessThan(0.1);
+  });
+
+  it('matches rewordings and misspellings', () => {
+    expect(
+      getSimilarity('Will the slides be shared after the talk?', 'Are the slides shared after the talk')
+    ).toBeGreaterThanOrEqual(SIMILARITY_THRESHOLD);
+    expect(
+      getSimilarity('Will the presentation slides be shared?', 'Will the presentaton slides be shared?')
+    ).toBeGreaterThanOrEqual(SIMILARITY_THRESHOLD);
+  });
+
+  it('keeps apart questions that differ in their key word', () => {
+    expect(getSimilarity('Do you use React?', 'Do you use Vue?')).toBeLessThan(SIMILARITY_THRESHOLD);
+    expect(getSimilarity('How do I export to CSV?', 'How do I import from CSV?')).toBeLessThan(
+      SIMILARITY_THRESHOLD
+    );
+  });
+
+  it('never matches a word with its negation', () => {
+    expect(getSimilarity('How do I install the app?', 'How do I uninstall the app?')).toBe(0);
+    expect(
+      getSimilarity('How do I install the app on Windows?', 'How do I uninstall the app on Windows?')
+    ).toBe(0);
+    expect(getSimilarity('Why do people like it?', 'Why do people dislike it?')).toBe(0);
+    // Unless both sides have the negated word too
+    expect(
+      getSimilarity('Install or uninstall the app?', 'Should I uninstall or install the app?')
+    ).toBeGreaterThanOrEqual(SIMILARITY_THRESHOLD);
+  });
+
+  it('compares messages made only of stopwords by those words', () => {
+    expect(getSimilarity('Why?', 'why')).toBe(1);
+    expect(getSimilarity('Why?', 'How?')).toBeLessThan(SIMILARITY_THRESHOLD);
+  });
+
+  it('scores empty texts 0', () => {
+    expect(getSimilarity('', 'Anything')).toBe(0);
+  });
+});
+
+describe('findStacks', () => {
+  const slidesA = card('a', 'Will the slides be shared after the talk?', 3);
+  const slidesB = card('b', 'Are the slides shared after the talk', 7);
+  const lunch = card('c', 'What is for lunch?', 1);
+
+  it('groups similar cards, most liked first, and leaves the rest alone', () => {
+    const stacks = findStacks([slidesA, lunch, slidesB]);
+    expect(stacks).toHaveLength(1);
+    expect(ids(stacks[0])).toEqual(['b', 'a']);
+  });
+
+  it('joins cards that are each similar to one card of the group', () => {
+    const slidesC = card('d', 'Slides shared after the talk, or not?', 5);
+    const stacks = findStacks([slidesA, slidesB, slidesC]);
+    expect(stacks).toHaveLength(1);
+    expect(ids(stacks[0])).toEqual(['b', 'd', 'a']);
+  });
+
+  it('never stacks cards marked separate', () => {
+    expect(findStacks([slidesA, { ...slidesB, separate: true }])).toEqual([]);
+  });
+
+  it('respects a custom threshold', () => {
+    const typo = card('e', 'Will the slidse be shared after the talk?', 2);
+    expect(findStacks([slidesA, typo])).toHaveLength(1);
+    expect(findStacks([slidesA, typo], 0.99)).toEqual([]);
+  });
+
+  it('finds nothing in an empty or single-card column', () => {
+    expect(findStacks([])).toEqual([]);
+    expect(findStacks([slidesA])).toEqual([]);
+  });
+});
+
+describe('mergeItems', () => {
+  const a = card('a', 'Slides?', 3, { likeHistory: [{ t: T0, likes: 3 }] });
+  const b = card('b', 'Will slides be shared?', 7, {
+    classification: { category: 'logistics' },
+    locked: true,
+  });
+
+  it('shows the most liked card with the combined likes', () => {
+    const merged = mergeItems([a, b], T1);
+    expect(merged.id).toBe('b');
+    expect(merged.message).toBe('Will slides be shared?');
+    expect(merged.likes).toBe(10);
+    expect(merged.classification).toEqual({ category: 'logistics' });
+    expect(merged.locked).toBe(true);
+    expect(ids(merged.merged)).toEqual(['b', 'a']);
+    expect(merged.likeHistory).toEqual([{ t: T1, likes: 10 }]);
+  });
+
+  it('flattens merged cards so originals stay one level deep', () => {
+    const c = card('c', 'Slides shared?', 1);
+    const merged = mergeItems([mergeItems([a, b], T0), c], T1);
+    expect(ids(merged.merged)).toEqual(['b', 'a', 'c']);
+    expect(merged.merged.every((original) => !original.merged)).toBe(true);
+    expect(merged.likes).toBe(11);
+  });
+});
+
+describe('getOriginals', () => {
+  it('returns the card itself unless it is merged', () => {
+    const a = card('a', 'Slides?', 1);
+    expect(getOriginals(a)).toEqual([a]);
+    expect(ids(getOriginals(mergeItems([a, card('b', 'Slides!', 2)], T0)))).toEqual(['b', 'a']);
+  });
+});
+
+describe('combineOriginals', () => {
+  it('keeps the shown original when another one overtakes it in likes', () => {
+    const base = { id: 'a', message: 'Slides?', likeHistory: [] };
+    const combined = combineOriginals([card('a', 'Slides?', 2), card('b', 'Slides!', 9)], base, T0);
+    expect(combined.id).toBe('a');
+    expect(combined.message).toBe('Slides?');
+    expect(combined.likes).toBe(11);
+  });
+
+  it('falls back to the most liked original when the shown one is gone', () => {
+    const base = { id: 'gone', message: 'Old' };
+    const combined = combineOriginals([card('a', 'Slides?', 2), card('b', 'Slides!', 9)], base, T0);
+    expect(combined.id).toBe('b');
+    expect(combined.message).toBe('Slides!');
+  });
+});
+
+describe('splitItem', () => {
+  const merged = mergeItems(
+    [card('a', 'Slides?', 1), card('b', 'Slides!', 5), card('c', 'Slides shared?', 3)],
+    T0
+  );
+
+  it('takes one original out and recounts the rest', () => {
+    const { card: rest, split } = splitItem(merged, 'c', T1);
+    expect(ids(split)).toEqual(['c']);
+    expect(rest.id).toBe('b');
+    expect(ids(rest.merged)).toEqual(['b', 'a']);
+    expect(rest.likes).toBe(6);
+  });
+
+  it('matches original IDs given as numbers or strings', () => {
+    const numbered = mergeItems([card(1, 'Slides?', 1), card(2, 'Slides!', 5), card(3, 'Slides.', 3)], T0);
+    expect(ids(splitItem(numbered, '3', T1).split)).toEqual([3]);
+  });
+
+  it('splits everything when no original is given', () => {
+    const { card: rest, split } = splitItem(merged, undefined, T1);
+    expect(rest).toBeNull();
+    expect(ids(split)).toEqual(['b', 'c', 'a']);
+  });
+
+  it('dissolves the card when fewer than two originals would be left', () => {
+    const pair = mergeItems([card('a', 'Slides?', 1), card('b', 'Slides!', 5)], T0);
+    const { card: rest, split } = splitItem(pair, 'a', T1);
+    expect(rest).toBeNull();
+    expect(ids(split)).toEqual(['b', 'a']);
+  });
+
+  it('leaves the card whole for an unknown original', () => {
+    const { card: rest, split } = splitItem(merged, 'nope', T1);
+    expect(split).toEqual([]);
+    expect(ids(rest.merged)).toEqual(['b', 'c', 'a']);
+  });
+});
+
+describe('updateOriginals', () => {
+  it('updates the originals and recounts the likes', () => {
+    const merged = mergeItems([card('a', 'Slides?', 1), card('b', 'Slides!', 5)], T0);
+    const updated = updateOriginals(
+      merged,
+      (original) => (original.id === 'a' ? { ...original, likes: 4 } : original),
+      T1
+    );
+    expect(updated.likes).toBe(9);
+    expect(updated.id).toBe('b');
+    expect(updated.likeHistory).toEqual([
+      { t: T0, likes: 6 },
+      { t: T1, likes: 9 },
+    ]);
+  });
+
+  it('leaves cards that are not merged alone', () => {
+    const a = card('a', 'Slides?', 1);
+    expect(updateOriginals(a, () => null, T1)).toBe(a);
+  });
+});
@@ -0,0 +1,199 @@
+// Undo and redo for the board. Each entry holds the board ({ columns,
+// columnOrder }) from before a change, and a label for the buttons; changes
+// to the raw data (imports, a reset) keep the raw data from before too.
+// Changes that arrive in pieces (the chunks of one AI run, keystrokes in the
+// category editor) share a group and make a single entry.
+import { UNCATEGORIZED_ID } from './categories';
+import { getOriginals, updateOriginals } from './duplicates';
+
+export const MAX_HISTORY = 30;
+// Boards can be large, so only the latest entries survive a reload
+export const MAX_STORED_HISTORY = 10;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+/**
+ * Add an entry, unless the last one belongs to the same group
+ */
+export const pushEntry = (entries, entry) => {
+  const last = entries[entries.length - 1];
+  if (entry.group && last?.group === entry.group) return entries;
+  return [...entries, entry].slice(-MAX_HISTORY);
+};
+
+/**
+ * Go back (or forward) to a recorded board without losing what the live
+ * watch brought since: cards keep their latest likes, and cards that arrived
+ * after the entry stay on the board, in the same column if it still exists.
+ * @param {Object} target - The recorded board
+ * @param {Object} current - The board now
+ * @param {string[]} [droppedIds] - Cards the undone change added itself (an import), which go
+ * @returns {{columns: Object, columnOrder: string[]}}
+ */
+export const restoreBoard = (target, current, droppedIds = []) => {
+  const latest = new Map();
+  Object.values(current.columns).forEach((column) =>
+    column.items.forEach((item) =>
+      getOriginals(item).forEach((original) => latest.set(String(original.id), original))
+    )
+  );
+  const freshen = (item) => {
+    const now = latest.get(String(item.id));
+    return now ? { ...item, likes: now.likes, likeHistory: now.likeHistory } : item;
+  };
+
+  const observedAt = new Date().toISOString();
+  const known = new Set(droppedIds.map(String));
+  const columns = {};
+  Object.keys(target.columns).forEach((key) => {
+    columns[key] = {
+      ...target.columns[key],
+      items: target.columns[key].items.map((item) => {
+        getOriginals(item).forEach((original) => known.add(String(original.id)));
+        return item.merged ? updateOriginals(item, freshen, observedAt) : freshen(item);
+      }),
+    };
+  });
+
+  Object.keys(current.columns).forEach((key) => {
+    current.columns[key].items.forEach((item) => {
+      if (getOriginals(item).some((original) => known.has(String(original.id)))) return;
+      const columnId = columns[key] ? key : UNCATEGORIZED_ID;
+      columns[columnId] = { ...columns[columnId], items: [...columns[columnId].items, item] };
+    });
+  });
+
+  return { columns, columnOrder: target.columnOrder };
+};
+
+/**
+ * The raw data to go with a restored board, the same way as restoreBoard:
+ * recorded messages get their latest likes, and messages that arrived since
+ * stay, except those the undone change added itself
+ * @param {Object[]} target - The recorded raw data
+ * @param {Object[]} current - The raw data now
+ * @param {string[]} [droppedIds] - Messages the undone change added itself
+ * @returns {Object[]}
+ */
+export const restoreRawData = (target, current, droppedIds = []) => {
+  const latest = new Map(current.map((msg) => [String(msg.id), msg]));
+  const known = new Set([...droppedIds.map(String), ...target.map((msg) => String(msg.id))]);
+  return [
+    ...target.map((msg) => {
+      const now = latest.get(String(msg.id));
+      return now ? { ...msg, likes: now.likes } : msg;
+    }),
+    ...current.filter((msg) => !known.has(String(msg.id))),
+  ];
+};
+
+/**
+ * Cards an undo brings back that were gone from the board and raw data (a
+ * reset's); redoing the change takes them away again
+ * @param {Object} entry - The entry being undone
+ * @param {Object} current - The board now
+ * @param {Object[]} [currentRawData] - The raw data now
+ * @returns {string[]}
+ */
+export const findRestoredIds = (entry, current, currentRawData = []) => {
+  const idsOf = (board, rawData = []) =>
+    new Set([
+      ...Object.values(board.columns).flatMap((column) =>
+        column.items.flatMap(getOriginals).map((original) => String(original.id))
+      ),
+      ...rawData.map((msg) => String(msg.id)),
+    ]);
+  const now = idsOf(current, currentRawData);
+  return [...idsOf(entry.board, entry.rawData)].filter((id) => !now.has(id));
+};
+
+// Stored entries keep only what changed: a card that is the same as in the
+// next board (the next entry's, or the current board for the latest entry)
+// is written as { same: id }, and so is a raw message that is the same as in
+// the current raw data. Likes don't count as a change, since going back
+// brings in the latest likes anyway.
+const sameOriginals = (a, b) =>
+  getOriginals(a).map((original) => String(original.id)).join() ===
+  getOriginals(b).map((original) => String(original.id)).join();
+
+const isSameCard = (card, next) => {
+  if (card === next) return true;
+  if (!next || String(card.id) !== String(next.id)) return false;
+  const keys = new Set([...Object.keys(card), ...Object.keys(next)]);
+  return [...keys].every((key) => {
+    if (key === 'likes' || key === 'likeHistory') return true;
+    if (key === 'merged') return sameOriginals(card, next);
+    return card[key] === next[key];
+  });
+};
+
+const cardsById = (board) => {
+  const cards = new Map();
+  Object.values(board.columns).forEach((column) =>
+    column.items.forEach((item) => cards.set(String(item.id), item))
+  );
+  return cards;
+};
+
+const mapColumns = (board, mapItem) => ({
+  ...board,
+  columns: Object.fromEntries(
+    Object.entries(board.columns).map(([key, column]) => [
+      key,
+      { ...column, items: column.items.map(mapItem).filter(Boolean) },
+    ])
+  ),
+});
+
+// Walk from the latest entry back, each board relative to the one after it
+const chainEntries = (entries, current, convert) => {
+  const converted = [];
+  let next = current;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const { board, plain } = convert(entries[i].board, cardsById(next));
+    converted.unshift({ ...entries[i], board });
+    next = plain;
+  }
+  return converted;
+};
+
+const mapRawData = (entries, mapMessage) =>
+  entries.map((entry) =>
+    entry.rawData ? { ...entry, rawData: entry.rawData.map(mapMessage).filter(Boolean) } : entry
+  );
+
+/**
+ * Write entries ({ past } or { future }, latest last) for storage
+ * @param {Object[]} entries
+ * @param {Object} current - The board now
+ * @param {Object[]} [currentRawData] - The raw data now
+ * @returns {Object[]}
+ */
+export const packEntries = (entries, current, currentRawData = []) => {
+  const packed = chainEntries(entries, current, (board, nextCards) => ({
+    board: mapColumns(board, (item) =>
+      isSameCard(item, nextCards.get(String(item.id))) ? { same: String(item.id) } : item
+    ),
+    plain: board,
+  }));
+  const rawById = new Map(currentRawData.map((msg) => [String(msg.id), msg]));
+  return mapRawData(packed, (msg) =>
+    isSameCard(msg, rawById.get(String(msg.id))) ? { same: String(msg.id) } : msg
+  );
+};
+
+/**
+ * Read entries written by packEntries back into full boards
+ * @param {Object[]} entries
+ * @param {Object} current - The board now, as loaded
+ * @param {Object[]} [currentRawData] - The raw data now, as loaded
+ * @returns {Object[]}
+ */
+export const unpackEntries = (entries, current, currentRawData = []) => {
+  const unpacked = chainEntries(entries, current, (packed, nextCards) => {
+    const board = mapColumns(packed, (item) => ('same' in item ? nextCards.get(item.same) : item));
+    return { board, plain: board };
+  });
+  const rawById = new Map(currentRawData.map((msg) => [String(msg.id), msg]));
+  return mapRawData(unpacked, (msg) => ('same' in msg ? rawById.get(msg.same) : msg));
+};
@@ -0,0 +1,139 @@
+import { describe, expect, it } from 'vitest';
+import {
+  findRestoredIds,
+  packEntries,
+  restoreBoard,
+  restoreRawData,
+  unpackEntries,
+} from './history';
+import { mergeItems } from './duplicates';
+
+const T0 = '2025-12-09T19:00:00.000Z';
+
+const card = (id, message, likes = 0, extra = {}) => ({ id, message, likes, ...extra });
+
+const board = (columns) => ({
+  columns: Object.fromEntries(
+    Object.entries(columns).map(([key, items]) => [key, { id: key, title: key, items }])
+  ),
+  columnOrder: Object.keys(columns),
+});
+
+const ids = (b, key) => b.columns[key].items.map((item) => item.id);
+
+// Storage is JSON, so stored entries come back as fresh objects
+const roundTrip = (value) => JSON.parse(JSON.stringify(value));
+
+describe('restoreBoard', () => {
+  it('goes back to the recorded board with the latest likes', () => {
+    const target = board({ a: [card(1, 'Slides?', 1)], b: [] });
+    const current = board({ a: [], b: [card(1, 'Slides?', 9)] });
+    const restored = restoreBoard(target, current);
+    expect(ids(restored, 'a')).toEqual([1]);
+    expect(restored.columns.a.items[0].likes).toBe(9);
+    expect(ids(restored, 'b')).toEqual([]);
+  });
+
+  it('keeps cards that arrived since, and drops the ones the change added', () => {
+    const target = board({ a: [card(1, 'Slides?')] });
+    const current = board({ a: [card(1, 'Slides?'), card(2, 'Lunch?'), card(3, 'Wifi?')] });
+    expect(ids(restoreBoard(target, current, ['3']), 'a')).toEqual([1, 2]);
+  });
+});
+
+describe('restoreRawData', () => {
+  it('goes back to the recorded messages with the latest likes', () => {
+    const restored = restoreRawData([card(1, 'Slides?', 1)], [card(1, 'Slides?', 9)]);
+    expect(restored).toEqual([card(1, 'Slides?', 9)]);
+  });
+
+  it('keeps messages that arrived since, and drops the ones the change added', () => {
+    const target = [card(1, 'Slides?')];
+    const current = [card(1, 'Slides?'), card(2, 'Lunch?'), card(3, 'Wifi?')];
+    expect(restoreRawData(target, current, ['3']).map((msg) => msg.id)).toEqual([1, 2]);
+  });
+});
+
+describe('findRestoredIds', () => {
+  it('lists what undoing a reset brings back, so redo can clear it again', () => {
+    const before = board({ a: [card(1, 'Slides?')] });
+    const entry = { board: before, rawData: [card(1, 'Slides?'), card(2, 'Lunch?')] };
+    const reset = board({ a: [card(3, 'Wifi?')] });
+    expect(findRestoredIds(entry, reset, [card(3, 'Wifi?')])).toEqual(['1', '2']);
+
+    const undone = restoreBoard(before, reset);
+    expect(ids(undone, 'a')).toEqual([1, 3]);
+    expect(ids(restoreBoard(reset, undone, ['1', '2']), 'a')).toEqual([3]);
+  });
+
+  it('finds nothing for changes that only move cards', () => {
+    const before = board({ a: [card(1, 'Slides?')], b: [] });
+    const after = board({ a: [], b: [card(1, 'Slides?')] });
+    expect(findRestoredIds({ board: before }, after)).toEqual([]);
+  });
+});
+
+describe('packEntries and unpackEntries', () => {
+  const before = board({ a: [card(1, 'Slides?', 1), card(2, 'Lunch?', 2)], b: [] });
+  const moved = board({ a: [before.columns.a.items[1]], b: [before.columns.a.items[0]] });
+  const current = board({ a: [card(2, 'Lunch?', 5)], b: [card(1, 'Slides?', 7)] });
+  const past = [
+    { label: 'Move', board: before },
+    { label: 'Edit', board: moved },
+  ];
+
+  it('writes cards that only changed in likes as references', () => {
+    const packed = packEntries(past, current);
+    expect(packed[1].board.columns.b.items).toEqual([{ same: '1' }]);
+    expect(packed[0].board.columns.a.items).toEqual([{ same: '1' }, { same: '2' }]);
+    expect(packed.map((entry) => entry.label)).toEqual(['Move', 'Edit']);
+  });
+
+  it('reads the entries back with their cards in their own columns', () => {
+    const stored = roundTrip({ past: packEntries(past, current), current });
+    const unpacked = unpackEntries(stored.past, stored.current);
+    expect(ids(unpacked[0].board, 'a')).toEqual([1, 2]);
+    expect(ids(unpacked[0].board, 'b')).toEqual([]);
+    expect(ids(unpacked[1].board, 'b')).toEqual([1]);
+    expect(unpacked[1].board.columns.b.items[0].message).toBe('Slides?');
+  });
+
+  it('keeps cards that changed', () => {
+    const edited = board({ a: [card(1, 'Slides shared?', 1)] });
+    const packed = packEntries([{ label: 'Edit', board: board({ a: [card(1, 'Slides?', 1)] }) }], edited);
+    expect(packed[0].board.columns.a.items).toEqual([card(1, 'Slides?', 1)]);
+  });
+
+  it('keeps merged cards whose originals changed', () => {
+    const a = card('a', 'Slides?', 1);
+    const b = card('b', 'Slides!', 5);
+    const c = card('c', 'Slides shared?', 3);
+    const pair = mergeItems([a, b], T0);
+    const triple = mergeItems([a, b, c], T0);
+    const packed = packEntries([{ label: 'Merge', board: board({ x: [pair, c] }) }], board({ x: [triple] }));
+    expect(packed[0].board.columns.x.items[0]).toBe(pair);
+  });
+
+  it('writes raw data against the current raw data', () => {
+    const rawData = [card(1, 'Slides?', 1), card(2, 'Lunch?', 2)];
+    const currentRawData = [card(1, 'Slides?', 7), card(3, 'Wifi?')];
+    const entries = [{ label: 'Import', board: before, rawData }];
+    const packed = packEntries(entries, current, currentRawData);
+    expect(packed[0].rawData).toEqual([{ same: '1' }, card(2, 'Lunch?', 2)]);
+
+    const unpacked = unpackEntries(roundTrip(packed), current, currentRawData);
+    expect(unpacked[0].rawData).toEqual([card(1, 'Slides?', 7), card(2, 'Lunch?', 2)]);
+  });
+
+  it('reads entries stored as full boards', () => {
+    const unpacked = unpackEntries(roundTrip(past), current);
+    expect(unpacked).toEqual(past);
+  });
+
+  it('round-trips twice without losing cards', () => {
+    const once = unpackEntries(roundTrip(packEntries(past, current)), current);
+    const twice = unpackEntries(roundTrip(packEntries(once, current)), current);
+    expect(ids(twice[0].board, 'a')).toEqual([1, 2]);
+    expect(ids(twice[1].board, 'a')).toEqual([2]);
+  });
+});
@@ -0,0 +1,46 @@
+// Like history is a list of { t: ISO time, likes } points, kept only where the count changed
+const MAX_POINTS = 100;
+
+export const TREND_WINDOW_MS = 5 * 60 * 1000;
+
+const compact = (points) => {
+  const result = [];
+  points.forEach((point) => {
+    const last = result[result.length - 1];
+    if (!last || last.likes !== point.likes) result.push(point);
+  });
+  return result.slice(-MAX_POINTS);
+};
+
+/**
+ * Combine two like histories (e.g. local and server-side) into one
+ */
+export const mergeLikeHistory = (a = [], b = []) => {
+  const byTime = new Map();
+  [...a, ...b].forEach((point) => byTime.set(point.t, point));
+  return compact([...byTime.values()].sort((x, y) => x.t.localeCompare(y.t)));
+};
+
+/**
+ * Add an observed like count to a history
+ */
+export const appendLikePoint = (history = [], likes, t) => {
+  if (typeof likes !== 'number') return history;
+  return mergeLikeHistory(history, [{ t, likes }]);
+};
+
+/**
+ * How many likes a message gained within the window before `now`.
+ * Messages first seen inside the window count from their first reading.
+ */
+export const getLikeTrend = (history, now, windowMs = TREND_WINDOW_MS) => {
+  if (!Array.isArray(history) || history.length < 2) return 0;
+
+  const cutoff = new Date(now - windowMs).toISOString();
+  let baseline = history[0];
+  history.forEach((point) => {
+    if (point.t <= cutoff) baseline = point;
+  });
+
+  return history[history.length - 1].likes - baseline.likes;
+};
@@ -0,0 +1,36 @@
+// Which AI assignments a moderator should check before the board is shared:
+// low-confidence ones, and contested ones where an earlier run or a human
+// correction disagreed. Reviewing a card (accepting or correcting it) takes
+// it out of the queue until the next AI run classifies it again.
+
+export const LOW_CONFIDENCE = 0.7;
+
+/**
+ * Whether the model was unsure; a missing score counts as unsure
+ */
+export const isLowConfidence = (classification) =>
+  typeof classification?.confidence !== 'number' ||
+  classification.confidence < LOW_CONFIDENCE;
+
+export const needsReview = (item) =>
+  Boolean(item?.classification) &&
+  !item.review &&
+  (isLowConfidence(item.classification) || Boolean(item.classification.contestedWith));
+
+/**
+ * The cards to review, least confident first
+ * @returns {{item: Object, columnId: string}[]}
+ */
+export const getReviewQueue = (columns, columnOrder) =>
+  columnOrder
+    .flatMap((columnId) =>
+      columns[columnId].items.filter(needsReview).map((item) => ({ item, columnId }))
+    )
+    .sort(
+      (a, b) => (a.item.classification.confidence ?? -1) - (b.item.classification.confidence ?? -1)
+    );
+
+export const formatConfidence = (classification) =>
+  typeof classification?.confidence === 'number'
+    ? `${Math.round(classification.confidence * 100)}%`
+    : '?';
@@ -1,5 +1,26 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { existsSync, readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import process from 'node:process'
+
+// apiBaseUrl from the server's config file (CONFIG_FILE, or
+// ../parser.config.json); the file is read as plain JSON, so the frontend
+// still builds on its own, and without one
+const readConfiguredApiUrl = () => {
+  const path =
+    process.env.CONFIG_FILE || fileURLToPath(new URL('../parser.config.json', import.meta.url))
+  if (!existsSync(path)) return ''
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8')).apiBaseUrl || ''
+  } catch (error) {
+    throw new Error(`Invalid config file ${path}: ${error.message}`)
+  }
+}
+
+// The API base URL comes from VITE_API_URL, the server's API_BASE_URL or
+// apiBaseUrl in its config file, in that order
+process.env.VITE_API_URL ||= process.env.API_BASE_URL || readConfiguredApiUrl()
 
 // https://vite.dev/config/
 export default defineConfig({
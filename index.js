@@ -1,220 +1,685 @@
-import * as cheerio from "cheerio";
-import puppeteer from "puppeteer";
-import { writeFileSync, readFileSync } from "fs";
+import { readFileSync } from "fs";
 import express from "express";
 import cors from "cors";
+import { fetchHTML, configureBrowser } from "./lib/scraper.js";
+import { loadConfig, formatConfigSummary } from "./lib/config.js";
+import { parseQAMessages, detectSavedFromUrl } from "./lib/parser.js";
+import { watchSession } from "./lib/watcher.js";
+import { createBrowserPool } from "./lib/browserPool.js";
+import { createJobQueue, JOB_STATUS } from "./lib/jobs.js";
+import { createSessionStore } from "./lib/store.js";
+import { adapters, getAdapter, resolveAdapter } from "./lib/adapters/index.js";
+import { isValidTimeZone } from "./lib/timestamps.js";
+import {
+  AccessDeniedError,
+  UrlNotAllowedError,
+  ClassifierError,
+} from "./lib/errors.js";
+import { createUrlPolicy } from "./lib/urlPolicy.js";
+import { createFixtureStore, withFixtures } from "./lib/fixtures.js";
+import { createClassifier } from "./lib/classifier/index.js";
+import { runCli } from "./lib/cli.js";
 
 // ===========================================
-// MOCK MODE CONFIGURATION
-// Set to true to return mock data from data.json
-// Set to false to scrape from actual URL
+// CONFIGURATION
+// Mock mode, port, CORS origins, timeouts, Chromium args, job and history
+// limits, the store directory and sent time parsing are read from env vars
+// or parser.config.json (see lib/config.js and parser.config.example.json)
+// Live watches record at most one snapshot per WATCH_RECORD_INTERVAL_MS
 // ===========================================
-const MOCK_MODE = false;
+const WATCH_RECORD_INTERVAL_MS = 60000;
 
 /**
- * Fetch HTML content from a URL using Puppeteer (supports JavaScript-rendered content)
- * @param {string} url - The URL to fetch
- * @returns {Promise<string>} - The HTML content
+ * Read the mock data returned in mock mode
+ * @param {string} filePath - The mock data file
+ * @returns {Object} - The mock parse result
  */
-async function fetchHTML(url) {
-  console.log("Launching browser...");
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ["--no-sandbox", "--disable-setuid-sandbox"],
-  });
+function readMockData(filePath) {
+  return JSON.parse(readFileSync(filePath, "utf-8"));
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
 
+  let config;
   try {
-    const page = await browser.newPage();
-    console.log("Navigating to URL...");
-    await page.goto(url, { waitUntil: "networkidle2", timeout: 60000 });
-
-    // Wait for the message cards to load
-    console.log("Waiting for content to load...");
-    await page
-      .waitForSelector('[data-testid="discussion-message-item-card"]', {
-        timeout: 30000,
+    config = loadConfig();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+  configureBrowser({
+    headless: config.headless,
+    args: config.chromiumArgs,
+    navigationTimeoutMs: config.navigationTimeoutMs,
+    cardsTimeoutMs: config.cardsTimeoutMs,
+  });
+  // 0 means no limit
+  const defaultMaxMessages = config.maxMessages || Infinity;
+
+  // Record mode saves every scraped page; replay mode serves the saved pages
+  // by URL instead of opening a browser
+  const fixtures = createFixtureStore({ dir: config.fixturesDir });
+  const fetchPage = withFixtures(fetchHTML, {
+    mode: config.fixtureMode,
+    store: fixtures,
+  });
+  const isReplay = config.fixtureMode === "replay";
+
+  if (args.length > 0) {
+    // CLI Mode: see lib/cli.js for the options
+    process.exitCode = await runCli(args, {
+      timeZone: config.parseTimeZone,
+      locale: config.parseLocale,
+      maxMessages: defaultMaxMessages,
+      maxTimeMs: config.maxLoadTimeMs,
+      fetchHTML: fetchPage,
+    });
+  } else {
+    // Server Mode
+    const app = express();
+    console.log(formatConfigSummary(config));
+
+    // "*" allows every origin; otherwise only the listed ones
+    app.use(
+      cors({
+        origin: config.corsOrigins.includes("*") ? "*" : config.corsOrigins,
       })
-      .catch(() =>
-        console.log("Warning: Message cards not found, proceeding anyway...")
-      );
+    );
+    app.use(express.json({ limit: "25mb" }));
+    app.use(express.text({ type: ["text/html", "text/plain"], limit: "25mb" }));
+
+    // Only allowed hosts, and never private addresses, even after redirects
+    const urlPolicy = createUrlPolicy({ allowedHosts: config.allowedHosts });
+    configureBrowser({ urlPolicy });
+
+    const browserPool = createBrowserPool({ size: config.browserPoolSize });
+    const store = createSessionStore({
+      dir: config.storeDir,
+      maxSnapshots: config.maxSnapshots,
+    });
+    const classifier = createClassifier({
+      provider: config.aiProvider,
+      apiKey: config.aiApiKey,
+      baseUrl: config.aiBaseUrl,
+      model: config.aiModel,
+      timeoutMs: config.aiTimeoutMs,
+      chunkSize: config.aiChunkSize,
+      maxAttempts: config.aiMaxAttempts,
+    });
 
-    // Scroll down to trigger lazy loading of messages
-    console.log("Scrolling to load lazy content...");
-    await page.evaluate(async () => {
-      await new Promise((resolve) => {
-        let totalHeight = 0;
-        const distance = 100;
-        const timer = setInterval(() => {
-          const scrollHeight = document.body.scrollHeight;
-          window.scrollBy(0, distance);
-          totalHeight += distance;
-
-          if (totalHeight >= scrollHeight) {
-            clearInterval(timer);
-            resolve();
+    // Saving history must never fail the request that produced the data
+    const recordSnapshot = (url, result, origin) =>
+      store
+        .recordSnapshot({ url, result, origin })
+        .catch((error) =>
+          console.error("Error saving snapshot:", error.message)
+        );
+
+    const scrapeQueue = createJobQueue({
+      concurrency: config.scrapeConcurrency,
+      runJob: async (
+        {
+          url,
+          platform,
+          timeZone,
+          locale,
+          maxMessages,
+          maxTimeMs,
+          pin,
+          password,
+          name,
+        },
+        { signal, reportProgress }
+      ) => {
+        // Mock mode: return data from data.json instead of scraping
+        if (config.mockMode) {
+          console.log(`[MOCK MODE] Returning mock data for: ${url}`);
+          const mockData = readMockData(config.mockDataPath);
+          console.log(
+            `[MOCK MODE] Returning ${mockData.totalMessages} messages`
+          );
+          await recordSnapshot(url, mockData, "scrape");
+          return mockData;
+        }
+
+        reportProgress("waiting for browser", 0);
+        let lease = null;
+        try {
+          const adapter = resolveAdapter({ url, platform });
+          // Replays never touch a browser
+          if (!isReplay) lease = await browserPool.acquire();
+          const { htmlContent, load, recordedAt } = await fetchPage(url, {
+            browser: lease?.browser,
+            signal,
+            onProgress: reportProgress,
+            adapter,
+            credentials: { pin, password, name },
+            maxMessages,
+            maxTimeMs,
+          });
+          reportProgress("parsing", 95);
+          const result = parseQAMessages(htmlContent, url, {
+            adapter,
+            timeZone,
+            locale,
+            // Recorded pages are read as of their capture
+            referenceDate: recordedAt ? new Date(recordedAt) : undefined,
+          });
+          result.load = load;
+          console.log(`Successfully scraped ${result.totalMessages} messages`);
+          await recordSnapshot(url, result, "scrape");
+          return result;
+        } catch (error) {
+          if (error instanceof AccessDeniedError) {
+            console.error(`Access denied (${error.code}):`, error.message);
+          } else if (!signal.aborted) {
+            console.error("Scraping error:", error.message);
           }
-        }, 100);
+          throw error;
+        } finally {
+          lease?.release();
+        }
+      },
+    });
+
+    /**
+     * Read the sent time options of a request, falling back to the defaults
+     * @returns {{timeZone: string, locale: string}|{error: string}}
+     */
+    const getTimeOptions = (params) => {
+      const timeZone = params.timeZone || config.parseTimeZone;
+      if (!isValidTimeZone(timeZone)) {
+        return { error: `Unknown time zone: ${timeZone}` };
+      }
+      return { timeZone, locale: params.locale || config.parseLocale };
+    };
+
+    /**
+     * Check a URL against the URL policy, answering with a 4xx error when it
+     * is refused
+     * @returns {Promise<boolean>} - Whether the URL may be scraped
+     */
+    const checkUrlAllowed = async (url, res) => {
+      // Mock and replay modes never open the URL
+      if (config.mockMode || isReplay) return true;
+      try {
+        await urlPolicy.checkUrl(url);
+        return true;
+      } catch (error) {
+        if (!(error instanceof UrlNotAllowedError)) throw error;
+        console.log(`[URL POLICY] Refused ${url}: ${error.message}`);
+        res
+          .status(error.status)
+          .json({ error: error.message, code: error.code });
+        return false;
+      }
+    };
+
+    /**
+     * Read the history loading limits of a request, falling back to the defaults
+     * @returns {{maxMessages: number, maxTimeMs: number}|{error: string}}
+     */
+    const getLoadLimits = (params) => {
+      const limits = {
+        maxMessages: defaultMaxMessages,
+        maxTimeMs: config.maxLoadTimeMs,
+      };
+      for (const name of ["maxMessages", "maxTimeMs"]) {
+        if (params[name] === undefined) continue;
+        const value = Number(params[name]);
+        if (!Number.isInteger(value) || value <= 0) {
+          return { error: `${name} must be a positive integer` };
+        }
+        limits[name] = value;
+      }
+      return limits;
+    };
+
+    // Start a scrape job; poll GET /api/jobs/:id for progress and the result.
+    // The platform (vevox, slido, mentimeter) is picked from the URL host
+    // unless given explicitly. Gated sessions take "pin", "password" and
+    // "name"; a job refused access fails with an errorCode such as
+    // PIN_REQUIRED or INVALID_CREDENTIALS. The result's "load" reports how
+    // many messages the page showed vs how many were captured.
+    app.post("/api/scrape", async (req, res) => {
+      const { url, platform } = req.body;
+      if (!url) {
+        return res.status(400).json({ error: "URL is required" });
+      }
+      if (!(await checkUrlAllowed(url, res))) return;
+      if (platform && !getAdapter(platform)) {
+        return res.status(400).json({ error: `Unknown platform: ${platform}` });
+      }
+
+      const timeOptions = getTimeOptions(req.body);
+      if (timeOptions.error) {
+        return res.status(400).json({ error: timeOptions.error });
+      }
+
+      const limits = getLoadLimits(req.body);
+      if (limits.error) {
+        return res.status(400).json({ error: limits.error });
+      }
+
+      const { pin, password, name } = req.body;
+      const invalid = Object.entries({ pin, password, name }).find(
+        ([, value]) => value !== undefined && typeof value !== "string"
+      );
+      if (invalid) {
+        return res.status(400).json({ error: `${invalid[0]} must be a string` });
+      }
+
+      console.log(`Received scrape request for: ${url}`);
+      // The PIN and password stay out of the job params the API returns
+      const job = scrapeQueue.createJob(
+        { url, platform, name, ...timeOptions, ...limits },
+        { pin, password }
+      );
+      res.status(202).json(job);
+    });
+
+    app.get("/api/jobs", (req, res) => {
+      res.json({
+        jobs: scrapeQueue.listJobs(),
+        queue: scrapeQueue.stats(),
+        browsers: browserPool.stats(),
       });
     });
 
-    // Wait a bit more for content to render after scrolling
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    app.get("/api/jobs/:id", (req, res) => {
+      const job = scrapeQueue.getJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+      res.json(job);
+    });
 
-    // Get the full HTML after JavaScript has executed
-    const htmlContent = await page.content();
-    return htmlContent;
-  } finally {
-    await browser.close();
-  }
-}
+    app.delete("/api/jobs/:id", (req, res) => {
+      const job = scrapeQueue.cancelJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+      if (job.status === JOB_STATUS.CANCELLED) {
+        console.log(`Cancelled scrape job ${job.id}`);
+      }
+      res.json(job);
+    });
 
-/**
- * Parse HTML and extract Q&A messages with like counts
- * @param {string} htmlContent - The HTML content to parse
- * @returns {Object} - Parsed data including total messages and message details
- */
-function parseQAMessages(htmlContent) {
-  const $ = cheerio.load(htmlContent);
+    // Parse a saved Q&A page: either a JSON body { html, source, platform }
+    // or the raw file sent as text/html (?source=&platform=)
+    app.post("/api/parse", (req, res) => {
+      const isRawBody = typeof req.body === "string";
+      const html = isRawBody ? req.body : req.body?.html;
+      if (!html || typeof html !== "string") {
+        return res.status(400).json({ error: "HTML content is required" });
+      }
+
+      const source =
+        (isRawBody ? req.query.source : req.body.source) ||
+        detectSavedFromUrl(html);
+      const params = isRawBody ? req.query : req.body;
+      const { platform } = params;
+      if (platform && !getAdapter(platform)) {
+        return res.status(400).json({ error: `Unknown platform: ${platform}` });
+      }
+      const timeOptions = getTimeOptions(params);
+      if (timeOptions.error) {
+        return res.status(400).json({ error: timeOptions.error });
+      }
+
+      console.log(`Received parse request (${html.length} bytes)`);
+      try {
+        const adapter = resolveAdapter({ platform, url: source, html });
+        const result = parseQAMessages(html, source, {
+          adapter,
+          ...timeOptions,
+        });
+        console.log(`Successfully parsed ${result.totalMessages} messages`);
+        recordSnapshot(source, result, "parse");
+        res.json(result);
+      } catch (error) {
+        console.error("Parsing error:", error);
+        res
+          .status(500)
+          .json({ error: "Failed to parse HTML: " + error.message });
+      }
+    });
 
-  // Find all Q&A message cards
-  const messageCards = $('[data-testid="discussion-message-item-card"]');
+    // Live watch: stream new messages and like changes as Server-Sent Events
+    app.get("/api/watch", async (req, res) => {
+      const { url, interval, platform } = req.query;
+      if (!url) {
+        return res.status(400).json({ error: "URL is required" });
+      }
+      if (!(await checkUrlAllowed(url, res))) return;
+      if (platform && !getAdapter(platform)) {
+        return res.status(400).json({ error: `Unknown platform: ${platform}` });
+      }
+      const timeOptions = getTimeOptions(req.query);
+      if (timeOptions.error) {
+        return res.status(400).json({ error: timeOptions.error });
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.flushHeaders();
+
+      const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        if (data.fatal) res.end();
+      };
+
+      // Mock mode: send the mock data once and keep the stream open
+      if (config.mockMode) {
+        console.log(`[MOCK MODE] Watching mock data for: ${url}`);
+        try {
+          send("snapshot", readMockData(config.mockDataPath));
+        } catch (error) {
+          send("watch-error", {
+            error: "Failed to read mock data: " + error.message,
+            fatal: true,
+          });
+        }
+        return;
+      }
 
-  const messages = [];
+      // Replay mode: send the recorded page once and keep the stream open
+      if (isReplay) {
+        console.log(`[REPLAY] Watching fixture for: ${url}`);
+        try {
+          const { htmlContent, recordedAt } = await fetchPage(url);
+          send(
+            "snapshot",
+            parseQAMessages(htmlContent, url, {
+              adapter: resolveAdapter({ url, platform }),
+              ...timeOptions,
+              referenceDate: new Date(recordedAt),
+            })
+          );
+        } catch (error) {
+          send("watch-error", {
+            error: "Failed to replay fixture: " + error.message,
+            fatal: true,
+          });
+        }
+        return;
+      }
 
-  messageCards.each((index, element) => {
-    const $card = $(element);
+      console.log(`Received watch request for: ${url}`);
+      let lastRecordedAt = 0;
+      const unsubscribe = watchSession(url, send, {
+        intervalMs: Number(interval) || undefined,
+        platform,
+        ...timeOptions,
+        onChange: (result) => {
+          if (Date.now() - lastRecordedAt < WATCH_RECORD_INTERVAL_MS) return;
+          lastRecordedAt = Date.now();
+          recordSnapshot(url, result, "watch");
+        },
+      });
 
-    // Extract timestamp
-    const timestamp = $card
-      .find('[data-testid="discussion-message-item-sentTime"]')
-      .text()
-      .trim();
+      // Keep proxies from closing an idle stream
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
 
-    // Extract likes count
-    const likesText = $card
-      .find('[data-testid="discussion-message-item-likes"]')
-      .text()
-      .trim();
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    });
 
-    // Extract just the number from likes text (remove the icon text)
-    const likesMatch = likesText.match(/\d+/);
-    const likes = likesMatch ? parseInt(likesMatch[0], 10) : 0;
+    // Recorded pages and the current record/replay mode
+    app.get("/api/fixtures", async (req, res) => {
+      try {
+        res.json({ mode: config.fixtureMode, fixtures: await fixtures.list() });
+      } catch (error) {
+        console.error("Error listing fixtures:", error);
+        res
+          .status(500)
+          .json({ error: "Failed to list fixtures: " + error.message });
+      }
+    });
 
-    // Extract message content
-    const messageContent = $card
-      .find('[data-testid="discussion-message-item-wrappingtext"]')
-      .text()
-      .trim();
+    /**
+     * Read the messages and categories of a classify request
+     * @returns {{messages: Object[], categories: Object[], model?: string}|{error: string}}
+     */
+    const getClassifyInput = ({
+      messages,
+      categories,
+      examples = [],
+      model,
+    }) => {
+      if (!Array.isArray(messages) || messages.length === 0) {
+        return { error: "messages must be a non-empty array" };
+      }
+      const badMessage = messages.find(
+        (msg) =>
+          !msg ||
+          !["string", "number"].includes(typeof msg.id) ||
+          typeof msg.text !== "string"
+      );
+      if (badMessage !== undefined) {
+        return { error: "Every message needs an id and a text" };
+      }
+      if (!Array.isArray(categories) || categories.length === 0) {
+        return { error: "categories must be a non-empty array" };
+      }
+      if (categories.some((category) => typeof category?.id !== "string")) {
+        return { error: "Every category needs an id" };
+      }
+      if (
+        categories.some(
+          ({ title, description }) =>
+            (title !== undefined && typeof title !== "string") ||
+            (description !== undefined && typeof description !== "string")
+        )
+      ) {
+        return { error: "Category titles and descriptions must be strings" };
+      }
+      if (
+        !Array.isArray(examples) ||
+        examples.some(
+          (example) =>
+            typeof example?.text !== "string" ||
+            typeof example.category !== "string"
+        )
+      ) {
+        return { error: "examples must be a list of { text, category }" };
+      }
+      if (model !== undefined && typeof model !== "string") {
+        return { error: "model must be a string" };
+      }
+      return {
+        messages: messages.map(({ id, text }) => ({ id: String(id), text })),
+        categories: categories.map(({ id, title, description }) => ({
+          id,
+          title,
+          description,
+        })),
+        examples: examples.map(({ text, category }) => ({ text, category })),
+        model,
+      };
+    };
+
+    /**
+     * Answer a failed classifier call; provider problems keep their code
+     */
+    const sendClassifyError = (error, res) => {
+      if (error instanceof ClassifierError) {
+        console.error(`AI classification failed (${error.code}):`, error.message);
+        return res
+          .status(error.status)
+          .json({ error: error.message, code: error.code });
+      }
+      console.error("AI classification error:", error);
+      res.status(500).json({ error: "Failed to classify: " + error.message });
+    };
+
+    // AI classification runs here so the provider's API key stays on the
+    // server. GET describes the configured provider (and the chunk size the
+    // board sends), /models lists its models, and POST takes { messages:
+    // [{ id, text }], categories: [{ id, title, description }], examples?:
+    // [{ text, category }] (cards placed by hand), model? } and returns
+    // { provider, model, classifications: { [messageId]: { category,
+    // sentiment, confidence, rationale } }, unclassified: [messageId] }.
+    // Answers are validated and retried on the server; "unclassified" lists
+    // what still failed.
+    app.get("/api/classify", (req, res) => {
+      res.json(classifier.getInfo());
+    });
 
-    messages.push({
-      id: messages.length + 1, // Will be re-assigned
-      timestamp: timestamp,
-      message: messageContent,
-      likes: likes,
+    app.get("/api/classify/models", async (req, res) => {
+      try {
+        res.json({ models: await classifier.listModels() });
+      } catch (error) {
+        sendClassifyError(error, res);
+      }
     });
-  });
 
-  // Filter out empty messages (no content AND no timestamp)
-  const filteredMessages = messages.filter(
-    (msg) => msg.message || msg.timestamp
-  );
+    app.post("/api/classify", async (req, res) => {
+      const input = getClassifyInput(req.body || {});
+      if (input.error) {
+        return res.status(400).json({ error: input.error });
+      }
 
-  // Sort by likes (highest to lowest)
-  filteredMessages.sort((a, b) => b.likes - a.likes);
+      // Stop the provider call when the browser goes away
+      const controller = new AbortController();
+      res.on("close", () => controller.abort());
 
-  // Re-assign sequential IDs after filtering and sorting
-  filteredMessages.forEach((msg, idx) => (msg.id = idx + 1));
+      const { provider } = classifier.getInfo();
+      console.log(
+        `Received classify request for ${input.messages.length} messages (${provider})`
+      );
+      try {
+        const { model, classifications, unclassified } =
+          await classifier.classify({ ...input, signal: controller.signal });
+        res.json({ provider, model, classifications, unclassified });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        sendClassifyError(error, res);
+      }
+    });
 
-  // Calculate total likes
-  const totalLikes = filteredMessages.reduce((sum, msg) => sum + msg.likes, 0);
+    app.get("/api/platforms", (req, res) => {
+      res.json({
+        platforms: adapters.map(({ name, domains }) => ({ name, domains })),
+      });
+    });
 
-  return {
-    totalMessages: filteredMessages.length,
-    totalLikes: totalLikes,
-    messages: filteredMessages,
-  };
-}
+    // Scrape history
+    app.get("/api/sessions", async (req, res) => {
+      try {
+        res.json({ sessions: await store.listSessions() });
+      } catch (error) {
+        console.error("Error listing sessions:", error);
+        res
+          .status(500)
+          .json({ error: "Failed to list sessions: " + error.message });
+      }
+    });
 
-// Main execution
-async function main() {
-  const urlArg = process.argv[2];
-
-  if (urlArg) {
-    // CLI Mode
-    try {
-      console.log(`Fetching HTML from URL: ${urlArg}\n`);
-      const htmlContent = await fetchHTML(urlArg);
-      const result = parseQAMessages(htmlContent);
-
-      // Display results
-      console.log("=".repeat(60));
-      console.log("Q&A MESSAGE PARSER RESULTS");
-      console.log("=".repeat(60));
-      console.log(`\nTotal Messages: ${result.totalMessages}`);
-      console.log(`Total Likes: ${result.totalLikes}`);
-
-      const outputPath = "./frontend/public/data.json";
+    app.get("/api/sessions/:id", async (req, res) => {
       try {
-        writeFileSync(outputPath, JSON.stringify(result, null, 2));
-        console.log(`\nData saved to ${outputPath}`);
-      } catch (err) {
-        console.error(`Error saving data to ${outputPath}:`, err.message);
-      }
-    } catch (error) {
-      console.error("Error parsing HTML:", error.message);
-      process.exit(1);
-    }
-  } else {
-    // Server Mode
-    const app = express();
-    const PORT = 3000;
+        const session = await store.getSession(req.params.id);
+        if (!session) {
+          return res.status(404).json({ error: "Session not found" });
+        }
+        res.json(session);
+      } catch (error) {
+        console.error("Error reading session:", error);
+        res
+          .status(500)
+          .json({ error: "Failed to read session: " + error.message });
+      }
+    });
 
-    app.use(cors());
-    app.use(express.json());
+    app.get("/api/sessions/:id/latest", async (req, res) => {
+      try {
+        const state = await store.getLatestState(req.params.id);
+        if (!state) {
+          return res.status(404).json({ error: "Session not found" });
+        }
+        res.json(state);
+      } catch (error) {
+        console.error("Error reading session:", error);
+        res
+          .status(500)
+          .json({ error: "Failed to read session: " + error.message });
+      }
+    });
 
-    app.post("/api/scrape", async (req, res) => {
-      const { url } = req.body;
-      if (!url) {
-        return res.status(400).json({ error: "URL is required" });
+    app.get("/api/sessions/:id/timeline", async (req, res) => {
+      try {
+        const timeline = await store.getTimeline(req.params.id);
+        if (!timeline) {
+          return res.status(404).json({ error: "Session not found" });
+        }
+        res.json(timeline);
+      } catch (error) {
+        console.error("Error reading timeline:", error);
+        res
+          .status(500)
+          .json({ error: "Failed to read timeline: " + error.message });
       }
+    });
 
-      // Mock mode: return data from data.json instead of scraping
-      if (MOCK_MODE) {
-        console.log(`[MOCK MODE] Returning mock data for: ${url}`);
-        try {
-          const mockData = JSON.parse(
-            readFileSync("./mock-data.json", "utf-8")
-          );
-          console.log(
-            `[MOCK MODE] Returning ${mockData.totalMessages} messages`
-          );
-          return res.json(mockData);
-        } catch (error) {
-          console.error("[MOCK MODE] Error reading mock data:", error);
+    // Diff two snapshots: ?from=<snapshotId>&to=<snapshotId>
+    // (defaults to the previous vs the latest snapshot)
+    app.get("/api/sessions/:id/diff", async (req, res) => {
+      try {
+        const diff = await store.getSnapshotDiff(
+          req.params.id,
+          req.query.from,
+          req.query.to
+        );
+        if (!diff) {
           return res
-            .status(500)
-            .json({ error: "Failed to read mock data: " + error.message });
+            .status(404)
+            .json({ error: "Session or snapshot not found" });
         }
+        res.json(diff);
+      } catch (error) {
+        console.error("Error diffing snapshots:", error);
+        res
+          .status(500)
+          .json({ error: "Failed to diff snapshots: " + error.message });
       }
+    });
 
-      console.log(`Received scrape request for: ${url}`);
+    app.get("/api/sessions/:id/snapshots/:snapshotId", async (req, res) => {
       try {
-        const htmlContent = await fetchHTML(url);
-        const result = parseQAMessages(htmlContent);
-        console.log(`Successfully scraped ${result.totalMessages} messages`);
-        res.json(result);
+        const snapshot = await store.getSnapshot(
+          req.params.id,
+          req.params.snapshotId
+        );
+        if (!snapshot) {
+          return res.status(404).json({ error: "Snapshot not found" });
+        }
+        res.json(snapshot);
       } catch (error) {
-        console.error("Scraping error:", error);
+        console.error("Error reading snapshot:", error);
         res
           .status(500)
-          .json({ error: "Failed to scrape URL: " + error.message });
+          .json({ error: "Failed to read snapshot: " + error.message });
       }
     });
 
-    app.listen(PORT, () => {
-      console.log(`\nServer running on http://localhost:${PORT}`);
+    app.listen(config.port, () => {
+      console.log(`\nServer running on http://localhost:${config.port}`);
       console.log("Waiting for requests from Frontend...");
     });
+
+    process.on("SIGINT", async () => {
+      console.log("\nShutting down, closing browsers...");
+      await browserPool.close();
+      process.exit(0);
+    });
   }
 }
 
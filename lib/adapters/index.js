@@ -0,0 +1,59 @@
+import { vevoxAdapter } from "./vevox.js";
+import { slidoAdapter } from "./slido.js";
+import { mentimeterAdapter } from "./mentimeter.js";
+
+/**
+ * An adapter teaches the scraper and parser one Q&A platform:
+ * - name: platform ID, accepted as the `platform` option
+ * - domains: hosts (and their subdomains) the platform serves sessions from
+ * - waitSelector: element to wait for before the page counts as loaded
+ * - cardSelector: one element per message
+ * - cardKeySelectors: elements whose text identifies a card while the history
+ *   loads (e.g. sent time and text); the whole card text when omitted
+ * - listSelector (optional): the scrollable message list; found from the
+ *   cards when omitted
+ * - countSelector (optional): element showing the session's message total
+ * - join (optional): selectors of a gated session's join flow (cookieSelector,
+ *   pinSelector, passwordSelector, nameSelector, consentSelector,
+ *   submitSelector, errorSelector), see lib/join.js
+ * - fields: extractors ($, $card) => value for timestamp, likes, message,
+ *   author, status and replies, and optionally id (the platform's own
+ *   message ID, which message IDs are built from when a card has one)
+ * - matchesUrl(url) / detect(html): automatic platform selection
+ */
+export const adapters = [vevoxAdapter, slidoAdapter, mentimeterAdapter];
+
+export const DEFAULT_ADAPTER = vevoxAdapter;
+
+/**
+ * Look up an adapter by platform name
+ * @param {string} name - The platform name
+ * @returns {Object|null} - The adapter, or null if unknown
+ */
+export function getAdapter(name) {
+  const key = String(name || "").toLowerCase();
+  return adapters.find((adapter) => adapter.name === key) || null;
+}
+
+/**
+ * Pick the adapter for a session: an explicit platform wins, then the URL
+ * host, then markers in the HTML; Vevox is the fallback
+ * @param {Object} options
+ * @param {string} [options.platform] - An explicit platform name
+ * @param {string} [options.url] - The session URL
+ * @param {string} [options.html] - The page HTML, for saved pages
+ * @returns {Object} - The adapter
+ */
+export function resolveAdapter({ platform, url, html } = {}) {
+  if (platform) {
+    const adapter = getAdapter(platform);
+    if (!adapter) throw new Error(`Unknown platform: ${platform}`);
+    return adapter;
+  }
+
+  return (
+    (url && adapters.find((adapter) => adapter.matchesUrl(url))) ||
+    (html && adapters.find((adapter) => adapter.detect(html))) ||
+    DEFAULT_ADAPTER
+  );
+}
@@ -0,0 +1,77 @@
+import {
+  findOwn,
+  parseCount,
+  normalizeAuthor,
+  matchesHost,
+  readCardId,
+} from "./utils.js";
+
+// Mentimeter's audience Q&A uses generated class names, so only data-testid
+// and ARIA hooks are relied on here
+const CARD_SELECTOR = '[data-testid="qfa-question"], [data-testid="qna-question"]';
+const TEXT_SELECTOR =
+  '[data-testid="qfa-question-text"], [data-testid="qna-question-text"]';
+const AUTHOR_SELECTOR =
+  '[data-testid="qfa-question-author"], [data-testid="qna-question-author"]';
+const DATE_SELECTOR = "time";
+const LIKES_SELECTOR =
+  '[data-testid="qfa-upvote-count"], [data-testid="qna-upvote-count"], [aria-label*="upvote" i]';
+const REPLY_SELECTOR =
+  '[data-testid="qfa-question-reply"], [data-testid="qna-question-reply"]';
+
+/**
+ * Mentimeter Q&A (menti.com, mentimeter.com)
+ */
+export const mentimeterAdapter = {
+  name: "mentimeter",
+  domains: ["menti.com", "mentimeter.com"],
+  waitSelector: CARD_SELECTOR,
+  cardSelector: CARD_SELECTOR,
+  cardKeySelectors: [DATE_SELECTOR, TEXT_SELECTOR],
+
+  detect: (htmlContent) => /data-testid="(qfa|qna)-question"/.test(htmlContent),
+
+  matchesUrl: (url) => matchesHost(url, mentimeterAdapter.domains),
+
+  fields: {
+    id: ($, $card) => readCardId($card, ["data-question-id", "data-id"]),
+    timestamp: ($, $card) => {
+      const $time = findOwn($, $card, DATE_SELECTOR, REPLY_SELECTOR).first();
+      return ($time.attr("datetime") || $time.text()).trim();
+    },
+    likes: ($, $card) => {
+      const $likes = findOwn($, $card, LIKES_SELECTOR, REPLY_SELECTOR).first();
+      return parseCount($likes.text() || $likes.attr("aria-label"));
+    },
+    message: ($, $card) =>
+      findOwn($, $card, TEXT_SELECTOR, REPLY_SELECTOR).first().text().trim(),
+    author: ($, $card) =>
+      normalizeAuthor(
+        findOwn($, $card, AUTHOR_SELECTOR, REPLY_SELECTOR).first().text()
+      ),
+    status: ($, $card) => ({
+      pinned: $card.is('[data-pinned="true"]'),
+      starred: false,
+      answered:
+        $card.is('[data-answered="true"]') ||
+        findOwn($, $card, '[aria-label^="answered" i]', REPLY_SELECTOR).length > 0,
+      hidden: $card.is('[data-hidden="true"]'),
+    }),
+    replies: ($, $card) => {
+      const replies = [];
+      $card.find(REPLY_SELECTOR).each((i, el) => {
+        const $reply = $(el);
+        const message = $reply.text().trim();
+        if (!message) return;
+        replies.push({
+          author: null,
+          message,
+          timestamp: "",
+          // Only presenters can reply to Mentimeter questions
+          isModerator: true,
+        });
+      });
+      return replies;
+    },
+  },
+};
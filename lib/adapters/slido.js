@@ -0,0 +1,89 @@
+import {
+  findOwn,
+  parseCount,
+  normalizeAuthor,
+  matchesHost,
+  readCardId,
+} from "./utils.js";
+
+// Slido's participant Q&A; selectors cover both the data-testid and the
+// BEM class markup Slido has shipped
+const CARD_SELECTOR = '[data-testid="question-item"], .question-item';
+const TEXT_SELECTOR =
+  '[data-testid="question-item-text"], .question-item__body, .question-item__text';
+const AUTHOR_SELECTOR =
+  '[data-testid="question-item-author"], .question-item__author';
+const DATE_SELECTOR =
+  '[data-testid="question-item-date"], .question-item__date, time';
+const LIKES_SELECTOR =
+  '[data-testid="question-item-score"], .score__value, .score__count';
+const REPLY_SELECTOR =
+  '[data-testid="question-reply"], .question-replies__item, .question-reply';
+const LIST_SELECTOR = '[data-testid="question-list"], .question-list';
+const COUNT_SELECTOR =
+  '[data-testid="questions-count"], .questions-count, .question-list__count';
+
+/**
+ * Read the replies of a question
+ * @returns {{author: string|null, message: string, timestamp: string, isModerator: boolean}[]}
+ */
+function extractReplies($, $card) {
+  const replies = [];
+  $card.find(REPLY_SELECTOR).each((i, el) => {
+    const $reply = $(el);
+    const message = ($reply.find(TEXT_SELECTOR).first().text() || $reply.text()).trim();
+    if (!message) return;
+    replies.push({
+      author: normalizeAuthor($reply.find(AUTHOR_SELECTOR).first().text()),
+      message,
+      timestamp: $reply.find(DATE_SELECTOR).first().text().trim(),
+      isModerator: /moderator|host|admin/i.test(
+        `${$reply.attr("class") || ""} ${$reply.find('[class*="badge"]').text()}`
+      ),
+    });
+  });
+  return replies;
+}
+
+/**
+ * Slido Q&A (app.sli.do, slido.com)
+ */
+export const slidoAdapter = {
+  name: "slido",
+  domains: ["sli.do", "slido.com"],
+  waitSelector: CARD_SELECTOR,
+  cardSelector: CARD_SELECTOR,
+  cardKeySelectors: [DATE_SELECTOR, TEXT_SELECTOR],
+  listSelector: LIST_SELECTOR,
+  countSelector: COUNT_SELECTOR,
+
+  detect: (htmlContent) =>
+    /question-item/.test(htmlContent) && /sli\.?do/i.test(htmlContent),
+
+  matchesUrl: (url) => matchesHost(url, slidoAdapter.domains),
+
+  fields: {
+    id: ($, $card) => readCardId($card, ["data-question-id", "data-id"]),
+    timestamp: ($, $card) =>
+      findOwn($, $card, DATE_SELECTOR, REPLY_SELECTOR).first().text().trim(),
+    likes: ($, $card) =>
+      parseCount(findOwn($, $card, LIKES_SELECTOR, REPLY_SELECTOR).first().text()),
+    message: ($, $card) =>
+      findOwn($, $card, TEXT_SELECTOR, REPLY_SELECTOR).first().text().trim(),
+    author: ($, $card) =>
+      normalizeAuthor(
+        findOwn($, $card, AUTHOR_SELECTOR, REPLY_SELECTOR).first().text()
+      ),
+    status: ($, $card) => {
+      const className = $card.attr("class") || "";
+      return {
+        // Slido calls a pinned question "highlighted"
+        pinned: /--highlighted\b/.test(className) || $card.is('[data-highlighted="true"]'),
+        starred: /--starred\b/.test(className),
+        answered: /--answered\b/.test(className) || $card.is('[data-answered="true"]'),
+        hidden: /--archived\b|--hidden\b/.test(className),
+      };
+    },
+    replies: extractReplies,
+  },
+};
@@ -0,0 +1,72 @@
+/**
+ * Find elements under a root that are not inside a nested element (e.g. a
+ * reply inside a message card)
+ * @param {import("cheerio").CheerioAPI} $ - The loaded document
+ * @param {import("cheerio").Cheerio} $root - The card (or reply) element
+ * @param {string} selector - The selector to look for
+ * @param {string} nestedSelector - Elements whose content belongs to someone else
+ * @returns {import("cheerio").Cheerio} - The matching elements outside nested elements
+ */
+export function findOwn($, $root, selector, nestedSelector) {
+  return $root.find(selector).filter((i, el) => {
+    const $nested = $(el).closest(nestedSelector);
+    return (
+      $nested.length === 0 ||
+      $nested.is($root) ||
+      !$.contains($root[0], $nested[0])
+    );
+  });
+}
+
+/**
+ * Read the platform's own ID of a card from the first attribute that has one
+ * @param {import("cheerio").Cheerio} $card - The card element
+ * @param {string[]} attributes - Attributes the platform keeps its ID in
+ * @returns {string|null} - The ID, or null when the card has none
+ */
+export function readCardId($card, attributes) {
+  for (const attribute of attributes) {
+    const value = ($card.attr(attribute) || "").trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Extract the first number from a text such as "👍 12" or "12 votes"
+ * @param {string} text - The text to read
+ * @returns {number} - The number, or 0 if there is none
+ */
+export function parseCount(text) {
+  const match = (text || "").replace(/[,.](?=\d{3}\b)/g, "").match(/\d+/);
+  return match ? parseInt(match[0], 10) : 0;
+}
+
+// Platforms show "Anonymous" (or nothing) when the sender did not give a name
+const ANONYMOUS_NAMES = ["", "anonymous", "anon", "anonymous participant"];
+
+/**
+ * Turn a displayed author name into the schema value
+ * @param {string} name - The displayed name
+ * @returns {string|null} - The name, or null when anonymous
+ */
+export function normalizeAuthor(name) {
+  const trimmed = (name || "").trim();
+  return ANONYMOUS_NAMES.includes(trimmed.toLowerCase()) ? null : trimmed;
+}
+
+/**
+ * Whether a URL's host is one of the given domains or a subdomain of one
+ * @param {string} url - The URL to check
+ * @param {string[]} domains - The domains to match
+ * @returns {boolean}
+ */
+export function matchesHost(url, domains) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+}
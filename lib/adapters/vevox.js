@@ -0,0 +1,180 @@
+import {
+  findOwn,
+  parseCount,
+  normalizeAuthor,
+  matchesHost,
+  readCardId,
+} from "./utils.js";
+
+const CARD_SELECTOR = '[data-testid="discussion-message-item-card"]';
+const SENT_TIME_SELECTOR = '[data-testid="discussion-message-item-sentTime"]';
+const LIKES_SELECTOR = '[data-testid="discussion-message-item-likes"]';
+const TEXT_SELECTOR = '[data-testid="discussion-message-item-wrappingtext"]';
+const COUNT_SELECTOR = [
+  '[data-testid="discussion-message-count"]',
+  '[data-testid="discussion-messages-count"]',
+  '[data-testid="discussion-header-count"]',
+].join(", ");
+
+// Replies and threaded responses are nested inside the message card
+const REPLY_SELECTOR = [
+  '[data-testid="discussion-message-item-reply"]',
+  '[data-testid="discussion-message-reply"]',
+  '[data-testid="discussion-message-item-response"]',
+].join(", ");
+
+const AUTHOR_SELECTOR = [
+  '[data-testid="discussion-message-item-author"]',
+  '[data-testid="discussion-message-item-name"]',
+  '[data-testid="discussion-message-item-participantName"]',
+].join(", ");
+
+const MODERATOR_SELECTOR =
+  '[data-testid="discussion-message-item-moderator"], [data-testid="discussion-message-reply-moderator"]';
+
+const MESSAGE_STATUSES = ["pinned", "starred", "answered", "hidden"];
+
+// Join flow of gated sessions: session ID/PIN entry, password, participant
+// name and consent, behind a OneTrust cookie banner
+const JOIN_SELECTORS = {
+  cookieSelector:
+    '#onetrust-accept-btn-handler, [data-testid="cookie-banner-accept"]',
+  pinSelector: [
+    '[data-testid="join-session-id-input"]',
+    'input[name="sessionId"]',
+    'input[placeholder*="session id" i]',
+  ].join(", "),
+  passwordSelector: 'input[type="password"]',
+  nameSelector: [
+    '[data-testid="participant-name-input"]',
+    'input[name="participantName"]',
+    'input[name="name"]',
+    'input[placeholder*="name" i]',
+  ].join(", "),
+  consentSelector: [
+    '[data-testid="participant-consent"] input[type="checkbox"]',
+    'input[type="checkbox"][name*="consent" i]',
+  ].join(", "),
+  submitSelector: [
+    '[data-testid="join-session-button"]',
+    '[data-testid="participant-name-submit"]',
+    'button[type="submit"]',
+  ].join(", "),
+  errorSelector: [
+    '[data-testid="join-session-error"]',
+    '[data-testid="session-access-denied"]',
+    '[data-testid="session-not-found"]',
+  ].join(", "),
+};
+
+/**
+ * Read the author name of a card or reply
+ * @returns {string|null} - The author name, or null when anonymous
+ */
+function extractAuthor($, $root) {
+  return normalizeAuthor(
+    findOwn($, $root, AUTHOR_SELECTOR, REPLY_SELECTOR).first().text()
+  );
+}
+
+/**
+ * Read the moderation status flags of a card. A status counts as set when the
+ * card has a matching status element, aria-label, data attribute or
+ * state class (is-pinned, card--pinned).
+ * @returns {{pinned: boolean, starred: boolean, answered: boolean, hidden: boolean}}
+ */
+function extractStatus($, $card) {
+  const status = {};
+  MESSAGE_STATUSES.forEach((name) => {
+    status[name] =
+      findOwn(
+        $,
+        $card,
+        `[data-testid="discussion-message-item-${name}"], [aria-label^="${name}" i], [data-${name}="true"]`,
+        REPLY_SELECTOR
+      ).length > 0 ||
+      $card.attr(`data-${name}`) === "true" ||
+      new RegExp(`(?:^|\\s)(?:is-${name}|[\\w-]+--${name})(?:\\s|$)`, "i").test(
+        $card.attr("class") || ""
+      );
+  });
+  return status;
+}
+
+/**
+ * Read the replies and threaded responses of a card
+ * @returns {{author: string|null, message: string, timestamp: string, isModerator: boolean}[]}
+ */
+function extractReplies($, $card) {
+  const replies = [];
+  $card.find(REPLY_SELECTOR).each((i, el) => {
+    const $reply = $(el);
+    const message =
+      $reply
+        .find(`${TEXT_SELECTOR}, [data-testid="discussion-message-reply-text"]`)
+        .first()
+        .text()
+        .trim() || $reply.text().trim();
+    if (!message) return;
+
+    replies.push({
+      author: extractAuthor($, $reply),
+      message,
+      timestamp: $reply
+        .find(
+          `${SENT_TIME_SELECTOR}, [data-testid="discussion-message-reply-sentTime"]`
+        )
+        .first()
+        .text()
+        .trim(),
+      isModerator:
+        $reply.find(MODERATOR_SELECTOR).length > 0 ||
+        /moderator/i.test(
+          $reply.attr("data-role") || $reply.attr("aria-label") || ""
+        ),
+    });
+  });
+  return replies;
+}
+
+/**
+ * Vevox Q&A (app.vevox.com). Messages render as discussion-message-item cards.
+ */
+export const vevoxAdapter = {
+  name: "vevox",
+  domains: ["vevox.com", "vevox.app"],
+  waitSelector: CARD_SELECTOR,
+  cardSelector: CARD_SELECTOR,
+  cardKeySelectors: [SENT_TIME_SELECTOR, TEXT_SELECTOR],
+  countSelector: COUNT_SELECTOR,
+  join: JOIN_SELECTORS,
+
+  /**
+   * Whether an HTML document (e.g. a saved page) comes from this platform
+   * @param {string} htmlContent - The HTML content
+   * @returns {boolean}
+   */
+  detect: (htmlContent) => htmlContent.includes("discussion-message-item-card"),
+
+  /**
+   * Whether a URL belongs to this platform
+   * @param {string} url - The URL to check
+   * @returns {boolean}
+   */
+  matchesUrl: (url) => matchesHost(url, vevoxAdapter.domains),
+
+  fields: {
+    id: ($, $card) => readCardId($card, ["data-message-id", "data-id"]),
+    timestamp: ($, $card) =>
+      findOwn($, $card, SENT_TIME_SELECTOR, REPLY_SELECTOR).text().trim(),
+    // Extract just the number from likes text (remove the icon text)
+    likes: ($, $card) =>
+      parseCount(findOwn($, $card, LIKES_SELECTOR, REPLY_SELECTOR).text()),
+    // Replies have their own wrapping text
+    message: ($, $card) =>
+      findOwn($, $card, TEXT_SELECTOR, REPLY_SELECTOR).text().trim(),
+    author: extractAuthor,
+    status: extractStatus,
+    replies: extractReplies,
+  },
+};
@@ -0,0 +1,85 @@
+import { launchBrowser } from "./scraper.js";
+
+/**
+ * Create a bounded pool of headless browsers that are shared across scrapes.
+ * Each lease gets the least busy browser; a new one is only launched while the
+ * pool is below its size. Browsers left unused for idleTimeoutMs are closed.
+ * @param {Object} [options]
+ * @param {number} [options.size] - Maximum number of browsers kept open
+ * @param {number} [options.idleTimeoutMs] - Close a browser after this long without leases
+ * @returns {{acquire: () => Promise<{browser: import("puppeteer").Browser, release: () => void}>, close: () => Promise<void>, stats: () => Object}}
+ */
+export function createBrowserPool({ size = 1, idleTimeoutMs = 60000 } = {}) {
+  // { browserPromise, leases, idleTimer }
+  let entries = [];
+
+  const removeEntry = (entry) => {
+    entries = entries.filter((e) => e !== entry);
+  };
+
+  const closeEntry = async (entry) => {
+    removeEntry(entry);
+    clearTimeout(entry.idleTimer);
+    const browser = await entry.browserPromise.catch(() => null);
+    if (browser) await browser.close().catch(() => {});
+  };
+
+  const pickEntry = () => {
+    const free = entries.find((e) => e.leases === 0);
+    if (free) return free;
+
+    if (entries.length < size) {
+      const entry = { browserPromise: launchBrowser(), leases: 0, idleTimer: null };
+      entries.push(entry);
+      // A browser that crashes or is closed elsewhere leaves the pool
+      entry.browserPromise
+        .then((browser) => browser.on("disconnected", () => removeEntry(entry)))
+        .catch(() => removeEntry(entry));
+      return entry;
+    }
+
+    return entries.reduce((least, e) => (e.leases < least.leases ? e : least));
+  };
+
+  /**
+   * Lease a browser; call release() once the scrape is done with it
+   */
+  const acquire = async () => {
+    const entry = pickEntry();
+    entry.leases++;
+    clearTimeout(entry.idleTimer);
+
+    let browser;
+    try {
+      browser = await entry.browserPromise;
+    } catch (error) {
+      entry.leases--;
+      throw error;
+    }
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      entry.leases--;
+      if (entry.leases === 0 && entries.includes(entry)) {
+        entry.idleTimer = setTimeout(() => closeEntry(entry), idleTimeoutMs);
+        entry.idleTimer.unref?.();
+      }
+    };
+
+    return { browser, release };
+  };
+
+  const close = async () => {
+    await Promise.all([...entries].map(closeEntry));
+  };
+
+  const stats = () => ({
+    size,
+    open: entries.length,
+    busy: entries.filter((e) => e.leases > 0).length,
+  });
+
+  return { acquire, close, stats };
+}
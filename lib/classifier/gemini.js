@@ -0,0 +1,50 @@
+import { requestJSON } from "./utils.js";
+
+const DEFAULT_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+/**
+ * Google Gemini through its REST API
+ * @param {Object} options
+ * @param {string} [options.apiKey] - The Gemini API key
+ * @param {string} [options.baseUrl] - The API root
+ * @returns {Object} - The provider
+ */
+export function createGeminiProvider({ apiKey, baseUrl = DEFAULT_BASE_URL }) {
+  const headers = { "x-goog-api-key": apiKey };
+
+  return {
+    name: "gemini",
+    defaultModel: "gemini-3-pro-preview",
+    missingSetting: apiKey ? null : "AI_API_KEY",
+
+    listModels: async ({ signal } = {}) => {
+      const data = await requestJSON(`${baseUrl}/models?pageSize=1000`, {
+        provider: "Gemini",
+        headers,
+        signal,
+      });
+      return (data.models || [])
+        .filter((model) =>
+          model.supportedGenerationMethods?.includes("generateContent")
+        )
+        .map((model) => model.name.replace(/^models\//, ""));
+    },
+
+    complete: async ({ prompt, model, signal }) => {
+      const data = await requestJSON(
+        `${baseUrl}/models/${encodeURIComponent(model)}:generateContent`,
+        {
+          provider: "Gemini",
+          headers,
+          body: {
+            contents: [{ role: "user", parts: [{ text: prompt }] }],
+            generationConfig: { responseMimeType: "application/json" },
+          },
+          signal,
+        }
+      );
+      const parts = data.candidates?.[0]?.content?.parts || [];
+      return parts.map((part) => part.text || "").join("");
+    },
+  };
+}
@@ -0,0 +1,199 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createStubProvider } from "./stub.js";
+import {
+  buildPrompt,
+  parseAnswer,
+  selectExamples,
+  validateAnswer,
+} from "./prompt.js";
+import { ClassifierError, CLASSIFY_ERROR_CODES } from "../errors.js";
+
+/**
+ * A provider sorts messages into categories with some model:
+ * - name: provider ID, as in the aiProvider setting
+ * - defaultModel: used when neither the config nor the request names one
+ * - missingSetting: the env var that still has to be set, or null when the
+ *   provider is ready
+ * - listModels({signal}): the model IDs it offers
+ * - complete({prompt, messages, categories, examples, model, signal}): the
+ *   model's raw answer to the prompt; a JSON object of message ID to
+ *   { category, sentiment, confidence, rationale } (see prompt.js)
+ */
+export const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  stub: createStubProvider,
+};
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_CHUNK_SIZE = 25;
+const DEFAULT_MAX_ATTEMPTS = 3;
+// Waits between attempts double from here, with some jitter
+const RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * Wait before the next attempt, unless the caller gives up first
+ * @param {number} attempt - The attempt about to start, from 2
+ * @param {AbortSignal} [signal] - The caller's signal
+ */
+function backoff(attempt, signal) {
+  const delay =
+    RETRY_BASE_DELAY_MS * 2 ** (attempt - 2) * (1 + Math.random() / 2);
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Create the classifier the /api/classify routes use
+ * @param {Object} options
+ * @param {string} options.provider - One of the PROVIDERS keys
+ * @param {string} [options.apiKey] - The provider's API key
+ * @param {string} [options.baseUrl] - The provider's API root
+ * @param {string} [options.model] - The model, else the provider's default
+ * @param {number} [options.timeoutMs] - Time limit of one provider call
+ * @param {number} [options.chunkSize] - Messages per request the frontend should send
+ * @param {number} [options.maxAttempts] - Provider calls per request before giving up
+ * @returns {Object} - The classifier
+ */
+export function createClassifier({
+  provider: providerName,
+  apiKey,
+  baseUrl,
+  model: configuredModel,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+}) {
+  const createProvider = PROVIDERS[providerName];
+  if (!createProvider) throw new Error(`Unknown AI provider: ${providerName}`);
+  const provider = createProvider({ apiKey, baseUrl: baseUrl || undefined });
+  const defaultModel = configuredModel || provider.defaultModel;
+
+  /**
+   * Fail early, and clearly, when the provider still needs a setting
+   * @throws {ClassifierError} - NOT_CONFIGURED
+   */
+  const assertConfigured = () => {
+    if (provider.missingSetting) {
+      throw new ClassifierError(
+        CLASSIFY_ERROR_CODES.NOT_CONFIGURED,
+        `AI classification is not configured: set ${provider.missingSetting} on the server`
+      );
+    }
+  };
+
+  /**
+   * Limit a provider call to timeoutMs, and stop it when the caller gives up
+   * @param {AbortSignal} [signal] - The caller's signal
+   * @returns {AbortSignal}
+   */
+  const withTimeout = (signal) => {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    return signal ? AbortSignal.any([signal, timeout]) : timeout;
+  };
+
+  /**
+   * Describe the active provider
+   * @returns {{provider: string, model: string, configured: boolean, chunkSize: number}}
+   */
+  const getInfo = () => ({
+    provider: provider.name,
+    model: defaultModel,
+    configured: !provider.missingSetting,
+    chunkSize,
+  });
+
+  /**
+   * List the models the provider offers
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the call
+   * @returns {Promise<string[]>} - The model IDs
+   */
+  const listModels = async ({ signal } = {}) => {
+    assertConfigured();
+    return provider.listModels({ signal: withTimeout(signal) });
+  };
+
+  /**
+   * Classify messages into the given categories and a sentiment. Every
+   * answer is validated; messages it left out or got wrong are asked about
+   * again, and failed calls are retried with backoff, up to maxAttempts
+   * calls in all.
+   * @param {Object} request
+   * @param {{id: string, text: string}[]} request.messages - The messages
+   * @param {{id: string, title: string, description?: string}[]} request.categories - The categories to choose from
+   * @param {{text: string, category: string}[]} [request.examples] - Messages placed by hand, shown to the model as few-shot examples
+   * @param {string} [request.model] - Overrides the configured model
+   * @param {AbortSignal} [request.signal] - Aborts the call
+   * @returns {Promise<{model: string, classifications: Object, unclassified: string[]}>} - The model used, a mapping of message ID to { category, sentiment, confidence, rationale }, and the IDs no attempt classified
+   * @throws {ClassifierError} - When no message could be classified
+   */
+  const classify = async ({
+    messages,
+    categories,
+    examples = [],
+    model,
+    signal,
+  }) => {
+    assertConfigured();
+    const modelName = model || defaultModel;
+    const fewShot = selectExamples(examples, categories);
+    const classifications = {};
+    let pending = messages;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts && pending.length; attempt++) {
+      if (attempt > 1) await backoff(attempt, signal);
+      try {
+        const text = await provider.complete({
+          prompt: buildPrompt(pending, categories, fewShot),
+          messages: pending,
+          categories,
+          examples: fewShot,
+          model: modelName,
+          signal: withTimeout(signal),
+        });
+        const { valid, problems } = validateAnswer(
+          parseAnswer(text),
+          pending,
+          categories
+        );
+        Object.assign(classifications, valid);
+        pending = pending.filter((msg) => !valid[msg.id]);
+        if (problems.length === 0) break;
+        const sample = problems.slice(0, 3).join("; ");
+        lastError = new ClassifierError(
+          CLASSIFY_ERROR_CODES.INVALID_RESPONSE,
+          `Invalid answer for ${problems.length} messages (${sample})`,
+          { retryable: true }
+        );
+      } catch (error) {
+        if (!error.retryable || signal?.aborted) throw error;
+        lastError = error;
+      }
+      console.log(
+        `[CLASSIFY] Attempt ${attempt}/${maxAttempts} left ${pending.length} messages: ${lastError.message}`
+      );
+    }
+
+    if (pending.length === messages.length) throw lastError;
+    return {
+      model: modelName,
+      classifications,
+      unclassified: pending.map((msg) => msg.id),
+    };
+  };
+
+  return { getInfo, listModels, classify };
+}
@@ -0,0 +1,45 @@
+import { requestJSON } from "./utils.js";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+ * local model server (Ollama, LM Studio, vLLM, llama.cpp) via its base URL
+ * @param {Object} options
+ * @param {string} [options.apiKey] - Sent as a bearer token; local servers usually need none
+ * @param {string} [options.baseUrl] - The API root, e.g. http://localhost:11434/v1
+ * @returns {Object} - The provider
+ */
+export function createOpenAIProvider({ apiKey, baseUrl = DEFAULT_BASE_URL }) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: "openai",
+    defaultModel: "gpt-4o-mini",
+    // Only the hosted API insists on a key
+    missingSetting: apiKey || baseUrl !== DEFAULT_BASE_URL ? null : "AI_API_KEY",
+
+    listModels: async ({ signal } = {}) => {
+      const data = await requestJSON(`${baseUrl}/models`, {
+        provider: "OpenAI-compatible server",
+        headers,
+        signal,
+      });
+      return (data.data || []).map((model) => model.id);
+    },
+
+    complete: async ({ prompt, model, signal }) => {
+      const data = await requestJSON(`${baseUrl}/chat/completions`, {
+        provider: "OpenAI-compatible server",
+        headers,
+        body: {
+          model,
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0,
+        },
+        signal,
+      });
+      return data.choices?.[0]?.message?.content || "";
+    },
+  };
+}
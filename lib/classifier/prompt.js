@@ -0,0 +1,193 @@
+import { ClassifierError, CLASSIFY_ERROR_CODES } from "../errors.js";
+
+export const SENTIMENTS = ["positive", "negative", "question", "neutral"];
+
+// Longer rationales are cut; the board shows one line
+const MAX_RATIONALE_LENGTH = 200;
+// Few-shot examples per prompt (the latest ones), and their length
+const MAX_EXAMPLES = 20;
+const MAX_EXAMPLE_LENGTH = 300;
+
+/**
+ * The examples worth showing the model: the latest ones whose category still
+ * exists, shortened
+ * @param {{text: string, category: string}[]} examples - Messages labeled by hand
+ * @param {{id: string}[]} categories - The board columns
+ * @returns {{text: string, category: string}[]}
+ */
+export function selectExamples(examples, categories) {
+  const ids = new Set(categories.map((category) => category.id));
+  return examples
+    .filter((example) => ids.has(example.category) && example.text.trim())
+    .slice(-MAX_EXAMPLES)
+    .map(({ text, category }) => ({
+      text: text.trim().slice(0, MAX_EXAMPLE_LENGTH),
+      category,
+    }));
+}
+
+/**
+ * Build the classification prompt from the board's categories
+ * @param {{id: string, text: string}[]} messages - The messages to classify
+ * @param {{id: string, title: string, description?: string}[]} categories - The board columns; descriptions explain what belongs in each
+ * @param {{text: string, category: string}[]} [examples] - Messages the team placed by hand, from selectExamples
+ * @returns {string} - The prompt
+ */
+export function buildPrompt(messages, categories, examples = []) {
+  const categoryLines = categories
+    .map(({ id, title, description }) => {
+      const about = description?.trim() || `Messages about ${title || id}.`;
+      return `    - "${id}" (${title || id}): ${about}`;
+    })
+    .join("\n");
+  const ids = categories.map((category) => category.id);
+  const fallback = ids.includes("uncategorized")
+    ? '"uncategorized"'
+    : "the closest category";
+  const targetSentiments = SENTIMENTS.join(", ");
+  // Real IDs in the example, so the model does not copy made-up ones
+  const exampleIds = ids.filter((id) => id !== "uncategorized");
+  const [first = ids[0], second = first] = exampleIds;
+  const labeled = examples.length
+    ? `
+    Messages the moderators already placed by hand. They show how this team uses the categories; classify similar messages the same way:
+${examples.map((example) => `    - ${JSON.stringify(example.text)} -> "${example.category}"`).join("\n")}
+`
+    : "";
+
+  return `
+    You are a data classifier for audience questions and comments from a live Q&A session.
+
+    Categories (ID, name and what belongs there):
+${categoryLines}
+${labeled}
+    Your task is to classify each message into TWO attributes:
+    1. **Category**: The ID of exactly one category above. If none fits, use ${fallback}.
+    2. **Sentiment**: One of [${targetSentiments}].
+       - 'question': If the message is asking for help or clarification.
+       - 'positive': If it's praise or constructive feedback.
+       - 'negative': If it's a complaint or bug report.
+       - 'neutral': If strictly informational.
+
+    For each message also give:
+    - **Confidence**: A number from 0 to 1, how sure you are of the category. Use low values when the message is vague or fits several categories.
+    - **Rationale**: One short sentence on why the category fits.
+
+    Return the result strictly as a JSON object where the key is the message ID and the value is an object containing "category", "sentiment", "confidence" and "rationale".
+
+    Example Output:
+    {
+      "1": { "category": "${first}", "sentiment": "positive", "confidence": 0.9, "rationale": "Praises a feature of this topic." },
+      "2": { "category": "${second}", "sentiment": "question", "confidence": 0.55, "rationale": "Asks how it works, but could also fit another category." }
+    }
+
+    Do not include markdown formatting like \`\`\`json. Just the raw JSON string.
+
+    Messages:
+    ${JSON.stringify(messages)}
+  `;
+}
+
+/**
+ * Read the model's answer as a mapping of message ID to classification
+ * @param {string} text - The raw answer
+ * @returns {Object<string, {category: string, sentiment: string}>}
+ * @throws {ClassifierError} - INVALID_RESPONSE when it is not a JSON object
+ */
+export function parseAnswer(text) {
+  // Models like to wrap JSON in a markdown code block anyway
+  const json = text
+    .replace(/```json/g, "")
+    .replace(/```/g, "")
+    .trim();
+
+  let mapping;
+  try {
+    mapping = JSON.parse(json);
+  } catch {
+    throw new ClassifierError(
+      CLASSIFY_ERROR_CODES.INVALID_RESPONSE,
+      `The model did not answer with JSON: ${json.slice(0, 200)}`,
+      { retryable: true }
+    );
+  }
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new ClassifierError(
+      CLASSIFY_ERROR_CODES.INVALID_RESPONSE,
+      "The model did not answer with a JSON object",
+      { retryable: true }
+    );
+  }
+  return mapping;
+}
+
+/**
+ * A confidence score between 0 and 1, or null
+ * @param {*} value - The model's score
+ * @returns {number|null}
+ */
+function readConfidence(value) {
+  let score = Number(value);
+  if (value === null || value === "" || !Number.isFinite(score)) return null;
+  // Some models answer in percent
+  if (score > 1 && score <= 100) score /= 100;
+  return score >= 0 && score <= 1 ? Math.round(score * 100) / 100 : null;
+}
+
+/**
+ * A one-line rationale, or null
+ * @param {*} value - The model's rationale
+ * @returns {string|null}
+ */
+function readRationale(value) {
+  if (typeof value !== "string") return null;
+  const line = value.replace(/\s+/g, " ").trim();
+  return line ? line.slice(0, MAX_RATIONALE_LENGTH) : null;
+}
+
+/**
+ * Check an answer against what was asked: an entry per message ID, each with
+ * one of the given categories (matched by ID, or leniently by title) and one
+ * of SENTIMENTS. Entries for IDs that were not asked about are ignored. The
+ * confidence (0-1; percentages are scaled) and rationale are kept when
+ * usable and null otherwise, since a missing score is no reason to ask again.
+ * @param {Object} mapping - The parsed answer
+ * @param {{id: string}[]} messages - The messages that were asked about
+ * @param {{id: string, title?: string}[]} categories - The allowed categories
+ * @returns {{valid: Object<string, {category: string, sentiment: string, confidence: number|null, rationale: string|null}>, problems: string[]}} - The usable entries, normalized, and what was wrong with the rest
+ */
+export function validateAnswer(mapping, messages, categories) {
+  const categoryIds = new Map();
+  categories.forEach(({ id, title }) => {
+    if (title) categoryIds.set(title.trim().toLowerCase(), id);
+  });
+  // IDs win over titles that happen to look the same
+  categories.forEach(({ id }) => categoryIds.set(id.toLowerCase(), id));
+
+  const valid = {};
+  const problems = [];
+  messages.forEach(({ id }) => {
+    const entry = mapping[id];
+    if (!entry || typeof entry !== "object") {
+      problems.push(`${id}: missing`);
+      return;
+    }
+    const category = categoryIds.get(
+      String(entry.category ?? "").trim().toLowerCase()
+    );
+    const sentiment = String(entry.sentiment ?? "").trim().toLowerCase();
+    if (!category) {
+      problems.push(`${id}: unknown category ${JSON.stringify(entry.category)}`);
+    } else if (!SENTIMENTS.includes(sentiment)) {
+      problems.push(`${id}: unknown sentiment ${JSON.stringify(entry.sentiment)}`);
+    } else {
+      valid[id] = {
+        category,
+        sentiment,
+        confidence: readConfidence(entry.confidence),
+        rationale: readRationale(entry.rationale),
+      };
+    }
+  });
+  return { valid, problems };
+}
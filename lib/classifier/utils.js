@@ -0,0 +1,63 @@
+import { ClassifierError, CLASSIFY_ERROR_CODES } from "../errors.js";
+
+/**
+ * Call a provider's HTTP API and read its JSON answer
+ * @param {string} url - The endpoint
+ * @param {Object} options
+ * @param {string} options.provider - The provider name, for error messages
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {Object} [options.body] - Sent as JSON with a POST; GET when omitted
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<Object>} - The parsed response
+ * @throws {ClassifierError} - PROVIDER_ERROR for network and HTTP errors
+ */
+export async function requestJSON(url, { provider, headers, body, signal }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: body ? "POST" : "GET",
+      headers: {
+        ...(body && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body && JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    const reason =
+      error.name === "TimeoutError"
+        ? "timed out"
+        : error.cause?.code || error.message;
+    // A caller that gave up is not a failure worth retrying
+    throw new ClassifierError(
+      CLASSIFY_ERROR_CODES.PROVIDER_ERROR,
+      `${provider} request failed: ${reason}`,
+      { retryable: error.name !== "AbortError" }
+    );
+  }
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Reported below, or as an invalid answer
+  }
+  if (!response.ok) {
+    // Gemini and OpenAI-compatible servers both use { error: { message } }
+    const detail = data?.error?.message || data?.error || response.statusText;
+    throw new ClassifierError(
+      CLASSIFY_ERROR_CODES.PROVIDER_ERROR,
+      `${provider} answered ${response.status}: ${detail}`,
+      { retryable: response.status === 429 || response.status >= 500 }
+    );
+  }
+  if (data === null) {
+    throw new ClassifierError(
+      CLASSIFY_ERROR_CODES.INVALID_RESPONSE,
+      `${provider} did not answer with JSON`,
+      { retryable: true }
+    );
+  }
+  return data;
+}
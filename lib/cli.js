@@ -0,0 +1,282 @@
+import { writeFileSync, readFileSync, existsSync } from "fs";
+import { parseArgs } from "util";
+import { fetchHTML } from "./scraper.js";
+import { parseQAMessages, detectSavedFromUrl } from "./parser.js";
+import { AccessDeniedError } from "./errors.js";
+import { FORMATS, formatResults, getFormatFromPath } from "./formatters.js";
+
+export const EXIT_CODES = {
+  OK: 0,
+  // Bad arguments, or an output file that could not be written
+  ERROR: 1,
+  // A URL could not be loaded (network, timeout, browser)
+  NAVIGATION_FAILED: 2,
+  // Every input loaded, but at least one had no messages
+  NO_MESSAGES: 3,
+  // A gated session refused access (see lib/errors.js)
+  ACCESS_DENIED: 4,
+};
+
+const DEFAULT_OUTPUT = "./frontend/public/data.json";
+const SORT_ORDERS = ["likes", "newest", "oldest", "time"];
+
+const USAGE = `Usage: node index.js [options] <input...>
+
+Inputs are session URLs, saved .html files, or "-" for stdin.
+
+Options:
+  -o, --output <file>    Write to this file, or "-" for stdout
+                         (default: ${DEFAULT_OUTPUT})
+  -f, --format <format>  ${FORMATS.join(", ")} (default: from the output
+                         file extension, else json)
+      --min-likes <n>    Only messages with at least n likes
+      --sort <order>     likes, newest or oldest ("time" = oldest)
+      --limit <n>        At most n messages per session
+      --pin <id>         Session ID/PIN of a gated session
+      --password <pw>    Password of a gated session
+      --name <name>      Participant name for sessions that ask for one
+  -h, --help             Show this help
+
+Exit codes: 0 ok, 1 usage or output error, 2 navigation failed,
+3 no messages found, 4 access denied`;
+
+/**
+ * Read all of stdin as a UTF-8 string
+ * @returns {Promise<string>} - The piped content
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+/**
+ * Load HTML from a URL, a local .html file, or stdin ("-")
+ * @param {string} input - The CLI argument
+ * @param {Function} fetchPage - fetchHTML, or its record/replay wrapper
+ * @param {Object} options - Credentials and history limits passed to fetchPage
+ * @param {Function} log - Where progress goes
+ * @returns {Promise<{htmlContent: string, source: string, load?: Object, recordedAt?: string}>} - The HTML, the source used for message IDs and, for URLs, the expected vs captured message counts and, for recorded pages, when they were captured
+ */
+async function loadHTML(input, fetchPage, options, log) {
+  if (input === "-") {
+    log("Reading HTML from stdin...\n");
+    const htmlContent = await readStdin();
+    return { htmlContent, source: detectSavedFromUrl(htmlContent) };
+  }
+
+  if (!/^https?:\/\//i.test(input) && existsSync(input)) {
+    log(`Reading HTML from file: ${input}\n`);
+    const htmlContent = readFileSync(input, "utf-8");
+    return { htmlContent, source: detectSavedFromUrl(htmlContent) || input };
+  }
+
+  log(`Fetching HTML from URL: ${input}\n`);
+  const { htmlContent, load, recordedAt } = await fetchPage(input, options);
+  return { htmlContent, source: input, load, recordedAt };
+}
+
+/**
+ * Read a non-negative integer flag
+ * @param {string} name - The flag name, for the error message
+ * @param {string} [value] - The flag value
+ * @returns {number|undefined} - The number, or undefined when the flag is not set
+ */
+function readCount(name, value) {
+  if (value === undefined) return undefined;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return count;
+}
+
+/**
+ * Sent time of a message in ms, or NaN when unknown
+ * @param {Object} msg - A parsed message
+ * @returns {number}
+ */
+function getSentTime(msg) {
+  return msg.sentAt ? Date.parse(msg.sentAt) : NaN;
+}
+
+/**
+ * Apply the minimum likes, sort order and limit to a parse result
+ * @param {Object} result - The parse result
+ * @param {{minLikes?: number, sort: string, limit?: number}} filters - The filters
+ * @returns {Object} - The filtered result, with totals of what is left
+ */
+function applyFilters(result, { minLikes, sort, limit }) {
+  let messages = result.messages.filter(
+    (msg) => minLikes === undefined || msg.likes >= minLikes
+  );
+
+  if (sort !== "likes") {
+    const direction = sort === "newest" ? -1 : 1;
+    // Messages without a sent time go last
+    messages = [...messages].sort((a, b) => {
+      const timeA = getSentTime(a);
+      const timeB = getSentTime(b);
+      if (Number.isNaN(timeA)) return Number.isNaN(timeB) ? 0 : 1;
+      if (Number.isNaN(timeB)) return -1;
+      return (timeA - timeB) * direction;
+    });
+  }
+
+  if (limit !== undefined) messages = messages.slice(0, limit);
+
+  return {
+    ...result,
+    totalMessages: messages.length,
+    totalLikes: messages.reduce((sum, msg) => sum + msg.likes, 0),
+    messages,
+  };
+}
+
+/**
+ * Run the command-line interface
+ * @param {string[]} argv - The arguments after the script name
+ * @param {Object} defaults
+ * @param {string} defaults.timeZone - Time zone of the displayed sent times
+ * @param {string} defaults.locale - Locale of the displayed sent times
+ * @param {number} defaults.maxMessages - History loading limit
+ * @param {number} defaults.maxTimeMs - History loading time limit
+ * @param {Function} [defaults.fetchHTML] - Fetches URLs; the record/replay wrapper in fixture modes
+ * @returns {Promise<number>} - The exit code, one of EXIT_CODES
+ */
+export async function runCli(
+  argv,
+  { timeZone, locale, maxMessages, maxTimeMs, fetchHTML: fetchPage = fetchHTML }
+) {
+  let args;
+  let filters;
+  let format;
+  try {
+    args = parseArgs({
+      args: argv,
+      options: {
+        output: { type: "string", short: "o" },
+        format: { type: "string", short: "f" },
+        "min-likes": { type: "string" },
+        sort: { type: "string", default: "likes" },
+        limit: { type: "string" },
+        pin: { type: "string" },
+        password: { type: "string" },
+        name: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+      allowPositionals: true,
+    });
+
+    const { values } = args;
+    if (!SORT_ORDERS.includes(values.sort)) {
+      throw new Error(`--sort must be one of ${SORT_ORDERS.join(", ")}`);
+    }
+    filters = {
+      minLikes: readCount("min-likes", values["min-likes"]),
+      sort: values.sort === "time" ? "oldest" : values.sort,
+      limit: readCount("limit", values.limit),
+    };
+
+    format =
+      values.format?.toLowerCase() ||
+      getFormatFromPath(values.output || DEFAULT_OUTPUT) ||
+      "json";
+    if (!FORMATS.includes(format)) {
+      throw new Error(`--format must be one of ${FORMATS.join(", ")}`);
+    }
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  const { values, positionals: inputs } = args;
+  if (values.help || inputs.length === 0) {
+    console.error(USAGE);
+    return values.help ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+  }
+
+  const outputPath = values.output || DEFAULT_OUTPUT;
+  const toStdout = outputPath === "-";
+  // Keep stdout for the data when it is written there
+  const log = toStdout ? console.error : console.log;
+
+  const credentials = {
+    pin: values.pin,
+    password: values.password,
+    name: values.name,
+  };
+  const results = [];
+  let failure = null;
+  let foundNothing = false;
+
+  for (const input of inputs) {
+    let loaded;
+    try {
+      loaded = await loadHTML(
+        input,
+        fetchPage,
+        { credentials, maxMessages, maxTimeMs },
+        log
+      );
+    } catch (error) {
+      if (error instanceof AccessDeniedError) {
+        console.error(`Access denied (${error.code}) for ${input}:`, error.message);
+        failure = failure ?? EXIT_CODES.ACCESS_DENIED;
+      } else {
+        console.error(`Error loading ${input}:`, error.message);
+        failure = failure ?? EXIT_CODES.NAVIGATION_FAILED;
+      }
+      continue;
+    }
+
+    const { htmlContent, source, load, recordedAt } = loaded;
+    const result = parseQAMessages(htmlContent, source, {
+      timeZone,
+      locale,
+      referenceDate: recordedAt ? new Date(recordedAt) : undefined,
+    });
+    if (load) result.load = load;
+
+    // Display results
+    log("=".repeat(60));
+    log(`Q&A MESSAGE PARSER RESULTS: ${source || input}`);
+    log("=".repeat(60));
+    log(`\nTotal Messages: ${result.totalMessages}`);
+    log(`Total Likes: ${result.totalLikes}`);
+    if (load) {
+      const expected = load.expected === null ? "unknown" : load.expected;
+      log(`Expected Messages: ${expected}`);
+      if (!load.complete) {
+        log(`Warning: history incomplete (${load.stopReason})`);
+      }
+    }
+    log("");
+
+    if (result.totalMessages === 0) {
+      console.error(`No messages found in ${input}`);
+      foundNothing = true;
+    }
+    results.push(applyFilters(result, filters));
+  }
+
+  if (results.length > 0) {
+    const output = formatResults(results, format);
+    if (toStdout) {
+      process.stdout.write(output);
+    } else {
+      try {
+        writeFileSync(outputPath, output);
+        log(`Data saved to ${outputPath}`);
+      } catch (err) {
+        console.error(`Error saving data to ${outputPath}:`, err.message);
+        return failure ?? EXIT_CODES.ERROR;
+      }
+    }
+  }
+
+  if (failure !== null) return failure;
+  return foundNothing ? EXIT_CODES.NO_MESSAGES : EXIT_CODES.OK;
+}
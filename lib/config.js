@@ -0,0 +1,341 @@
+import { existsSync, readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { isValidTimeZone } from "./timestamps.js";
+import { DEFAULT_MAX_LOAD_TIME_MS } from "./loader.js";
+import { adapters } from "./adapters/index.js";
+
+// Settings come from, in increasing priority: the defaults below, a JSON
+// config file (CONFIG_FILE, or parser.config.json next to index.js) and
+// environment variables.
+
+const DEFAULT_CONFIG_FILE = fileURLToPath(
+  new URL("../parser.config.json", import.meta.url)
+);
+
+const DEFAULT_PORT = 3000;
+
+const SETTINGS = [
+  // Server
+  {
+    key: "port",
+    env: "PORT",
+    type: "integer",
+    min: 1,
+    max: 65535,
+    default: DEFAULT_PORT,
+  },
+  { key: "corsOrigins", env: "CORS_ORIGINS", type: "list", default: ["*"] },
+  // Hosts (and subdomains) the server may scrape; "*" allows any public
+  // host. By default, those of every supported platform.
+  {
+    key: "allowedHosts",
+    env: "ALLOWED_HOSTS",
+    type: "list",
+    default: adapters.flatMap((adapter) => adapter.domains),
+  },
+  // The API as the frontend calls it; frontend/vite.config.js reads it too
+  { key: "apiBaseUrl", env: "API_BASE_URL", type: "url", default: null },
+
+  // Record mode saves every scraped page to fixturesDir; replay mode serves
+  // those pages instead of opening a browser
+  {
+    key: "fixtureMode",
+    env: "FIXTURE_MODE",
+    type: "enum",
+    values: ["off", "record", "replay"],
+    default: "off",
+  },
+  {
+    key: "fixturesDir",
+    env: "FIXTURES_DIR",
+    type: "string",
+    default: "./fixtures",
+  },
+
+  // AI classification (/api/classify); the key never leaves the server
+  {
+    key: "aiProvider",
+    env: "AI_PROVIDER",
+    type: "enum",
+    values: ["gemini", "openai", "stub"],
+    default: "gemini",
+  },
+  {
+    key: "aiApiKey",
+    env: "AI_API_KEY",
+    type: "string",
+    secret: true,
+    default: null,
+  },
+  // Model and API root; the provider's defaults when unset. Point aiBaseUrl
+  // at a local OpenAI-compatible server (e.g. http://localhost:11434/v1)
+  { key: "aiModel", env: "AI_MODEL", type: "string", default: null },
+  { key: "aiBaseUrl", env: "AI_BASE_URL", type: "url", default: null },
+  {
+    key: "aiTimeoutMs",
+    env: "AI_TIMEOUT_MS",
+    type: "integer",
+    min: 1000,
+    default: 120000,
+  },
+  // Messages per classify request (the board sends large sessions in chunks)
+  // and provider calls per request before it fails
+  {
+    key: "aiChunkSize",
+    env: "AI_CHUNK_SIZE",
+    type: "integer",
+    min: 1,
+    max: 500,
+    default: 25,
+  },
+  {
+    key: "aiMaxAttempts",
+    env: "AI_MAX_ATTEMPTS",
+    type: "integer",
+    min: 1,
+    max: 10,
+    default: 3,
+  },
+
+  // Mock mode: return the mock data file instead of scraping
+  { key: "mockMode", env: "MOCK_MODE", type: "boolean", default: false },
+  {
+    key: "mockDataPath",
+    env: "MOCK_DATA_PATH",
+    type: "string",
+    default: "./mock-data.json",
+  },
+
+  // Scrape jobs and browsers
+  {
+    key: "scrapeConcurrency",
+    env: "SCRAPE_CONCURRENCY",
+    type: "integer",
+    min: 1,
+    default: 2,
+  },
+  {
+    key: "browserPoolSize",
+    env: "BROWSER_POOL_SIZE",
+    type: "integer",
+    min: 1,
+    default: 1,
+  },
+  { key: "headless", env: "HEADLESS", type: "boolean", default: true },
+  {
+    key: "chromiumArgs",
+    env: "CHROMIUM_ARGS",
+    type: "list",
+    default: ["--no-sandbox", "--disable-setuid-sandbox"],
+  },
+  {
+    key: "navigationTimeoutMs",
+    env: "NAVIGATION_TIMEOUT_MS",
+    type: "integer",
+    min: 1000,
+    default: 60000,
+  },
+  {
+    key: "cardsTimeoutMs",
+    env: "CARDS_TIMEOUT_MS",
+    type: "integer",
+    min: 0,
+    default: 30000,
+  },
+
+  // History loading; 0 messages means no limit
+  {
+    key: "maxMessages",
+    env: "MAX_MESSAGES",
+    type: "integer",
+    min: 0,
+    default: 0,
+  },
+  {
+    key: "maxLoadTimeMs",
+    env: "MAX_LOAD_TIME_MS",
+    type: "integer",
+    min: 1000,
+    default: DEFAULT_MAX_LOAD_TIME_MS,
+  },
+
+  // Session store. Each session file holds its latest maxSnapshots
+  // snapshots (0 keeps all of them); older ones are dropped.
+  { key: "storeDir", env: "STORE_DIR", type: "string", default: "./data" },
+  {
+    key: "maxSnapshots",
+    env: "MAX_SNAPSHOTS",
+    type: "integer",
+    min: 0,
+    default: 500,
+  },
+
+  // Sent time parsing
+  {
+    key: "parseTimeZone",
+    env: "PARSE_TIMEZONE",
+    type: "timeZone",
+    default: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  },
+  { key: "parseLocale", env: "PARSE_LOCALE", type: "string", default: "en-GB" },
+];
+
+/**
+ * Convert a raw setting value (env string or config file JSON) to its type
+ * @param {Object} setting - The setting definition
+ * @param {*} raw - The raw value
+ * @returns {{value: *}|{error: string}}
+ */
+function readSetting(setting, raw) {
+  switch (setting.type) {
+    case "boolean": {
+      if (typeof raw === "boolean") return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (["true", "1", "yes", "on"].includes(text)) return { value: true };
+      if (["false", "0", "no", "off"].includes(text)) return { value: false };
+      return { error: "must be true or false" };
+    }
+    case "integer": {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) return { error: "must be an integer" };
+      if (setting.min !== undefined && value < setting.min) {
+        return { error: `must be at least ${setting.min}` };
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        return { error: `must be at most ${setting.max}` };
+      }
+      return { value };
+    }
+    case "list": {
+      const items = Array.isArray(raw) ? raw : String(raw).split(/[\s,]+/);
+      return {
+        value: items.map((item) => String(item).trim()).filter(Boolean),
+      };
+    }
+    case "url": {
+      try {
+        const url = new URL(String(raw));
+        if (!/^https?:$/.test(url.protocol)) {
+          return { error: "must be an http(s) URL" };
+        }
+        return { value: String(raw).replace(/\/+$/, "") };
+      } catch {
+        return { error: "must be a URL" };
+      }
+    }
+    case "enum": {
+      const value = String(raw).trim().toLowerCase();
+      return setting.values.includes(value)
+        ? { value }
+        : { error: `must be one of ${setting.values.join(", ")}` };
+    }
+    case "timeZone":
+      return isValidTimeZone(String(raw))
+        ? { value: String(raw) }
+        : { error: "must be an IANA time zone" };
+    default:
+      return typeof raw === "string" && raw.trim()
+        ? { value: raw.trim() }
+        : { error: "must be a non-empty string" };
+  }
+}
+
+/**
+ * Read the JSON config file, if there is one
+ * @param {string|undefined} filePath - An explicit path (CONFIG_FILE)
+ * @returns {{values: Object, path: string|null}}
+ */
+function readConfigFile(filePath) {
+  const path = filePath || DEFAULT_CONFIG_FILE;
+  if (!existsSync(path)) {
+    if (filePath) throw new Error(`Config file not found: ${filePath}`);
+    return { values: {}, path: null };
+  }
+
+  let values;
+  try {
+    values = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid config file ${path}: ${error.message}`);
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error(`Invalid config file ${path}: expected a JSON object`);
+  }
+  return { values, path };
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} - The frozen configuration, with `sources` telling where each value came from and `configFile` the file used, if any
+ * @throws {Error} - Listing every invalid setting
+ */
+export function loadConfig(env = process.env) {
+  const file = readConfigFile(env.CONFIG_FILE);
+  const config = {};
+  const sources = {};
+  const errors = [];
+
+  const known = new Set(SETTINGS.map((setting) => setting.key));
+  Object.keys(file.values)
+    .filter((key) => !known.has(key))
+    .forEach((key) => errors.push(`${key}: unknown setting in ${file.path}`));
+
+  SETTINGS.forEach((setting) => {
+    let raw = setting.default;
+    let source = "default";
+    if (file.values[setting.key] !== undefined) {
+      raw = file.values[setting.key];
+      source = "file";
+    }
+    if (env[setting.env] !== undefined && env[setting.env] !== "") {
+      raw = env[setting.env];
+      source = "env";
+    }
+
+    if (source === "default") {
+      config[setting.key] = raw;
+    } else {
+      const { value, error } = readSetting(setting, raw);
+      if (error) {
+        const name = source === "env" ? setting.env : setting.key;
+        const got = setting.secret ? "" : ` (got ${JSON.stringify(raw)})`;
+        errors.push(`${name}: ${error}${got}`);
+        return;
+      }
+      config[setting.key] = value;
+    }
+    sources[setting.key] = source;
+  });
+
+  if (config.mockMode && config.mockDataPath && !existsSync(config.mockDataPath)) {
+    errors.push(`mockDataPath: file not found (${config.mockDataPath})`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  config.apiBaseUrl ??= `http://localhost:${config.port}/api`;
+  return Object.freeze({ ...config, sources, configFile: file.path });
+}
+
+/**
+ * Human-readable summary of a configuration, one setting per line
+ * @param {Object} config - The loaded configuration
+ * @returns {string} - The summary
+ */
+export function formatConfigSummary(config) {
+  const lines = SETTINGS.map(({ key, secret }) => {
+    const value = config[key];
+    let shown = Array.isArray(value) ? value.join(", ") : String(value);
+    if (value === null || value === undefined) shown = "(not set)";
+    else if (secret) shown = "(set)";
+    const source = config.sources[key] || "default";
+    return `  ${key.padEnd(20)} ${shown}${source === "default" ? "" : ` (${source})`}`;
+  });
+  return [
+    `Configuration${config.configFile ? ` (file: ${config.configFile})` : ""}:`,
+    ...lines,
+  ].join("\n");
+}
@@ -0,0 +1,95 @@
+// Errors the API reports with a machine-readable code next to the message
+
+export const ACCESS_DENIED_CODES = {
+  PIN_REQUIRED: "PIN_REQUIRED",
+  PASSWORD_REQUIRED: "PASSWORD_REQUIRED",
+  NAME_REQUIRED: "NAME_REQUIRED",
+  INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
+  ACCESS_DENIED: "ACCESS_DENIED",
+};
+
+/**
+ * The session could not be joined: it asked for credentials that were not
+ * given, rejected them, or refused access
+ */
+export class AccessDeniedError extends Error {
+  /**
+   * @param {string} code - One of ACCESS_DENIED_CODES
+   * @param {string} message - What the session asked for or said
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "AccessDeniedError";
+    this.code = code;
+  }
+}
+
+export const URL_BLOCKED_CODES = {
+  INVALID_URL: "INVALID_URL",
+  PROTOCOL_NOT_ALLOWED: "PROTOCOL_NOT_ALLOWED",
+  HOST_NOT_ALLOWED: "HOST_NOT_ALLOWED",
+  PRIVATE_ADDRESS: "PRIVATE_ADDRESS",
+};
+
+/**
+ * A URL the scraper must not visit: malformed, not http(s), outside the host
+ * allowlist, or resolving to a private, loopback or link-local address
+ */
+export class UrlNotAllowedError extends Error {
+  /**
+   * @param {string} code - One of URL_BLOCKED_CODES
+   * @param {string} message - Why the URL was refused
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "UrlNotAllowedError";
+    this.code = code;
+    // Malformed URLs are bad requests; valid but refused ones are forbidden
+    this.status =
+      code === URL_BLOCKED_CODES.INVALID_URL ||
+      code === URL_BLOCKED_CODES.PROTOCOL_NOT_ALLOWED
+        ? 400
+        : 403;
+  }
+}
+
+/**
+ * Replay mode was asked for a URL that was never recorded
+ */
+export class FixtureNotFoundError extends Error {
+  /**
+   * @param {string} url - The requested URL
+   */
+  constructor(url) {
+    super(`No fixture recorded for ${url}`);
+    this.name = "FixtureNotFoundError";
+    this.code = "FIXTURE_NOT_FOUND";
+  }
+}
+
+export const CLASSIFY_ERROR_CODES = {
+  NOT_CONFIGURED: "NOT_CONFIGURED",
+  PROVIDER_ERROR: "PROVIDER_ERROR",
+  INVALID_RESPONSE: "INVALID_RESPONSE",
+};
+
+/**
+ * AI classification failed: the provider is missing its settings, its API
+ * answered with an error, or its answer was not the expected JSON
+ */
+export class ClassifierError extends Error {
+  /**
+   * @param {string} code - One of CLASSIFY_ERROR_CODES
+   * @param {string} message - What went wrong
+   * @param {Object} [options]
+   * @param {boolean} [options.retryable] - Whether trying again may help (timeouts, rate limits, server errors, malformed answers)
+   */
+  constructor(code, message, { retryable = false } = {}) {
+    super(message);
+    this.name = "ClassifierError";
+    this.code = code;
+    this.retryable = retryable;
+    // The server itself is fine; the upstream model is unset or misbehaved
+    this.status = code === CLASSIFY_ERROR_CODES.NOT_CONFIGURED ? 503 : 502;
+  }
+}
@@ -0,0 +1,153 @@
+import { mkdir, readFile, readdir, rename, writeFile } from "fs/promises";
+import { createHash } from "crypto";
+import path from "path";
+import { getSessionKey } from "./parser.js";
+import { FixtureNotFoundError } from "./errors.js";
+
+/**
+ * File-safe ID for a URL; URLs of the same session share one fixture
+ * @param {string} url - The session URL
+ * @returns {string} - The fixture ID
+ */
+function toFixtureId(url) {
+  return createHash("sha1")
+    .update(getSessionKey(url))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+/**
+ * Write a file atomically (tmp file + rename)
+ * @param {string} filePath - The file to write
+ * @param {string} content - The content
+ */
+async function writeAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  await writeFile(tmpPath, content);
+  await rename(tmpPath, filePath);
+}
+
+/**
+ * Create a store of rendered session pages, one per URL. Each fixture is
+ * <dir>/<id>.html (usable with the CLI and /api/parse) plus <id>.json with
+ * the URL, when it was recorded and the history load stats.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The fixtures directory
+ */
+export function createFixtureStore({ dir = "./fixtures" } = {}) {
+  const htmlPath = (id) => path.join(dir, `${id}.html`);
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+
+  /**
+   * Save the rendered HTML of a URL, replacing an earlier recording
+   * @param {string} url - The session URL
+   * @param {{htmlContent: string, load?: Object, recordedAt?: string}} page - What fetchHTML returned, and when
+   * @returns {Promise<Object>} - The fixture metadata
+   */
+  const save = async (
+    url,
+    { htmlContent, load, recordedAt = new Date().toISOString() }
+  ) => {
+    const id = toFixtureId(url);
+    const meta = {
+      id,
+      url,
+      session: getSessionKey(url),
+      recordedAt,
+      load: load || null,
+    };
+    await mkdir(dir, { recursive: true });
+    await writeAtomic(htmlPath(id), htmlContent);
+    await writeAtomic(metaPath(id), JSON.stringify(meta, null, 2));
+    return meta;
+  };
+
+  /**
+   * Load the recording of a URL
+   * @param {string} url - The session URL
+   * @returns {Promise<{htmlContent: string, load: Object|null, meta: Object}|null>} - The fixture, or null if none was recorded
+   */
+  const load = async (url) => {
+    const id = toFixtureId(url);
+    try {
+      const [htmlContent, meta] = await Promise.all([
+        readFile(htmlPath(id), "utf-8"),
+        readFile(metaPath(id), "utf-8").then(JSON.parse),
+      ]);
+      return { htmlContent, load: meta.load, meta };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  /**
+   * List all recorded fixtures, most recent first
+   * @returns {Promise<Object[]>} - The fixture metadata
+   */
+  const list = async () => {
+    let files;
+    try {
+      files = await readdir(dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const metas = await Promise.all(
+      files
+        .filter((file) => file.endsWith(".json"))
+        .map((file) =>
+          readFile(path.join(dir, file), "utf-8")
+            .then(JSON.parse)
+            .catch(() => null)
+        )
+    );
+    return metas
+      .filter(Boolean)
+      .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+  };
+
+  return { save, load, list };
+}
+
+/**
+ * Wrap fetchHTML with record or replay behavior. Record fetches as usual and
+ * saves every page; replay answers from the saved pages without a browser.
+ * Both add `recordedAt`, the capture time, to the result: parse with it as
+ * the reference date so relative and time-only sent times ("5 min ago",
+ * "19:07") come out the same on every replay.
+ * @param {Function} fetchHTML - The real fetch, see lib/scraper.js
+ * @param {Object} options
+ * @param {string} options.mode - "off", "record" or "replay"
+ * @param {Object} options.store - A store from createFixtureStore
+ * @returns {Function} - A fetch with the same signature and result as fetchHTML, plus recordedAt
+ */
+export function withFixtures(fetchHTML, { mode, store }) {
+  if (mode === "record") {
+    return async (url, options) => {
+      const page = await fetchHTML(url, options);
+      const recordedAt = new Date().toISOString();
+      const meta = await store.save(url, { ...page, recordedAt });
+      console.error(`[RECORD] Saved fixture ${meta.id} for ${url}`);
+      return { ...page, recordedAt };
+    };
+  }
+
+  if (mode === "replay") {
+    return async (url, { signal, onProgress } = {}) => {
+      signal?.throwIfAborted();
+      onProgress?.("replaying", 50);
+      const fixture = await store.load(url);
+      if (!fixture) throw new FixtureNotFoundError(url);
+      const { id, recordedAt } = fixture.meta;
+      console.error(`[REPLAY] Serving fixture ${id} recorded at ${recordedAt}`);
+      return {
+        htmlContent: fixture.htmlContent,
+        load: fixture.load,
+        recordedAt,
+      };
+    };
+  }
+
+  return fetchHTML;
+}
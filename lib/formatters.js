@@ -0,0 +1,145 @@
+// Output formats of the CLI. Every formatter takes a list of parse results
+// (one per input) and returns the text to write.
+
+export const FORMATS = ["json", "ndjson", "csv", "markdown"];
+
+const CSV_COLUMNS = [
+  "session",
+  "id",
+  "sentAt",
+  "timestamp",
+  "author",
+  "likes",
+  "message",
+  "pinned",
+  "starred",
+  "answered",
+  "hidden",
+  "replies",
+];
+
+// Spreadsheets run a field starting with one of these as a formula, and
+// messages come from anonymous audience members (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break, and
+ * put a ' in front of text a spreadsheet would run as a formula
+ * @param {*} value - The field value
+ * @returns {string} - The CSV field
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Make text safe for a Markdown table cell
+ * @param {*} value - The cell value
+ * @returns {string} - The cell text
+ */
+function toMarkdownCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return text.replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+/**
+ * One flat row per message, shared by the CSV and NDJSON formats
+ * @param {Object} result - A parse result
+ * @param {Object} msg - One of its messages
+ * @returns {Object} - The row
+ */
+function toRow(result, msg) {
+  return {
+    session: result.session,
+    id: msg.id,
+    sentAt: msg.sentAt,
+    timestamp: msg.timestamp,
+    author: msg.author,
+    likes: msg.likes,
+    message: msg.message,
+    ...msg.status,
+    replies: msg.replies ? msg.replies.length : 0,
+  };
+}
+
+const formatters = {
+  // A single input keeps the plain parse result shape the frontend loads
+  json: (results) =>
+    JSON.stringify(results.length === 1 ? results[0] : results, null, 2) + "\n",
+
+  ndjson: (results) =>
+    results
+      .flatMap((result) =>
+        result.messages.map((msg) =>
+          JSON.stringify({ session: result.session, ...msg })
+        )
+      )
+      .map((line) => line + "\n")
+      .join(""),
+
+  csv: (results) =>
+    [
+      CSV_COLUMNS.join(","),
+      ...results.flatMap((result) =>
+        result.messages.map((msg) => {
+          const row = toRow(result, msg);
+          return CSV_COLUMNS.map((column) => toCsvField(row[column])).join(",");
+        })
+      ),
+    ].join("\n") + "\n",
+
+  markdown: (results) =>
+    results
+      .map((result) =>
+        [
+          `## ${result.session || "Q&A session"}`,
+          "",
+          `${result.totalMessages} messages, ${result.totalLikes} likes`,
+          "",
+          "| Likes | Sent | Author | Message |",
+          "| ---: | --- | --- | --- |",
+          ...result.messages.map((msg) => {
+            const cells = [
+              msg.likes,
+              msg.sentAt || msg.timestamp,
+              msg.author || "Anonymous",
+              msg.message,
+            ].map(toMarkdownCell);
+            return `| ${cells.join(" | ")} |`;
+          }),
+        ].join("\n")
+      )
+      .join("\n\n") + "\n",
+};
+
+/**
+ * Render parse results in one of the output formats
+ * @param {Object[]} results - The parse results, one per input
+ * @param {string} format - One of FORMATS
+ * @returns {string} - The rendered output
+ */
+export function formatResults(results, format) {
+  const formatter = formatters[format];
+  if (!formatter) throw new Error(`Unknown format: ${format}`);
+  return formatter(results);
+}
+
+/**
+ * Pick the output format from a file extension
+ * @param {string} filePath - The output file
+ * @returns {string|null} - The format, or null for unknown extensions
+ */
+export function getFormatFromPath(filePath) {
+  const extension = (filePath.match(/\.([a-z]+)$/i) || [])[1];
+  const byExtension = {
+    json: "json",
+    ndjson: "ndjson",
+    jsonl: "ndjson",
+    csv: "csv",
+    md: "markdown",
+    markdown: "markdown",
+  };
+  return byExtension[extension?.toLowerCase()] || null;
+}
@@ -0,0 +1,180 @@
+import { randomUUID } from "crypto";
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const FINISHED_STATUSES = [
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED,
+];
+
+/**
+ * Public view of a job, as returned by the API
+ * @param {Object} job - The internal job record
+ * @returns {Object} - The serializable job
+ */
+function toJobJSON(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    params: job.params,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Create an in-memory job queue that runs at most `concurrency` jobs at once.
+ * runJob receives the job params plus an AbortSignal and a progress reporter,
+ * and resolves with the job result. A failed job keeps the error's message and
+ * its `code`, if any.
+ * @param {Object} options
+ * @param {(params: Object, context: {signal: AbortSignal, reportProgress: (stage: string, percent: number) => void}) => Promise<Object>} options.runJob - Does the work of one job
+ * @param {number} [options.concurrency] - Maximum number of running jobs
+ * @param {number} [options.retentionMs] - How long finished jobs stay queryable
+ */
+export function createJobQueue({
+  runJob,
+  concurrency = 2,
+  retentionMs = 10 * 60 * 1000,
+}) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  const finish = (job, status, fields = {}) => {
+    Object.assign(job, fields, {
+      status,
+      finishedAt: new Date().toISOString(),
+    });
+    job.controller = null;
+    job.privateParams = null;
+    const timer = setTimeout(() => jobs.delete(job.id), retentionMs);
+    timer.unref?.();
+  };
+
+  const start = async (job) => {
+    running++;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    job.controller = new AbortController();
+
+    const reportProgress = (stage, percent) => {
+      job.progress = { stage, percent };
+    };
+
+    try {
+      const params = { ...job.params, ...job.privateParams };
+      const result = await runJob(params, {
+        signal: job.controller.signal,
+        reportProgress,
+      });
+      if (job.status === JOB_STATUS.RUNNING) {
+        finish(job, JOB_STATUS.COMPLETED, {
+          result,
+          progress: { stage: "done", percent: 100 },
+        });
+      }
+    } catch (error) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        finish(job, JOB_STATUS.FAILED, {
+          error: error.message,
+          errorCode: error.code || null,
+        });
+      }
+    } finally {
+      running--;
+      drain();
+    }
+  };
+
+  const drain = () => {
+    while (running < concurrency && pending.length > 0) {
+      start(pending.shift());
+    }
+  };
+
+  /**
+   * Queue a new job
+   * @param {Object} params - Passed to runJob
+   * @param {Object} [privateParams] - Also passed to runJob, but never returned by the API (e.g. passwords)
+   * @returns {Object} - The queued job
+   */
+  const createJob = (params, privateParams = {}) => {
+    const job = {
+      id: randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      progress: { stage: "queued", percent: 0 },
+      params,
+      privateParams,
+      result: null,
+      error: null,
+      errorCode: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      controller: null,
+    };
+    jobs.set(job.id, job);
+    pending.push(job);
+    drain();
+    return toJobJSON(job);
+  };
+
+  /**
+   * Look up a job
+   * @param {string} id - The job ID
+   * @returns {Object|null} - The job, or null if unknown or expired
+   */
+  const getJob = (id) => {
+    const job = jobs.get(id);
+    return job ? toJobJSON(job) : null;
+  };
+
+  /**
+   * List all known jobs, without their results
+   * @returns {Object[]} - The jobs, newest first
+   */
+  const listJobs = () =>
+    [...jobs.values()]
+      .map((job) => ({ ...toJobJSON(job), result: undefined }))
+      .reverse();
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - The job ID
+   * @returns {Object|null} - The updated job, or null if unknown
+   */
+  const cancelJob = (id) => {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) return toJobJSON(job);
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      pending.splice(pending.indexOf(job), 1);
+    }
+    const controller = job.controller;
+    finish(job, JOB_STATUS.CANCELLED);
+    controller?.abort();
+    return toJobJSON(job);
+  };
+
+  const stats = () => ({
+    concurrency,
+    running,
+    queued: pending.length,
+  });
+
+  return { createJob, getJob, listJobs, cancelJob, stats };
+}
@@ -0,0 +1,181 @@
+import { AccessDeniedError, ACCESS_DENIED_CODES } from "./errors.js";
+
+// Gated sessions show a cookie banner, a session ID/PIN or password form, a
+// name prompt or a consent checkbox before the Q&A feed. The join flow deals
+// with whichever of these the page shows until the message cards appear.
+
+// Each prompt is answered at most this often before the session counts as
+// rejecting the credentials
+const MAX_ATTEMPTS_PER_PROMPT = 2;
+const MAX_STEPS = 10;
+const PROMPT_WAIT_MS = 10000;
+
+const PROMPT_CREDENTIALS = [
+  { prompt: "pin", credential: "pin", code: ACCESS_DENIED_CODES.PIN_REQUIRED },
+  {
+    prompt: "password",
+    credential: "password",
+    code: ACCESS_DENIED_CODES.PASSWORD_REQUIRED,
+  },
+  { prompt: "name", credential: "name", code: ACCESS_DENIED_CODES.NAME_REQUIRED },
+];
+
+/**
+ * In-page: which parts of the join flow are currently visible
+ * @returns {{cards: boolean, cookie: boolean, pin: boolean, password: boolean, name: boolean, consent: boolean, error: string|null}}
+ */
+function readJoinState({ cardSelector, join }) {
+  const visible = (selector) =>
+    selector
+      ? [...document.querySelectorAll(selector)].filter(
+          (el) => el.getClientRects().length > 0 && !el.disabled
+        )
+      : [];
+
+  const [errorEl] = visible(join.errorSelector);
+  return {
+    cards: Boolean(document.querySelector(cardSelector)),
+    cookie: visible(join.cookieSelector).length > 0,
+    pin: visible(join.pinSelector).length > 0,
+    password: visible(join.passwordSelector).length > 0,
+    name: visible(join.nameSelector).length > 0,
+    consent: visible(join.consentSelector).some((el) => !el.checked),
+    error: errorEl ? errorEl.textContent.trim() || "Access denied" : null,
+  };
+}
+
+/**
+ * Click the first visible element matching a selector
+ * @param {import("puppeteer").Page} page - The page
+ * @param {string} selector - What to click
+ * @returns {Promise<boolean>} - Whether something was clicked
+ */
+async function clickVisible(page, selector) {
+  const handles = await page.$$(selector);
+  for (const handle of handles) {
+    if (await handle.isVisible()) {
+      await handle.click();
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Replace the value of the first visible input matching a selector
+ * @param {import("puppeteer").Page} page - The page
+ * @param {string} selector - The input
+ * @param {string} value - The value to type
+ */
+async function fillVisible(page, selector, value) {
+  const handles = await page.$$(selector);
+  for (const handle of handles) {
+    if (await handle.isVisible()) {
+      await handle.click({ count: 3 });
+      await handle.type(String(value));
+      return;
+    }
+  }
+}
+
+/**
+ * Submit the current step of the join flow and wait for the page to settle
+ * @param {import("puppeteer").Page} page - The page
+ * @param {Object} join - The adapter's join selectors
+ */
+async function submitStep(page, join) {
+  if (!(await clickVisible(page, join.submitSelector))) {
+    await page.keyboard.press("Enter");
+  }
+  await page
+    .waitForNetworkIdle({ idleTime: 500, timeout: PROMPT_WAIT_MS })
+    .catch(() => {});
+}
+
+/**
+ * Get through the join flow of a gated session: accept the cookie banner,
+ * enter the session ID/PIN, password and participant name, and tick the
+ * consent box, until the message cards render
+ * @param {import("puppeteer").Page} page - The page on the session URL
+ * @param {Object} adapter - The platform adapter; does nothing without adapter.join
+ * @param {Object} [credentials]
+ * @param {string} [credentials.pin] - Session ID or PIN
+ * @param {string} [credentials.password] - Session password
+ * @param {string} [credentials.name] - Participant display name
+ * @returns {Promise<void>}
+ * @throws {AccessDeniedError} - When a prompt has no matching credential, the credentials are rejected or the session refuses access
+ */
+export async function joinSession(page, adapter, credentials = {}) {
+  const { join } = adapter;
+  if (!join) return;
+
+  const selectors = [
+    adapter.cardSelector,
+    join.pinSelector,
+    join.passwordSelector,
+    join.nameSelector,
+    join.errorSelector,
+  ].filter(Boolean);
+  const attempts = { pin: 0, password: 0, name: 0 };
+  const params = { cardSelector: adapter.cardSelector, join };
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const state = await page.evaluate(readJoinState, params);
+    if (state.cards) return;
+
+    if (state.cookie) {
+      console.error("Accepting cookie banner...");
+      await clickVisible(page, join.cookieSelector);
+      continue;
+    }
+
+    if (state.error) {
+      const submitted = Object.values(attempts).some((count) => count > 0);
+      throw new AccessDeniedError(
+        submitted
+          ? ACCESS_DENIED_CODES.INVALID_CREDENTIALS
+          : ACCESS_DENIED_CODES.ACCESS_DENIED,
+        `Session refused access: ${state.error}`
+      );
+    }
+
+    const prompt = PROMPT_CREDENTIALS.find((p) => state[p.prompt]);
+    if (prompt) {
+      const value = credentials[prompt.credential];
+      if (!value) {
+        throw new AccessDeniedError(
+          prompt.code,
+          `Session asks for a ${prompt.credential}; ` +
+            `pass "${prompt.credential}" to join it`
+        );
+      }
+      if (attempts[prompt.prompt] >= MAX_ATTEMPTS_PER_PROMPT) {
+        throw new AccessDeniedError(
+          ACCESS_DENIED_CODES.INVALID_CREDENTIALS,
+          `Session did not accept the ${prompt.credential}`
+        );
+      }
+      attempts[prompt.prompt]++;
+      console.error(`Entering ${prompt.credential}...`);
+      await fillVisible(page, join[`${prompt.prompt}Selector`], value);
+      // Consent boxes usually sit on the same form as the name
+      if (state.consent) await clickVisible(page, join.consentSelector);
+      await submitStep(page, join);
+      continue;
+    }
+
+    if (state.consent) {
+      console.error("Accepting consent...");
+      await clickVisible(page, join.consentSelector);
+      await submitStep(page, join);
+      continue;
+    }
+
+    // Nothing to answer yet: wait for the feed or the next prompt
+    const appeared = await page
+      .waitForSelector(selectors.join(", "), { timeout: PROMPT_WAIT_MS })
+      .then(() => true)
+      .catch(() => false);
+    if (!appeared) return;
+  }
+}
@@ -0,0 +1,190 @@
+// Loads the full message history of a Q&A page. Platforms render messages in
+// an inner scroll container and virtualize long lists, so the loader scrolls
+// that container step by step and keeps a copy of every card it has seen.
+
+export const DEFAULT_MAX_LOAD_TIME_MS = 120000;
+
+// Rounds without new cards at the bottom of the list before loading counts as done
+const STABLE_ROUNDS = 4;
+const STEP_DELAY_MS = 400;
+
+/**
+ * In-page: find the scroll container, copy all rendered cards into the
+ * collector and scroll one step further
+ * @returns {{count: number, atEnd: boolean}}
+ */
+function collectAndScroll({ cardSelector, keySelectors, listSelector }) {
+  const state =
+    window.__qaCollector ||
+    (window.__qaCollector = {
+      cards: new Map(),
+      occurrences: new Map(),
+      container: null,
+    });
+
+  const isScrollable = (el) => {
+    const { overflowY } = getComputedStyle(el);
+    return (
+      (overflowY === "auto" || overflowY === "scroll") &&
+      el.scrollHeight > el.clientHeight + 10
+    );
+  };
+
+  const cards = document.querySelectorAll(cardSelector);
+
+  if (!state.container || !state.container.isConnected) {
+    let container = listSelector ? document.querySelector(listSelector) : null;
+    if (!container || !isScrollable(container)) {
+      container = null;
+      let el = cards[0]?.parentElement;
+      for (; el && el !== document.body; el = el.parentElement) {
+        if (isScrollable(el)) {
+          container = el;
+          break;
+        }
+      }
+    }
+    state.container = container || document.scrollingElement;
+  }
+
+  // A card's key is its sent time and text, so the same message seen again
+  // (e.g. with a new like count) replaces its earlier copy. Identical
+  // messages sent in the same minute are told apart by their order among the
+  // rendered cards, like the parser's occurrence suffix; while fewer of them
+  // are rendered than were seen before, which ones they are is unknown, so
+  // the earlier copies stay.
+  const rendered = new Map();
+  cards.forEach((card) => {
+    const parts = keySelectors.map(
+      (selector) => card.querySelector(selector)?.textContent.trim() || ""
+    );
+    const key = parts.some(Boolean)
+      ? parts.join("\u0000")
+      : card.textContent.trim();
+    if (!rendered.has(key)) rendered.set(key, []);
+    rendered.get(key).push(card.outerHTML);
+  });
+  rendered.forEach((copies, key) => {
+    if (copies.length < (state.occurrences.get(key) || 0)) return;
+    state.occurrences.set(key, copies.length);
+    copies.forEach((html, i) =>
+      state.cards.set(i === 0 ? key : `${key}\u0000${i + 1}`, html)
+    );
+  });
+
+  const container = state.container;
+  const isWindow = container === document.scrollingElement;
+  const viewport = isWindow ? window.innerHeight : container.clientHeight;
+  if (isWindow) {
+    window.scrollBy(0, viewport * 0.8);
+  } else {
+    container.scrollBy(0, viewport * 0.8);
+  }
+
+  return {
+    count: state.cards.size,
+    atEnd: container.scrollTop + viewport >= container.scrollHeight - 2,
+  };
+}
+
+/**
+ * In-page: read the message total the platform displays, if any
+ * @returns {number|null}
+ */
+function readExpectedCount(countSelector) {
+  if (!countSelector) return null;
+  const el = document.querySelector(countSelector);
+  const match = el && el.textContent.replace(/[,.](?=\d{3}\b)/g, "").match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Scroll through the message list until no new cards appear, collecting every
+ * card along the way
+ * @param {import("puppeteer").Page} page - The loaded session page
+ * @param {Object} adapter - The platform adapter
+ * @param {Object} [options]
+ * @param {number} [options.maxMessages] - Stop once this many cards are collected
+ * @param {number} [options.maxTimeMs] - Stop after this long
+ * @param {AbortSignal} [options.signal] - Aborts loading
+ * @param {(captured: number, expected: number|null) => void} [options.onProgress] - Called after each step
+ * @returns {Promise<{html: string, stats: {expected: number|null, captured: number, complete: boolean, stopReason: string, durationMs: number}}>} - A document with every collected card, and how loading went
+ */
+export async function loadFullHistory(
+  page,
+  adapter,
+  {
+    maxMessages = Infinity,
+    maxTimeMs = DEFAULT_MAX_LOAD_TIME_MS,
+    signal,
+    onProgress,
+  } = {}
+) {
+  const started = Date.now();
+  const expected = await page.evaluate(
+    readExpectedCount,
+    adapter.countSelector || null
+  );
+  const params = {
+    cardSelector: adapter.cardSelector,
+    keySelectors: adapter.cardKeySelectors || [],
+    listSelector: adapter.listSelector || null,
+  };
+
+  let stopReason = "complete";
+  let lastCount = -1;
+  let stableRounds = 0;
+  let captured = 0;
+
+  for (;;) {
+    signal?.throwIfAborted();
+    const { count, atEnd } = await page.evaluate(collectAndScroll, params);
+    captured = count;
+    onProgress?.(captured, expected);
+
+    if (captured >= maxMessages) {
+      stopReason = "maxMessages";
+      break;
+    }
+    if (Date.now() - started >= maxTimeMs) {
+      stopReason = "maxTime";
+      break;
+    }
+
+    if (count === lastCount && atEnd) {
+      stableRounds++;
+      if (stableRounds >= STABLE_ROUNDS) break;
+    } else {
+      stableRounds = 0;
+    }
+    lastCount = count;
+
+    await new Promise((resolve) => setTimeout(resolve, STEP_DELAY_MS));
+  }
+
+  const cards = (
+    await page.evaluate(() => [...window.__qaCollector.cards.values()])
+  ).slice(0, maxMessages);
+
+  // Same marker a browser adds when saving a page, so the document can be
+  // re-parsed later with its original URL
+  const url = page.url();
+  const html = [
+    `<!-- saved from url=(${String(url.length).padStart(4, "0")})${url} -->`,
+    "<html><body>",
+    ...cards,
+    "</body></html>",
+  ].join("\n");
+
+  const stats = {
+    expected,
+    captured: cards.length,
+    complete:
+      stopReason === "complete" &&
+      (expected === null || cards.length >= expected),
+    stopReason,
+    durationMs: Date.now() - started,
+  };
+
+  return { html, stats };
+}
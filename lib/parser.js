@@ -0,0 +1,146 @@
+import * as cheerio from "cheerio";
+import { createHash } from "crypto";
+import { resolveAdapter } from "./adapters/index.js";
+import { parseTimestamp, hasCalendarDate } from "./timestamps.js";
+
+/**
+ * Normalize a session URL into a stable key (host + path + hash route)
+ * so that the same Q&A session always produces the same message IDs
+ * @param {string} source - The session URL (or any other source label)
+ * @returns {string} - The normalized session key
+ */
+export function getSessionKey(source) {
+  if (!source) return "";
+  try {
+    const url = new URL(source);
+    const path = url.pathname.replace(/\/+$/, "");
+    const hash = url.hash.replace(/\/+$/, "");
+    return `${url.host.toLowerCase()}${path}${hash}`;
+  } catch {
+    return String(source).trim();
+  }
+}
+
+/**
+ * Build a deterministic message ID from its session and values that stay the
+ * same across scrapes (the sent time and text, or the platform's own ID)
+ * @param {string} sessionKey - The normalized session key
+ * @param {...string} parts - The values identifying the message
+ * @returns {string} - A short hex ID
+ */
+export function createMessageId(sessionKey, ...parts) {
+  return createHash("sha1")
+    .update([sessionKey, ...parts].join("\u0000"))
+    .digest("hex")
+    .slice(0, 10);
+}
+
+// Defaults for fields an adapter could not read, so every platform
+// produces the same message schema
+const EMPTY_STATUS = {
+  pinned: false,
+  starred: false,
+  answered: false,
+  hidden: false,
+};
+
+/**
+ * Parse HTML and extract Q&A messages with like counts
+ * @param {string} htmlContent - The HTML content to parse
+ * @param {string} [source] - The session URL the HTML came from, used for message IDs
+ * @param {Object} [options]
+ * @param {Object} [options.adapter] - The platform adapter; picked from the source URL or the HTML when omitted
+ * @param {string} [options.timeZone] - IANA time zone the page showed sent times in
+ * @param {string} [options.locale] - Locale of the sent times (month names, date order)
+ * @param {Date} [options.referenceDate] - When the page was captured, for relative sent times
+ * @returns {Object} - Parsed data including total messages and message details
+ */
+export function parseQAMessages(
+  htmlContent,
+  source = "",
+  { adapter, timeZone, locale, referenceDate } = {}
+) {
+  const platform = adapter || resolveAdapter({ url: source, html: htmlContent });
+  const timeOptions = { timeZone, locale, referenceDate };
+  const $ = cheerio.load(htmlContent);
+  const { fields } = platform;
+
+  // Find all Q&A message cards
+  const messageCards = $(platform.cardSelector);
+
+  const messages = [];
+  // The platform's own message IDs, by message
+  const platformIds = new Map();
+
+  messageCards.each((index, element) => {
+    const $card = $(element);
+
+    const timestamp = fields.timestamp($, $card) || "";
+
+    const message = {
+      id: null, // Assigned below once empty cards are filtered out
+      timestamp: timestamp,
+      sentAt: parseTimestamp(timestamp, timeOptions),
+      message: fields.message($, $card) || "",
+      likes: fields.likes($, $card) || 0,
+      author: fields.author ? fields.author($, $card) : null,
+      status: { ...EMPTY_STATUS, ...(fields.status ? fields.status($, $card) : {}) },
+      replies: (fields.replies ? fields.replies($, $card) : []).map((reply) => ({
+        ...reply,
+        sentAt: parseTimestamp(reply.timestamp, timeOptions),
+      })),
+    };
+    platformIds.set(message, fields.id ? fields.id($, $card) : null);
+    messages.push(message);
+  });
+
+  // Filter out empty messages (no content AND no timestamp)
+  const filteredMessages = messages.filter(
+    (msg) => msg.message || msg.timestamp
+  );
+
+  // Assign IDs before sorting so they don't depend on like order. The
+  // platform's own ID wins; otherwise the text, with the sent time only when
+  // it names its date: "5 min ago" or "Yesterday 10:15" reads differently on
+  // the next scrape. Identical messages get an occurrence suffix.
+  const sessionKey = getSessionKey(source);
+  const seenIds = new Map();
+  filteredMessages.forEach((msg) => {
+    const platformId = platformIds.get(msg);
+    const baseId = platformId
+      ? createMessageId(sessionKey, "id", platformId)
+      : createMessageId(
+          sessionKey,
+          hasCalendarDate(msg.timestamp, { locale }) ? msg.timestamp : "",
+          msg.message
+        );
+    const occurrence = (seenIds.get(baseId) || 0) + 1;
+    seenIds.set(baseId, occurrence);
+    msg.id = occurrence === 1 ? baseId : `${baseId}-${occurrence}`;
+  });
+
+  // Sort by likes (highest to lowest)
+  filteredMessages.sort((a, b) => b.likes - a.likes);
+
+  // Calculate total likes
+  const totalLikes = filteredMessages.reduce((sum, msg) => sum + msg.likes, 0);
+
+  return {
+    session: sessionKey,
+    platform: platform.name,
+    totalMessages: filteredMessages.length,
+    totalLikes: totalLikes,
+    messages: filteredMessages,
+  };
+}
+
+/**
+ * Find the original page URL in a page saved from a browser.
+ * Chrome and Edge add a "saved from url" comment when saving a page.
+ * @param {string} htmlContent - The saved HTML content
+ * @returns {string} - The original URL, or an empty string if not found
+ */
+export function detectSavedFromUrl(htmlContent) {
+  const match = htmlContent.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+  return match ? match[1] : "";
+}
@@ -0,0 +1,195 @@
+import puppeteer from "puppeteer";
+import { resolveAdapter } from "./adapters/index.js";
+import { loadFullHistory } from "./loader.js";
+import { joinSession } from "./join.js";
+import { guardPage } from "./urlPolicy.js";
+
+const browserSettings = {
+  headless: true,
+  args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  navigationTimeoutMs: 60000,
+  cardsTimeoutMs: 30000,
+  urlPolicy: null,
+};
+
+/**
+ * Override the Chromium launch options and page timeouts used by every scrape
+ * @param {Object} settings
+ * @param {boolean} [settings.headless] - Run Chromium without a window
+ * @param {string[]} [settings.args] - Chromium command line arguments
+ * @param {number} [settings.navigationTimeoutMs] - Timeout for loading the session URL
+ * @param {number} [settings.cardsTimeoutMs] - How long to wait for the message cards
+ * @param {Object} [settings.urlPolicy] - A policy from createUrlPolicy enforced on every page
+ */
+export function configureBrowser(settings) {
+  Object.entries(settings).forEach(([key, value]) => {
+    if (value !== undefined) browserSettings[key] = value;
+  });
+}
+
+/**
+ * Launch a headless Chromium instance
+ * @returns {Promise<import("puppeteer").Browser>} - The launched browser
+ */
+export async function launchBrowser() {
+  // Progress goes to stderr, so it never mixes with data the CLI writes to stdout
+  console.error("Launching browser...");
+  return puppeteer.launch({
+    headless: browserSettings.headless,
+    args: browserSettings.args,
+  });
+}
+
+/**
+ * Open a new page on the session URL and wait for the message cards to render
+ * @param {import("puppeteer").Browser} browser - The browser to open the page in
+ * @param {string} url - The URL to navigate to
+ * @param {Object} [adapter] - The platform adapter; picked from the URL when omitted
+ * @returns {Promise<import("puppeteer").Page>} - The loaded page
+ */
+export async function openSessionPage(browser, url, adapter) {
+  const page = await browser.newPage();
+  await loadSessionPage(page, url, adapter);
+  return page;
+}
+
+/**
+ * Navigate an existing page to the session URL, get through the join flow of
+ * gated sessions and wait for the message cards
+ * @param {import("puppeteer").Page} page - The page to navigate
+ * @param {string} url - The URL to navigate to
+ * @param {Object} [adapter] - The platform adapter; picked from the URL when omitted
+ * @param {{pin?: string, password?: string, name?: string}} [credentials] - Answers for the join flow
+ * @returns {Promise<void>}
+ * @throws {import("./errors.js").AccessDeniedError} - When the session cannot be joined
+ * @throws {import("./errors.js").UrlNotAllowedError} - When the URL policy refuses the page or a redirect
+ */
+export async function loadSessionPage(
+  page,
+  url,
+  adapter = resolveAdapter({ url }),
+  credentials = {}
+) {
+  const guard = browserSettings.urlPolicy
+    ? await guardPage(page, browserSettings.urlPolicy)
+    : null;
+
+  console.error("Navigating to URL...");
+  try {
+    await page.goto(url, {
+      waitUntil: "networkidle2",
+      timeout: browserSettings.navigationTimeoutMs,
+    });
+  } catch (error) {
+    // A redirect to a refused URL surfaces as net::ERR_BLOCKED_BY_CLIENT
+    throw guard?.getBlockedNavigation() || error;
+  }
+  await joinSession(page, adapter, credentials);
+
+  // Wait for the message cards to load
+  console.error("Waiting for content to load...");
+  await page
+    .waitForSelector(adapter.waitSelector, {
+      timeout: browserSettings.cardsTimeoutMs,
+    })
+    .catch(() =>
+      console.error("Warning: Message cards not found, proceeding anyway...")
+    );
+}
+
+/**
+ * Load the complete message history of a session page
+ * @param {import("puppeteer").Page} page - The loaded session page
+ * @param {Object} [adapter] - The platform adapter; picked from the page URL when omitted
+ * @param {Object} [options] - Limits, abort signal and progress callback, see loadFullHistory
+ * @returns {Promise<{html: string, stats: Object}>} - Every collected card and how loading went
+ */
+export async function scrollToLoad(
+  page,
+  adapter = resolveAdapter({ url: page.url() }),
+  options = {}
+) {
+  console.error("Scrolling to load the full message history...");
+  const loaded = await loadFullHistory(page, adapter, options);
+  const { expected, captured, stopReason } = loaded.stats;
+  console.error(
+    `Captured ${captured}${expected === null ? "" : ` of ${expected}`} messages (${stopReason})`
+  );
+  return loaded;
+}
+
+/**
+ * Fetch the rendered message cards of a session using Puppeteer (supports
+ * JavaScript-rendered content and virtualized lists)
+ * @param {string} url - The URL to fetch
+ * @param {Object} [options]
+ * @param {import("puppeteer").Browser} [options.browser] - A shared browser to open the page in; a private one is launched (and closed) when omitted
+ * @param {AbortSignal} [options.signal] - Aborts the fetch and closes the page
+ * @param {(stage: string, percent: number) => void} [options.onProgress] - Called as the fetch moves through its stages
+ * @param {Object} [options.adapter] - The platform adapter; picked from the URL when omitted
+ * @param {{pin?: string, password?: string, name?: string}} [options.credentials] - Answers for the join flow of gated sessions
+ * @param {number} [options.maxMessages] - Stop loading history after this many messages
+ * @param {number} [options.maxTimeMs] - Stop loading history after this long
+ * @returns {Promise<{htmlContent: string, load: Object}>} - The HTML content and the expected vs captured message counts
+ */
+export async function fetchHTML(
+  url,
+  {
+    browser,
+    signal,
+    onProgress,
+    adapter = resolveAdapter({ url }),
+    credentials,
+    maxMessages,
+    maxTimeMs,
+  } = {}
+) {
+  const ownBrowser = !browser;
+  const report = (stage, percent) => onProgress && onProgress(stage, percent);
+
+  signal?.throwIfAborted();
+  report("starting", 5);
+  const activeBrowser = browser || (await launchBrowser());
+  let page = null;
+  const closePage = () => page && page.close().catch(() => {});
+
+  try {
+    signal?.throwIfAborted();
+    signal?.addEventListener("abort", closePage, { once: true });
+
+    page = await activeBrowser.newPage();
+    report("navigating", 15);
+    await loadSessionPage(page, url, adapter, credentials);
+    signal?.throwIfAborted();
+
+    report("loading messages", 30);
+    const { html, stats } = await scrollToLoad(page, adapter, {
+      maxMessages,
+      maxTimeMs,
+      signal,
+      onProgress: (captured, expected) => {
+        const target =
+          expected || (Number.isFinite(maxMessages) ? maxMessages : 0);
+        const share = target ? Math.min(1, captured / target) : 0;
+        report(
+          `loading messages (${captured}${expected ? `/${expected}` : ""})`,
+          Math.round(30 + share * 60)
+        );
+      },
+    });
+
+    report("reading", 90);
+    return { htmlContent: html, load: stats };
+  } catch (error) {
+    // Puppeteer errors from a page closed by abort are reported as the abort
+    signal?.throwIfAborted();
+    throw error;
+  } finally {
+    signal?.removeEventListener("abort", closePage);
+    if (ownBrowser) {
+      await activeBrowser.close();
+    } else {
+      await closePage();
+    }
+  }
+}
@@ -0,0 +1,286 @@
+import { mkdir, readFile, readdir, rename, writeFile } from "fs/promises";
+import { createHash } from "crypto";
+import path from "path";
+import { getSessionKey } from "./parser.js";
+import { buildLikeTimeline, diffSnapshots } from "./timeline.js";
+
+/**
+ * File-safe ID for a session key
+ * @param {string} sessionKey - The normalized session key
+ * @returns {string} - The session ID
+ */
+function toSessionId(sessionKey) {
+  return createHash("sha1").update(sessionKey).digest("hex").slice(0, 12);
+}
+
+/**
+ * Summary of a snapshot without its messages
+ * @param {Object} snapshot - The stored snapshot
+ * @returns {Object} - The snapshot summary
+ */
+function toSnapshotSummary({ messages, ...summary }) {
+  return summary;
+}
+
+/**
+ * Summary of a session for listings
+ * @param {Object} session - The stored session
+ * @returns {Object} - The session summary
+ */
+function toSessionSummary(session) {
+  const latest = session.snapshots[session.snapshots.length - 1];
+  return {
+    id: session.id,
+    session: session.session,
+    url: session.url,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    snapshotCount: session.snapshots.length,
+    totalMessages: latest ? latest.totalMessages : 0,
+    totalLikes: latest ? latest.totalLikes : 0,
+  };
+}
+
+/**
+ * Merge all snapshots of a session: every message ever seen, with the values
+ * from the most recent snapshot that contained it and its like history
+ * @param {Object} session - The stored session
+ * @returns {Object} - A parse result shaped object with the merged messages
+ */
+function mergeSnapshots(session) {
+  const timeline = buildLikeTimeline(session.snapshots);
+  const byId = new Map();
+  session.snapshots.forEach((snapshot) => {
+    snapshot.messages.forEach((msg) => {
+      byId.set(String(msg.id), {
+        ...msg,
+        lastSeenAt: snapshot.takenAt,
+        likeHistory: timeline[String(msg.id)],
+      });
+    });
+  });
+
+  const messages = [...byId.values()].sort((a, b) => b.likes - a.likes);
+  return {
+    session: session.session,
+    url: session.url,
+    updatedAt: session.updatedAt,
+    totalMessages: messages.length,
+    totalLikes: messages.reduce((sum, msg) => sum + msg.likes, 0),
+    messages,
+  };
+}
+
+/**
+ * Create a JSON file store that keeps the scrape snapshots of each Vevox
+ * session. Each session lives in <dir>/sessions/<id>.json and is rewritten on
+ * every snapshot, so only the latest maxSnapshots are kept: older ones, and
+ * the like counts and messages only they had, are dropped.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The directory to store data in
+ * @param {number} [options.maxSnapshots] - Snapshots kept per session; 0 keeps all
+ */
+export function createSessionStore({ dir = "./data", maxSnapshots = 0 } = {}) {
+  const sessionsDir = path.join(dir, "sessions");
+  // Writes to the same session file are chained so they never interleave
+  const writeQueues = new Map();
+
+  const sessionPath = (id) => path.join(sessionsDir, `${id}.json`);
+
+  const readSession = async (id) => {
+    if (!/^[a-f0-9]+$/.test(id)) return null;
+    try {
+      return JSON.parse(await readFile(sessionPath(id), "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  const writeSession = async (session) => {
+    await mkdir(sessionsDir, { recursive: true });
+    const filePath = sessionPath(session.id);
+    const tmpPath = `${filePath}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(session, null, 2));
+    await rename(tmpPath, filePath);
+  };
+
+  const updateSession = (id, update) => {
+    const previous = writeQueues.get(id) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        const session = await update(await readSession(id));
+        await writeSession(session);
+        return session;
+      });
+    writeQueues.set(id, next);
+    next
+      .finally(() => {
+        if (writeQueues.get(id) === next) writeQueues.delete(id);
+      })
+      .catch(() => {});
+    return next;
+  };
+
+  /**
+   * Record a scrape result as a new snapshot of its session
+   * @param {Object} options
+   * @param {string} options.url - The session URL the result came from
+   * @param {Object} options.result - The parse result
+   * @param {string} [options.origin] - What produced it: "scrape", "parse" or "watch"
+   * @returns {Promise<Object|null>} - The snapshot summary, or null if the result has no session
+   */
+  const recordSnapshot = async ({ url, result, origin = "scrape" }) => {
+    const sessionKey = result.session || getSessionKey(url);
+    if (!sessionKey) return null;
+
+    const id = toSessionId(sessionKey);
+    const now = new Date().toISOString();
+
+    const session = await updateSession(id, (existing) => {
+      const session = existing || {
+        id,
+        session: sessionKey,
+        url,
+        createdAt: now,
+        updatedAt: now,
+        snapshots: [],
+      };
+
+      // IDs keep counting up after old snapshots are dropped
+      const last = session.snapshots[session.snapshots.length - 1];
+      session.updatedAt = now;
+      session.snapshots.push({
+        id: String(last ? Number(last.id) + 1 : 1),
+        takenAt: now,
+        origin,
+        totalMessages: result.totalMessages,
+        totalLikes: result.totalLikes,
+        // Expected vs captured counts when the history was loaded by scrolling
+        ...(result.load && { load: result.load }),
+        messages: result.messages,
+      });
+      if (maxSnapshots > 0 && session.snapshots.length > maxSnapshots) {
+        session.snapshots = session.snapshots.slice(-maxSnapshots);
+      }
+      return session;
+    });
+
+    return toSnapshotSummary(session.snapshots[session.snapshots.length - 1]);
+  };
+
+  /**
+   * List all stored sessions, most recently updated first
+   * @returns {Promise<Object[]>} - The session summaries
+   */
+  const listSessions = async () => {
+    let files;
+    try {
+      files = await readdir(sessionsDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const sessions = await Promise.all(
+      files
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => readSession(path.basename(file, ".json")))
+    );
+
+    return sessions
+      .filter(Boolean)
+      .map(toSessionSummary)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  };
+
+  /**
+   * Get a session with its snapshot summaries
+   * @param {string} id - The session ID
+   * @returns {Promise<Object|null>} - The session, or null if unknown
+   */
+  const getSession = async (id) => {
+    const session = await readSession(id);
+    if (!session) return null;
+    return {
+      ...toSessionSummary(session),
+      snapshots: session.snapshots.map(toSnapshotSummary),
+    };
+  };
+
+  /**
+   * Get one snapshot with its messages
+   * @param {string} id - The session ID
+   * @param {string} snapshotId - The snapshot ID
+   * @returns {Promise<Object|null>} - The snapshot, or null if unknown
+   */
+  const getSnapshot = async (id, snapshotId) => {
+    const session = await readSession(id);
+    if (!session) return null;
+    const snapshot = session.snapshots.find((s) => s.id === snapshotId);
+    return snapshot ? { session: session.session, ...snapshot } : null;
+  };
+
+  /**
+   * Get the latest merged state of a session across all its snapshots
+   * @param {string} id - The session ID
+   * @returns {Promise<Object|null>} - The merged state, or null if unknown
+   */
+  const getLatestState = async (id) => {
+    const session = await readSession(id);
+    return session ? mergeSnapshots(session) : null;
+  };
+
+  /**
+   * Get the like count of every message over time
+   * @param {string} id - The session ID
+   * @returns {Promise<Object|null>} - { session, timeline: { [messageId]: [{ t, likes }] } }, or null if unknown
+   */
+  const getTimeline = async (id) => {
+    const session = await readSession(id);
+    if (!session) return null;
+    return {
+      session: session.session,
+      timeline: buildLikeTimeline(session.snapshots),
+    };
+  };
+
+  /**
+   * Diff two snapshots of a session. Defaults to the previous vs the latest one.
+   * @param {string} id - The session ID
+   * @param {string} [fromId] - The older snapshot ID
+   * @param {string} [toId] - The newer snapshot ID
+   * @returns {Promise<Object|null>} - The diff, or null if the session or a snapshot is unknown
+   */
+  const getSnapshotDiff = async (id, fromId, toId) => {
+    const session = await readSession(id);
+    if (!session || session.snapshots.length === 0) return null;
+
+    const { snapshots } = session;
+    const to = toId
+      ? snapshots.find((s) => s.id === toId)
+      : snapshots[snapshots.length - 1];
+    const from = fromId
+      ? snapshots.find((s) => s.id === fromId)
+      : snapshots[Math.max(0, snapshots.indexOf(to) - 1)];
+    if (!from || !to) return null;
+
+    return {
+      session: session.session,
+      from: toSnapshotSummary(from),
+      to: toSnapshotSummary(to),
+      ...diffSnapshots(from, to),
+    };
+  };
+
+  return {
+    recordSnapshot,
+    listSessions,
+    getSession,
+    getSnapshot,
+    getLatestState,
+    getTimeline,
+    getSnapshotDiff,
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Build per-message like timelines from a series of snapshots
+ * @param {Object[]} snapshots - Snapshots in the order they were taken
+ * @returns {Object<string, {t: string, likes: number}[]>} - Like counts over time by message ID
+ */
+export function buildLikeTimeline(snapshots) {
+  const timeline = {};
+  snapshots.forEach((snapshot) => {
+    snapshot.messages.forEach((msg) => {
+      const id = String(msg.id);
+      const points = timeline[id] || (timeline[id] = []);
+      const last = points[points.length - 1];
+      // Only keep points where the count changed
+      if (!last || last.likes !== msg.likes) {
+        points.push({ t: snapshot.takenAt, likes: msg.likes });
+      }
+    });
+  });
+  return timeline;
+}
+
+/**
+ * Compare two snapshots of the same session
+ * @param {Object} from - The older snapshot
+ * @param {Object} to - The newer snapshot
+ * @returns {{added: Object[], removed: Object[], likeDeltas: Object[]}} - New and removed messages, and like changes sorted by biggest gain
+ */
+export function diffSnapshots(from, to) {
+  const fromById = new Map(from.messages.map((msg) => [String(msg.id), msg]));
+  const toById = new Map(to.messages.map((msg) => [String(msg.id), msg]));
+
+  const added = to.messages.filter((msg) => !fromById.has(String(msg.id)));
+  const removed = from.messages.filter((msg) => !toById.has(String(msg.id)));
+
+  const likeDeltas = [];
+  toById.forEach((msg, id) => {
+    const before = fromById.get(id);
+    if (before && before.likes !== msg.likes) {
+      likeDeltas.push({
+        id: msg.id,
+        message: msg.message,
+        from: before.likes,
+        to: msg.likes,
+        delta: msg.likes - before.likes,
+      });
+    }
+  });
+  likeDeltas.sort((a, b) => b.delta - a.delta);
+
+  return { added, removed, likeDeltas };
+}
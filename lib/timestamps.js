@@ -0,0 +1,287 @@
+// Q&A platforms show sent times as free-form, localized strings
+// ("09 December 2025 19:07", "Yesterday 10:15", "5 min ago"). These helpers
+// turn them into ISO 8601 instants.
+
+const ENGLISH_MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const monthCache = new Map();
+
+/**
+ * Month names (long and short) for a locale, plus English, mapped to 0-11
+ * @param {string} locale - BCP 47 locale
+ * @returns {Map<string, number>} - Lowercase month name to month index
+ */
+function getMonthNames(locale) {
+  if (monthCache.has(locale)) return monthCache.get(locale);
+
+  const names = new Map();
+  ENGLISH_MONTHS.forEach((name, i) => {
+    names.set(name, i);
+    names.set(name.slice(0, 3), i);
+  });
+
+  try {
+    ["long", "short"].forEach((month) => {
+      const format = new Intl.DateTimeFormat(locale, { month, timeZone: "UTC" });
+      for (let i = 0; i < 12; i++) {
+        const name = format
+          .format(new Date(Date.UTC(2000, i, 15)))
+          .toLowerCase()
+          .replace(/\.$/, "");
+        names.set(name, i);
+      }
+    });
+  } catch {
+    // Unknown locale: English names only
+  }
+
+  monthCache.set(locale, names);
+  return names;
+}
+
+/**
+ * Whether a locale writes numeric dates month first (e.g. en-US: 12/09/2025)
+ * @param {string} locale - BCP 47 locale
+ * @returns {boolean}
+ */
+function isMonthFirst(locale) {
+  try {
+    const parts = new Intl.DateTimeFormat(locale, {
+      day: "numeric",
+      month: "numeric",
+    }).formatToParts(new Date(Date.UTC(2000, 11, 9)));
+    const types = parts.map((p) => p.type).filter((t) => t !== "literal");
+    return types[0] === "month";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset in ms between a time zone's wall clock and UTC at a given instant
+ * @param {number} utcMs - The instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - The offset (wall clock minus UTC)
+ */
+function getTimeZoneOffset(utcMs, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  })
+    .formatToParts(new Date(utcMs))
+    .forEach((p) => (parts[p.type] = Number(p.value)));
+
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant
+ * @returns {number} - Milliseconds since the epoch
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month, day, hour, minute);
+  const offset = getTimeZoneOffset(guess - getTimeZoneOffset(guess, timeZone), timeZone);
+  return guess - offset;
+}
+
+/**
+ * The calendar date of an instant in a time zone
+ * @returns {{year: number, month: number, day: number}} - month is 0-11
+ */
+function getZonedDate(utcMs, timeZone) {
+  const local = new Date(utcMs + getTimeZoneOffset(utcMs, timeZone));
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth(),
+    day: local.getUTCDate(),
+  };
+}
+
+/**
+ * Read "19:07", "7:07 pm" or "19.07" from a string
+ * @returns {{hour: number, minute: number}|null}
+ */
+function parseClock(text) {
+  // "09.12.2025" is a date, not 09:12
+  const withoutDate = text.replace(/\d{1,4}[/.-]\d{1,2}[/.-]\d{2,4}/g, " ");
+  const match = withoutDate.match(/(\d{1,2})[:.](\d{2})(?:[:.]\d{2})?\s*([ap]\.?m\.?)?/i);
+  if (!match) return null;
+  let hour = Number(match[1]);
+  const minute = Number(match[2]);
+  const meridiem = match[3] && match[3][0].toLowerCase();
+  if (meridiem === "p" && hour < 12) hour += 12;
+  if (meridiem === "a" && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+/**
+ * Parse a platform's sent-time string into an ISO 8601 instant
+ * @param {string} raw - The displayed sent time
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone the page displayed times in
+ * @param {string} [options.locale] - Locale of month names and numeric date order
+ * @param {Date} [options.referenceDate] - "Now" for relative and time-only values
+ * @returns {string|null} - The ISO 8601 timestamp, or null if it could not be read
+ */
+export function parseTimestamp(
+  raw,
+  {
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+    locale = "en-GB",
+    referenceDate = new Date(),
+  } = {}
+) {
+  const text = (raw || "").trim();
+  if (!text) return null;
+
+  // Already machine readable (e.g. a <time datetime> attribute)
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const lower = text.toLowerCase();
+  const now = referenceDate.getTime();
+
+  // Relative: "just now", "5 min ago", "2 hours ago"
+  if (/^(just now|now)$/.test(lower)) {
+    return new Date(now).toISOString();
+  }
+  const relative = lower.match(/^(\d+)\s*(s|sec|second|m|min|minute|h|hr|hour|d|day)s?\s+ago$/);
+  if (relative) {
+    const unitMs = { s: 1e3, m: 6e4, h: 36e5, d: 864e5 }[relative[2][0]];
+    return new Date(now - Number(relative[1]) * unitMs).toISOString();
+  }
+
+  const clock = parseClock(text) || { hour: 0, minute: 0 };
+  const today = getZonedDate(now, timeZone);
+  let date = null;
+
+  if (/^(today\b)/.test(lower)) {
+    date = today;
+  } else if (/^(yesterday\b)/.test(lower)) {
+    date = getZonedDate(now - 864e5, timeZone);
+  }
+
+  // "09 December 2025", "December 9, 2025", "9 Dec"
+  if (!date) {
+    const months = getMonthNames(locale);
+    const words = lower.match(/\p{L}+\.?/gu) || [];
+    const monthWord = words
+      .map((w) => w.replace(/\.$/, ""))
+      .find((w) => months.has(w));
+    if (monthWord !== undefined) {
+      const withoutClock = lower.replace(/\d{1,2}[:.]\d{2}([:.]\d{2})?/, " ");
+      const numbers = (withoutClock.match(/\d+/g) || []).map(Number);
+      const day = numbers.find((n) => n >= 1 && n <= 31);
+      const year = numbers.find((n) => n >= 1000) || today.year;
+      if (day) date = { year, month: months.get(monthWord), day };
+    }
+  }
+
+  // "09/12/2025", "12/09/2025" (en-US), "2025-12-09"
+  if (!date) {
+    const isoDate = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+    const numeric = text.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (isoDate) {
+      date = {
+        year: Number(isoDate[1]),
+        month: Number(isoDate[2]) - 1,
+        day: Number(isoDate[3]),
+      };
+    } else if (numeric) {
+      const [a, b] = [Number(numeric[1]), Number(numeric[2])];
+      const [month, day] = isMonthFirst(locale) ? [a, b] : [b, a];
+      const year = Number(numeric[3]) < 100 ? 2000 + Number(numeric[3]) : Number(numeric[3]);
+      date = { year, month: month - 1, day };
+    }
+  }
+
+  // Time only: the most recent such time, today or yesterday
+  if (!date) {
+    if (!parseClock(text)) return null;
+    date = today;
+    const candidate = zonedTimeToUtc(
+      date.year,
+      date.month,
+      date.day,
+      clock.hour,
+      clock.minute,
+      timeZone
+    );
+    if (candidate > now + 60000) {
+      date = getZonedDate(now - 864e5, timeZone);
+    }
+  }
+
+  const utcMs = zonedTimeToUtc(
+    date.year,
+    date.month,
+    date.day,
+    clock.hour,
+    clock.minute,
+    timeZone
+  );
+  return Number.isNaN(utcMs) ? null : new Date(utcMs).toISOString();
+}
+
+/**
+ * Whether a sent-time string names its calendar date ("09 December 2025
+ * 19:07", "09/12/2025"), so it reads the same on every scrape. Relative
+ * ("5 min ago", "Yesterday 10:15") and time-only values change with the day
+ * the page is read.
+ * @param {string} raw - The displayed sent time
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale of month names
+ * @returns {boolean}
+ */
+export function hasCalendarDate(raw, { locale = "en-GB" } = {}) {
+  const lower = (raw || "").trim().toLowerCase();
+  if (!lower || /^(today|yesterday)\b/.test(lower)) return false;
+  if (/\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}/.test(lower)) return true;
+  const months = getMonthNames(locale);
+  return (lower.match(/\p{L}+\.?/gu) || []).some((w) => months.has(w.replace(/\.$/, "")));
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows
+ * @param {string} timeZone - The time zone to check
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,203 @@
+import { BlockList, isIP } from "net";
+import { lookup } from "dns/promises";
+import { matchesHost } from "./adapters/utils.js";
+import { UrlNotAllowedError, URL_BLOCKED_CODES } from "./errors.js";
+
+// Addresses a scrape must never reach: this machine, private networks,
+// link-local (cloud metadata endpoints), multicast and reserved ranges
+const BLOCKED_SUBNETS = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  // Unspecified, loopback and IPv4-compatible (::a.b.c.d); IPv4-mapped
+  // addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges
+  ["::", 96, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const blockedAddresses = new BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) =>
+  blockedAddresses.addSubnet(network, prefix, type)
+);
+
+// Resolved hosts are remembered briefly, so a page's many requests to the
+// same host cost one DNS lookup
+const LOOKUP_CACHE_MS = 60000;
+
+/**
+ * Whether an IP address is private, loopback, link-local or reserved
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  const type = isIP(address) === 6 ? "ipv6" : "ipv4";
+  return blockedAddresses.check(address, type);
+}
+
+/**
+ * Create the policy deciding which URLs the scraper may visit
+ * @param {Object} options
+ * @param {string[]} options.allowedHosts - Hosts (and their subdomains) that may be scraped; "*" allows every public host
+ * @returns {{checkUrl: (url: string) => Promise<URL>, checkRequestUrl: (url: string) => Promise<URL>, isAllowedHost: (url: string) => boolean}}
+ */
+export function createUrlPolicy({ allowedHosts }) {
+  const allowAnyHost = allowedHosts.includes("*");
+  const lookups = new Map();
+
+  const isAllowedHost = (url) => allowAnyHost || matchesHost(url, allowedHosts);
+
+  /**
+   * Resolve a host and refuse it if any of its addresses is blocked
+   * @param {string} hostname - The host name or IP literal
+   */
+  const checkAddress = async (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, "");
+    let addresses;
+    if (isIP(host)) {
+      addresses = [host];
+    } else {
+      const cached = lookups.get(host);
+      if (cached && cached.expires > Date.now()) {
+        addresses = cached.addresses;
+      } else {
+        try {
+          addresses = (await lookup(host, { all: true })).map((a) => a.address);
+        } catch (error) {
+          throw new UrlNotAllowedError(
+            URL_BLOCKED_CODES.INVALID_URL,
+            `Could not resolve ${host}: ${error.code || error.message}`
+          );
+        }
+        lookups.set(host, { addresses, expires: Date.now() + LOOKUP_CACHE_MS });
+      }
+    }
+
+    if (addresses.some(isBlockedAddress)) {
+      throw new UrlNotAllowedError(
+        URL_BLOCKED_CODES.PRIVATE_ADDRESS,
+        `${host} resolves to a private or local address`
+      );
+    }
+  };
+
+  /**
+   * Parse a URL and refuse anything but http(s)
+   * @param {string} url - The URL
+   * @returns {URL} - The parsed URL
+   */
+  const parseHttpUrl = (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new UrlNotAllowedError(
+        URL_BLOCKED_CODES.INVALID_URL,
+        `Invalid URL: ${url}`
+      );
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      throw new UrlNotAllowedError(
+        URL_BLOCKED_CODES.PROTOCOL_NOT_ALLOWED,
+        `Only http and https URLs can be scraped, got ${parsed.protocol}`
+      );
+    }
+    return parsed;
+  };
+
+  /**
+   * Check that a URL is http(s) and does not point into a private network
+   * @param {string} url - The URL
+   * @returns {Promise<URL>} - The parsed URL
+   * @throws {UrlNotAllowedError}
+   */
+  const checkRequestUrl = async (url) => {
+    const parsed = parseHttpUrl(url);
+    await checkAddress(parsed.hostname);
+    return parsed;
+  };
+
+  /**
+   * Check a session URL before scraping it: valid http(s), credential free,
+   * on an allowed host and not resolving to a private address
+   * @param {string} url - The session URL
+   * @returns {Promise<URL>} - The parsed URL
+   * @throws {UrlNotAllowedError}
+   */
+  const checkUrl = async (url) => {
+    const parsed = parseHttpUrl(url);
+    if (parsed.username || parsed.password) {
+      throw new UrlNotAllowedError(
+        URL_BLOCKED_CODES.INVALID_URL,
+        "URLs with embedded credentials are not allowed"
+      );
+    }
+    if (!isAllowedHost(url)) {
+      throw new UrlNotAllowedError(
+        URL_BLOCKED_CODES.HOST_NOT_ALLOWED,
+        `Host not allowed: ${parsed.hostname}`
+      );
+    }
+    await checkAddress(parsed.hostname);
+    return parsed;
+  };
+
+  return { checkUrl, checkRequestUrl, isAllowedHost };
+}
+
+/**
+ * Enforce a URL policy inside a Puppeteer page: every request (including each
+ * redirect hop) to a private address is aborted, and so is any top-level
+ * navigation away from the allowed hosts
+ * @param {import("puppeteer").Page} page - The page to guard
+ * @param {Object} policy - A policy from createUrlPolicy
+ * @returns {Promise<{getBlockedNavigation: () => UrlNotAllowedError|null}>} - The last refused navigation, to report why a page failed to load
+ */
+export async function guardPage(page, policy) {
+  let blockedNavigation = null;
+  await page.setRequestInterception(true);
+
+  page.on("request", async (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    // Inline resources never leave the browser
+    if (/^(data|blob|about):/i.test(url)) {
+      await request.continue().catch(() => {});
+      return;
+    }
+
+    const isNavigation =
+      request.isNavigationRequest() && request.frame() === page.mainFrame();
+    let refused = null;
+    try {
+      if (isNavigation) {
+        await policy.checkUrl(url);
+      } else {
+        await policy.checkRequestUrl(url);
+      }
+    } catch (error) {
+      refused = error;
+    }
+
+    // The page may have closed while the host was being resolved
+    if (!refused) {
+      await request.continue().catch(() => {});
+      return;
+    }
+    const kind = isNavigation ? "navigation" : "request";
+    console.error(`[URL POLICY] Blocked ${kind} to ${url}: ${refused.message}`);
+    if (isNavigation) blockedNavigation = refused;
+    await request.abort("blockedbyclient").catch(() => {});
+  });
+
+  return { getBlockedNavigation: () => blockedNavigation };
+}
@@ -0,0 +1,257 @@
+import { launchBrowser, openSessionPage, scrollToLoad } from "./scraper.js";
+import { parseQAMessages, getSessionKey } from "./parser.js";
+import { resolveAdapter } from "./adapters/index.js";
+
+export const DEFAULT_WATCH_INTERVAL_MS = 5000;
+export const MIN_WATCH_INTERVAL_MS = 2000;
+
+// One open page per session and set of watch options, shared by every
+// subscriber watching it that way
+const watchers = new Map();
+
+/**
+ * Fingerprint of the parts of a message that moderators change on stage
+ * @param {Object} msg - A parsed message
+ * @returns {string} - The fingerprint
+ */
+function getDetailsKey(msg) {
+  return JSON.stringify([msg.author, msg.status, msg.replies]);
+}
+
+/**
+ * Remember the state of every message from a parse result
+ * @param {Map<string, Object>} known - Known state by message ID
+ * @param {Object} result - The latest parse result
+ */
+function rememberMessages(known, result) {
+  result.messages.forEach((msg) =>
+    known.set(msg.id, { likes: msg.likes, details: getDetailsKey(msg) })
+  );
+}
+
+/**
+ * Compare two parse results and collect what changed
+ * @param {Map<string, Object>} known - Like counts and details by message ID from the previous read
+ * @param {Object} result - The latest parse result
+ * @returns {{added: Object[], updated: Object[], likes: {id: string, likes: number}[]}} - New messages, messages whose status or replies changed, and like changes
+ */
+function diffMessages(known, result) {
+  const added = [];
+  const updated = [];
+  const likes = [];
+
+  result.messages.forEach((msg) => {
+    const previous = known.get(msg.id);
+    if (!previous) {
+      added.push(msg);
+    } else if (previous.details !== getDetailsKey(msg)) {
+      updated.push(msg);
+    } else if (previous.likes !== msg.likes) {
+      likes.push({ id: msg.id, likes: msg.likes });
+    }
+  });
+
+  return { added, updated, likes };
+}
+
+/**
+ * Send an event to every subscriber of a watcher
+ * @param {Object} watcher - The session watcher
+ * @param {string} event - The event name
+ * @param {Object} data - The event payload
+ */
+function broadcast(watcher, event, data) {
+  watcher.listeners.forEach((listener) => listener(event, data));
+}
+
+/**
+ * Re-read the message cards and broadcast new messages and like changes,
+ * then schedule the next read
+ * @param {Object} watcher - The session watcher
+ */
+async function poll(watcher) {
+  try {
+    const htmlContent = await watcher.page.content();
+    const result = parseQAMessages(
+      htmlContent,
+      watcher.url,
+      watcher.parseOptions
+    );
+    const { added, updated, likes } = diffMessages(watcher.known, result);
+
+    rememberMessages(watcher.known, result);
+    watcher.lastResult = result;
+
+    if (added.length > 0) {
+      console.log(
+        `[WATCH] ${added.length} new messages for ${watcher.sessionKey}`
+      );
+    }
+    // Messages with new replies or status are sent whole and merged like new ones
+    if (added.length > 0 || updated.length > 0) {
+      broadcast(watcher, "messages", { messages: [...added, ...updated] });
+    }
+    if (likes.length > 0) {
+      broadcast(watcher, "likes", { likes });
+    }
+    const changed = added.length + updated.length + likes.length > 0;
+    if (changed && watcher.onChange) {
+      watcher.onChange(result);
+    }
+  } catch (error) {
+    console.error(
+      `[WATCH] Error reading ${watcher.sessionKey}:`,
+      error.message
+    );
+    broadcast(watcher, "watch-error", { error: error.message });
+  }
+
+  if (!watcher.stopped) {
+    watcher.timer = setTimeout(() => poll(watcher), watcher.intervalMs);
+  }
+}
+
+/**
+ * Open the session page and publish the initial snapshot
+ * @param {Object} watcher - The session watcher
+ */
+async function start(watcher) {
+  try {
+    watcher.browser = await launchBrowser();
+    watcher.page = await openSessionPage(
+      watcher.browser,
+      watcher.url,
+      watcher.adapter
+    );
+    // The first snapshot has the full history; later polls only see the
+    // rendered cards, which is enough to catch new messages and likes
+    const loaded = await scrollToLoad(watcher.page, watcher.adapter);
+
+    // Everyone may have left while the page was loading
+    if (watcher.stopped) {
+      await watcher.browser.close().catch(() => {});
+      return;
+    }
+
+    const result = parseQAMessages(
+      loaded.html,
+      watcher.url,
+      watcher.parseOptions
+    );
+    result.load = loaded.stats;
+    rememberMessages(watcher.known, result);
+    watcher.lastResult = result;
+    console.log(
+      `[WATCH] Watching ${watcher.sessionKey} (${result.totalMessages} messages)`
+    );
+    broadcast(watcher, "snapshot", result);
+    if (watcher.onChange) watcher.onChange(result);
+
+    watcher.timer = setTimeout(() => poll(watcher), watcher.intervalMs);
+  } catch (error) {
+    console.error(
+      `[WATCH] Failed to start ${watcher.sessionKey}:`,
+      error.message
+    );
+    broadcast(watcher, "watch-error", {
+      error: "Failed to watch URL: " + error.message,
+      fatal: true,
+    });
+    await stop(watcher);
+  }
+}
+
+/**
+ * Stop polling and close the browser of a watcher
+ * @param {Object} watcher - The session watcher
+ */
+async function stop(watcher) {
+  watcher.stopped = true;
+  clearTimeout(watcher.timer);
+  if (watchers.get(watcher.key) === watcher) {
+    watchers.delete(watcher.key);
+  }
+  if (watcher.browser) {
+    await watcher.browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Subscribe to live updates of a Vevox session. The first subscriber opens
+ * the page; the last one to leave closes it. Subscribers asking for another
+ * interval, platform, time zone or locale get a page of their own. Gated
+ * sessions (PIN, password or name) cannot be watched: the watcher opens the
+ * page without credentials.
+ * Events: "snapshot" (full parse result), "messages" ({ messages }: new
+ * messages and ones whose status or replies changed),
+ * "likes" ({ likes: [{ id, likes }] }) and "watch-error" ({ error, fatal? }).
+ * @param {string} url - The session URL
+ * @param {(event: string, data: Object) => void} listener - Called for each event
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - How often to re-read the cards
+ * @param {string} [options.platform] - Explicit platform name; picked from the URL when omitted
+ * @param {string} [options.timeZone] - Time zone of the displayed sent times
+ * @param {string} [options.locale] - Locale of the displayed sent times
+ * @param {(result: Object) => void} [options.onChange] - Called with the full parse result on start and whenever it changes; only the first subscriber's callback is used
+ * @returns {() => void} - Unsubscribe function
+ */
+export function watchSession(
+  url,
+  listener,
+  { intervalMs, onChange, platform, timeZone, locale } = {}
+) {
+  const adapter = resolveAdapter({ url, platform });
+  const pollMs = Math.max(
+    MIN_WATCH_INTERVAL_MS,
+    intervalMs || DEFAULT_WATCH_INTERVAL_MS
+  );
+  const sessionKey = getSessionKey(url);
+  // Watchers with other options read the page differently, so they are kept apart
+  const key = JSON.stringify([
+    sessionKey,
+    adapter.name,
+    pollMs,
+    timeZone,
+    locale,
+  ]);
+  let watcher = watchers.get(key);
+
+  if (!watcher) {
+    watcher = {
+      key,
+      sessionKey,
+      url,
+      adapter,
+      parseOptions: { adapter, timeZone, locale },
+      intervalMs: pollMs,
+      onChange,
+      listeners: new Set(),
+      known: new Map(),
+      lastResult: null,
+      browser: null,
+      page: null,
+      timer: null,
+      stopped: false,
+    };
+    watchers.set(key, watcher);
+    watcher.listeners.add(listener);
+    start(watcher);
+  } else {
+    watcher.listeners.add(listener);
+    // Late subscribers get the current state right away
+    if (watcher.lastResult) {
+      listener("snapshot", watcher.lastResult);
+    }
+  }
+
+  const current = watcher;
+  return () => {
+    current.listeners.delete(listener);
+    if (current.listeners.size === 0) {
+      console.log(
+        `[WATCH] No subscribers left, closing ${current.sessionKey}`
+      );
+      stop(current);
+    }
+  };
+}
@@ -0,0 +1,84 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { formatResults, getFormatFromPath } from "../lib/formatters.js";
+
+const result = (messages) => ({
+  session: "app.vevox.com#/m/123",
+  totalMessages: messages.length,
+  totalLikes: messages.reduce((sum, msg) => sum + msg.likes, 0),
+  messages: messages.map((msg) => ({
+    id: "a1",
+    timestamp: "19:07",
+    sentAt: "2025-12-09T19:07:00.000Z",
+    author: null,
+    likes: 0,
+    status: { pinned: false, starred: false, answered: false, hidden: false },
+    replies: [],
+    ...msg,
+  })),
+});
+
+// The message column of each CSV row
+const csvMessages = (messages) =>
+  formatResults([result(messages)], "csv")
+    .trim()
+    .split("\n")
+    .slice(1)
+    .map((line) => line.split(",").slice(6, -5).join(","));
+
+describe("formatResults csv", () => {
+  it("writes a header and one row per message", () => {
+    const csv = formatResults([result([{ message: "Slides?", likes: 3 }])], "csv");
+    assert.equal(
+      csv,
+      "session,id,sentAt,timestamp,author,likes,message,pinned,starred,answered,hidden,replies\n" +
+        "app.vevox.com#/m/123,a1,2025-12-09T19:07:00.000Z,19:07,,3,Slides?,false,false,false,false,0\n"
+    );
+  });
+
+  it("quotes separators, quotes and line breaks", () => {
+    const csv = formatResults(
+      [result([{ message: 'Is it "free", or not?\nAsking for a friend' }])],
+      "csv"
+    );
+    assert.match(csv, /,0,"Is it ""free"", or not\?\nAsking for a friend",false,/);
+  });
+
+  it("keeps spreadsheets from running messages as formulas", () => {
+    assert.deepEqual(
+      csvMessages([
+        { message: "=HYPERLINK(\"http://evil.example\")" },
+        { message: "+1 for this" },
+        { message: "-2+3" },
+        { message: "@SUM(A1:A9)" },
+        { message: "\tTabbed" },
+        { message: "A normal = question" },
+      ]),
+      [
+        "\"'=HYPERLINK(\"\"http://evil.example\"\")\"",
+        "'+1 for this",
+        "'-2+3",
+        "'@SUM(A1:A9)",
+        "'\tTabbed",
+        "A normal = question",
+      ]
+    );
+  });
+
+  it("guards authors too, but leaves numbers alone", () => {
+    const csv = formatResults(
+      [result([{ message: "Hi", author: "=cmd", likes: 0 }])],
+      "csv"
+    );
+    assert.match(csv, /,'=cmd,0,Hi,/);
+  });
+});
+
+describe("getFormatFromPath", () => {
+  it("picks the format from the extension", () => {
+    assert.equal(getFormatFromPath("out.CSV"), "csv");
+    assert.equal(getFormatFromPath("out.jsonl"), "ndjson");
+    assert.equal(getFormatFromPath("out.md"), "markdown");
+    assert.equal(getFormatFromPath("out.txt"), null);
+  });
+});
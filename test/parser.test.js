@@ -0,0 +1,96 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseQAMessages } from "../lib/parser.js";
+
+const SOURCE = "https://app.vevox.com/#/m/123456789/discussion";
+
+const vevoxCard = ({ sentTime, text, likes = 0, attributes = "" }) => `
+  <div data-testid="discussion-message-item-card" ${attributes}>
+    <span data-testid="discussion-message-item-sentTime">${sentTime}</span>
+    <span data-testid="discussion-message-item-wrappingtext">${text}</span>
+    <span data-testid="discussion-message-item-likes">${likes}</span>
+  </div>`;
+
+const parseAt = (html, iso) =>
+  parseQAMessages(`<html><body>${html}</body></html>`, SOURCE, {
+    timeZone: "Europe/London",
+    locale: "en-GB",
+    referenceDate: new Date(iso),
+  });
+
+const idsByText = (result) =>
+  Object.fromEntries(result.messages.map((msg) => [msg.message, msg.id]));
+
+describe("parseQAMessages message IDs", () => {
+  it("keeps IDs of relative sent times across scrapes", () => {
+    const first = parseAt(
+      vevoxCard({ sentTime: "5 min ago", text: "Will slides be shared?" }) +
+        vevoxCard({ sentTime: "Today 10:15", text: "What about lunch?" }),
+      "2025-12-09T10:20:00Z"
+    );
+    const later = parseAt(
+      vevoxCard({ sentTime: "1 hour ago", text: "Will slides be shared?" }) +
+        vevoxCard({ sentTime: "Yesterday 10:15", text: "What about lunch?" }),
+      "2025-12-10T09:00:00Z"
+    );
+    assert.deepEqual(idsByText(later), idsByText(first));
+  });
+
+  it("keeps IDs of time-only sent times across days", () => {
+    const card = vevoxCard({ sentTime: "19:07", text: "Slides?" });
+    assert.equal(
+      parseAt(card, "2025-12-09T20:00:00Z").messages[0].id,
+      parseAt(card, "2025-12-10T20:00:00Z").messages[0].id
+    );
+  });
+
+  it("tells apart identical texts sent on different dates", () => {
+    const result = parseAt(
+      vevoxCard({ sentTime: "09 December 2025 19:07", text: "Slides?" }) +
+        vevoxCard({ sentTime: "10 December 2025 19:07", text: "Slides?" }),
+      "2025-12-10T20:00:00Z"
+    );
+    const [a, b] = result.messages.map((msg) => msg.id);
+    assert.notEqual(a, b);
+    assert.doesNotMatch(b, /-2$/);
+  });
+
+  it("numbers identical texts without a date by occurrence", () => {
+    const result = parseAt(
+      vevoxCard({ sentTime: "2 min ago", text: "Slides?" }) +
+        vevoxCard({ sentTime: "3 min ago", text: "Slides?" }),
+      "2025-12-09T20:00:00Z"
+    );
+    const [a, b] = result.messages.map((msg) => msg.id);
+    assert.equal(b, `${a}-2`);
+  });
+
+  it("uses the platform's own ID when the card has one", () => {
+    const first = parseAt(
+      vevoxCard({
+        sentTime: "5 min ago",
+        text: "Slides?",
+        attributes: 'data-message-id="m-42"',
+      }),
+      "2025-12-09T20:00:00Z"
+    );
+    const edited = parseAt(
+      vevoxCard({
+        sentTime: "09 December 2025 19:55",
+        text: "Will the slides be shared?",
+        attributes: 'data-message-id="m-42"',
+      }),
+      "2025-12-10T20:00:00Z"
+    );
+    assert.equal(edited.messages[0].id, first.messages[0].id);
+  });
+
+  it("gives the same message different IDs in different sessions", () => {
+    const html = `<html><body>${vevoxCard({ sentTime: "19:07", text: "Slides?" })}</body></html>`;
+    assert.notEqual(
+      parseQAMessages(html, SOURCE).messages[0].id,
+      parseQAMessages(html, "https://app.vevox.com/#/m/987654321/discussion")
+        .messages[0].id
+    );
+  });
+});
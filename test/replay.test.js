@@ -0,0 +1,137 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { createFixtureStore, withFixtures } from "../lib/fixtures.js";
+import { parseQAMessages } from "../lib/parser.js";
+
+// One session per platform in test/fixtures, in the format FIXTURE_MODE=record
+// writes (record with FIXTURES_DIR=test/fixtures to add one); replayed the
+// same way the CLI and the server do
+const store = createFixtureStore({
+  dir: fileURLToPath(new URL("./fixtures", import.meta.url)),
+});
+const replay = withFixtures(
+  () => assert.fail("replay must not open a browser"),
+  { mode: "replay", store }
+);
+
+const parseRecording = async (url) => {
+  const { htmlContent, recordedAt } = await replay(url);
+  return parseQAMessages(htmlContent, url, {
+    timeZone: "Europe/London",
+    locale: "en-GB",
+    referenceDate: new Date(recordedAt),
+  });
+};
+
+const byText = (result, text) =>
+  result.messages.find((msg) => msg.message === text);
+
+describe("replayed sessions", () => {
+  it("parses the Vevox recording", async () => {
+    const result = await parseRecording(
+      "https://app.vevox.com/#/m/160486205/discussion"
+    );
+    assert.equal(result.platform, "vevox");
+    assert.equal(result.session, "app.vevox.com#/m/160486205/discussion");
+    assert.equal(result.totalMessages, 4);
+    assert.equal(result.totalLikes, 1220);
+    assert.deepEqual(
+      result.messages.map((msg) => msg.id),
+      ["4739d9ce85", "2af368574d", "850c095d7f", "850c095d7f-2"]
+    );
+
+    const slides = byText(result, "Will the slides be shared after the talk?");
+    assert.equal(slides.author, "Dana Lee");
+    assert.equal(slides.likes, 12);
+    assert.equal(slides.sentAt, "2025-12-09T19:07:00.000Z");
+    assert.equal(slides.status.pinned, true);
+    assert.deepEqual(slides.replies, [
+      {
+        author: "Host",
+        message: "Yes, they go out by email tomorrow.",
+        timestamp: "09 December 2025 19:12",
+        isModerator: true,
+        sentAt: "2025-12-09T19:12:00.000Z",
+      },
+    ]);
+
+    const pricing = byText(result, "How does the pricing work for teams?");
+    assert.equal(pricing.likes, 1204);
+    assert.equal(pricing.sentAt, "2025-12-08T18:40:00.000Z");
+    assert.equal(pricing.status.answered, true);
+
+    const [recording] = result.messages.filter(
+      (msg) => msg.message === "Is there a recording?"
+    );
+    assert.equal(recording.author, null);
+    assert.equal(recording.sentAt, "2025-12-09T19:02:45.000Z");
+  });
+
+  it("parses the Slido recording", async () => {
+    const result = await parseRecording(
+      "https://app.sli.do/event/pQx7rT2m/live/questions"
+    );
+    assert.equal(result.platform, "slido");
+    assert.equal(result.totalMessages, 3);
+    assert.equal(result.totalLikes, 32);
+    assert.deepEqual(
+      result.messages.map((msg) => msg.id),
+      ["6b454edd90", "f55d07ce81", "4528e06cfe"]
+    );
+
+    const browsers = byText(result, "Which browsers are supported?");
+    assert.equal(browsers.author, "Priya");
+    assert.equal(browsers.sentAt, "2025-12-09T17:07:45.000Z");
+    assert.deepEqual(browsers.status, {
+      pinned: true,
+      starred: false,
+      answered: false,
+      hidden: false,
+    });
+    assert.equal(browsers.replies.length, 1);
+    assert.equal(browsers.replies[0].isModerator, true);
+    assert.equal(browsers.replies[0].message, "All evergreen browsers.");
+
+    const samples = byText(result, "Can we get the code samples?");
+    assert.equal(samples.author, null);
+    assert.equal(samples.status.answered, true);
+  });
+
+  it("parses the Mentimeter recording", async () => {
+    const result = await parseRecording("https://www.menti.com/al4k2b9xv7ce");
+    assert.equal(result.platform, "mentimeter");
+    assert.equal(result.totalMessages, 3);
+    assert.equal(result.totalLikes, 24);
+    assert.deepEqual(
+      result.messages.map((msg) => msg.id),
+      ["e3d482bc75", "5723435bbb", "94a35b5a60"]
+    );
+
+    const roadmap = byText(result, "What's the roadmap for offline mode?");
+    assert.equal(roadmap.author, "Lena");
+    assert.equal(roadmap.sentAt, "2025-12-09T18:55:00.000Z");
+    assert.equal(roadmap.status.pinned, true);
+    assert.deepEqual(
+      roadmap.replies.map(({ message, isModerator }) => ({ message, isModerator })),
+      [{ message: "Planned for the spring release.", isModerator: true }]
+    );
+
+    // The upvote count is only in the button's label here
+    assert.equal(byText(result, "Will there be a Q&A recording?").likes, 5);
+    assert.equal(byText(result, "Off-topic: where is the coffee?").status.hidden, true);
+  });
+
+  it("reads the load stats of the recording", async () => {
+    const { load, recordedAt } = await replay("https://www.menti.com/al4k2b9xv7ce");
+    assert.equal(recordedAt, "2025-12-09T19:07:45.000Z");
+    assert.equal(load.captured, 3);
+    assert.equal(load.complete, true);
+  });
+
+  it("fails for a session that was never recorded", async () => {
+    await assert.rejects(replay("https://app.vevox.com/#/m/999/discussion"), {
+      name: "FixtureNotFoundError",
+    });
+  });
+});
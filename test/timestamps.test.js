@@ -0,0 +1,241 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseTimestamp,
+  hasCalendarDate,
+  isValidTimeZone,
+} from "../lib/timestamps.js";
+
+const london = { timeZone: "Europe/London", locale: "en-GB" };
+const at = (iso) => ({ ...london, referenceDate: new Date(iso) });
+
+describe("parseTimestamp", () => {
+  it("returns null for empty and unreadable values", () => {
+    assert.equal(parseTimestamp("", london), null);
+    assert.equal(parseTimestamp(null, london), null);
+    assert.equal(parseTimestamp("sometime", london), null);
+    assert.equal(parseTimestamp("25:99", london), null);
+  });
+
+  it("keeps machine-readable timestamps", () => {
+    assert.equal(
+      parseTimestamp("2025-12-09T19:07:00+01:00", london),
+      "2025-12-09T18:07:00.000Z"
+    );
+  });
+
+  describe("dates with month names", () => {
+    it("reads day month year and time in the given time zone", () => {
+      assert.equal(
+        parseTimestamp("09 December 2025 19:07", london),
+        "2025-12-09T19:07:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("09 December 2025 19:07", {
+          timeZone: "Europe/Berlin",
+          locale: "en-GB",
+        }),
+        "2025-12-09T18:07:00.000Z"
+      );
+    });
+
+    it("reads month first dates with a 12-hour clock", () => {
+      assert.equal(
+        parseTimestamp("December 9, 2025 7:07 pm", {
+          timeZone: "America/New_York",
+          locale: "en-US",
+        }),
+        "2025-12-10T00:07:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("Dec 9, 2025 12:05 am", {
+          timeZone: "UTC",
+          locale: "en-US",
+        }),
+        "2025-12-09T00:05:00.000Z"
+      );
+    });
+
+    it("reads month names of the locale", () => {
+      assert.equal(
+        parseTimestamp("9. Dezember 2025 19:07", {
+          timeZone: "Europe/Berlin",
+          locale: "de-DE",
+        }),
+        "2025-12-09T18:07:00.000Z"
+      );
+    });
+
+    it("takes the year of the reference date when none is shown", () => {
+      assert.equal(
+        parseTimestamp("9 Dec 19:07", at("2024-12-10T12:00:00Z")),
+        "2024-12-09T19:07:00.000Z"
+      );
+    });
+  });
+
+  describe("numeric dates", () => {
+    it("reads day first or month first by locale", () => {
+      assert.equal(
+        parseTimestamp("09/12/2025 19:07", london),
+        "2025-12-09T19:07:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("12/09/2025 19:07", { timeZone: "UTC", locale: "en-US" }),
+        "2025-12-09T19:07:00.000Z"
+      );
+    });
+
+    it("reads ISO dates and two-digit years", () => {
+      assert.equal(
+        parseTimestamp("2025-12-09 19:07", london),
+        "2025-12-09T19:07:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("09.12.25 19.07", london),
+        "2025-12-09T19:07:00.000Z"
+      );
+    });
+  });
+
+  describe("daylight saving time", () => {
+    it("uses summer time in summer", () => {
+      assert.equal(
+        parseTimestamp("15 July 2025 10:00", london),
+        "2025-07-15T09:00:00.000Z"
+      );
+    });
+
+    it("uses the offset of each side of the change", () => {
+      // Clocks went forward at 01:00 UTC on 30 March 2025
+      assert.equal(
+        parseTimestamp("30 March 2025 00:30", london),
+        "2025-03-30T00:30:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("30 March 2025 03:30", london),
+        "2025-03-30T02:30:00.000Z"
+      );
+      // and back at 01:00 UTC on 26 October 2025
+      assert.equal(
+        parseTimestamp("26 October 2025 00:30", london),
+        "2025-10-25T23:30:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("26 October 2025 02:30", london),
+        "2025-10-26T02:30:00.000Z"
+      );
+    });
+  });
+
+  describe("relative times", () => {
+    const reference = "2025-12-09T12:00:00.000Z";
+
+    it("counts back from the reference date", () => {
+      assert.equal(parseTimestamp("just now", at(reference)), reference);
+      assert.equal(
+        parseTimestamp("5 min ago", at(reference)),
+        "2025-12-09T11:55:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("2 hours ago", at(reference)),
+        "2025-12-09T10:00:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("30s ago", at(reference)),
+        "2025-12-09T11:59:30.000Z"
+      );
+      assert.equal(
+        parseTimestamp("1 day ago", at(reference)),
+        "2025-12-08T12:00:00.000Z"
+      );
+    });
+
+    it("reads today and yesterday in the time zone", () => {
+      assert.equal(
+        parseTimestamp("Today 10:15", at(reference)),
+        "2025-12-09T10:15:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("Yesterday 10:15", at(reference)),
+        "2025-12-08T10:15:00.000Z"
+      );
+      // Already the 10th in Tokyo
+      assert.equal(
+        parseTimestamp("Yesterday 10:15", {
+          timeZone: "Asia/Tokyo",
+          referenceDate: new Date("2025-12-09T16:00:00Z"),
+        }),
+        "2025-12-09T01:15:00.000Z"
+      );
+    });
+
+    it("gives the same result for the same reference date", () => {
+      const first = parseTimestamp("5 min ago", at(reference));
+      const second = parseTimestamp("5 min ago", at(reference));
+      assert.equal(first, second);
+    });
+  });
+
+  describe("time-only values", () => {
+    it("takes today when the time has passed", () => {
+      assert.equal(
+        parseTimestamp("19:07", at("2025-12-09T20:00:00Z")),
+        "2025-12-09T19:07:00.000Z"
+      );
+    });
+
+    it("takes yesterday when the time is still ahead", () => {
+      assert.equal(
+        parseTimestamp("19:07", at("2025-12-09T18:00:00Z")),
+        "2025-12-08T19:07:00.000Z"
+      );
+    });
+
+    it("allows a minute of clock skew", () => {
+      assert.equal(
+        parseTimestamp("19:07", at("2025-12-09T19:06:30Z")),
+        "2025-12-09T19:07:00.000Z"
+      );
+    });
+
+    it("uses the offset of that day around a DST change", () => {
+      // Before the change on 30 March 2025: still GMT
+      assert.equal(
+        parseTimestamp("00:30", at("2025-03-30T12:00:00Z")),
+        "2025-03-30T00:30:00.000Z"
+      );
+      assert.equal(
+        parseTimestamp("12:30", at("2025-03-30T12:00:00Z")),
+        "2025-03-30T11:30:00.000Z"
+      );
+    });
+  });
+});
+
+describe("hasCalendarDate", () => {
+  it("accepts sent times that name their date", () => {
+    assert.equal(hasCalendarDate("09 December 2025 19:07"), true);
+    assert.equal(hasCalendarDate("Dec 9, 7:07 pm"), true);
+    assert.equal(hasCalendarDate("09/12/2025 19:07"), true);
+    assert.equal(hasCalendarDate("2025-12-09T19:07:00Z"), true);
+    assert.equal(hasCalendarDate("9. Dezember 2025", { locale: "de-DE" }), true);
+  });
+
+  it("rejects relative and time-only sent times", () => {
+    assert.equal(hasCalendarDate("5 min ago"), false);
+    assert.equal(hasCalendarDate("just now"), false);
+    assert.equal(hasCalendarDate("Today 10:15"), false);
+    assert.equal(hasCalendarDate("Yesterday 10:15"), false);
+    assert.equal(hasCalendarDate("19:07"), false);
+    assert.equal(hasCalendarDate(""), false);
+  });
+});
+
+describe("isValidTimeZone", () => {
+  it("accepts IANA time zones and rejects anything else", () => {
+    assert.equal(isValidTimeZone("Europe/London"), true);
+    assert.equal(isValidTimeZone("UTC"), true);
+    assert.equal(isValidTimeZone("Mars/Olympus_Mons"), false);
+  });
+});
@@ -0,0 +1,230 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import {
+  isBlockedAddress,
+  createUrlPolicy,
+  guardPage,
+} from "../lib/urlPolicy.js";
+import { UrlNotAllowedError } from "../lib/errors.js";
+
+// IP literals keep these tests off the network: only "localhost" is resolved,
+// from the hosts file
+const PUBLIC_IP = "93.184.216.34";
+
+const rejectsWith = (promise, code) =>
+  assert.rejects(promise, (error) => {
+    assert.ok(error instanceof UrlNotAllowedError);
+    assert.equal(error.code, code);
+    return true;
+  });
+
+describe("isBlockedAddress", () => {
+  it("blocks loopback, private, link-local and reserved IPv4", () => {
+    [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.16.0.1",
+      "172.31.255.255",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "224.0.0.1",
+      "255.255.255.255",
+    ].forEach((address) => assert.equal(isBlockedAddress(address), true, address));
+  });
+
+  it("blocks loopback, unique local, link-local and multicast IPv6", () => {
+    ["::1", "::", "fc00::1", "fd12:3456::1", "fe80::1", "ff02::1"].forEach(
+      (address) => assert.equal(isBlockedAddress(address), true, address)
+    );
+  });
+
+  it("blocks private IPv4 written as IPv6", () => {
+    [
+      "::ffff:127.0.0.1",
+      "::ffff:7f00:1",
+      "::ffff:10.0.0.1",
+      "::ffff:169.254.169.254",
+      "::127.0.0.1",
+    ].forEach((address) => assert.equal(isBlockedAddress(address), true, address));
+  });
+
+  it("allows public addresses", () => {
+    [PUBLIC_IP, "8.8.8.8", "172.32.0.1", "::ffff:8.8.8.8", "2001:4860:4860::8888"].forEach(
+      (address) => assert.equal(isBlockedAddress(address), false, address)
+    );
+  });
+});
+
+describe("createUrlPolicy", () => {
+  describe("checkUrl", () => {
+    const policy = createUrlPolicy({ allowedHosts: [PUBLIC_IP, "localhost"] });
+
+    it("accepts an allowed public host", async () => {
+      const url = await policy.checkUrl(`https://${PUBLIC_IP}/event`);
+      assert.equal(url.hostname, PUBLIC_IP);
+    });
+
+    it("refuses invalid URLs and other protocols", async () => {
+      await rejectsWith(policy.checkUrl("not a url"), "INVALID_URL");
+      await rejectsWith(policy.checkUrl(`ftp://${PUBLIC_IP}/`), "PROTOCOL_NOT_ALLOWED");
+      await rejectsWith(policy.checkUrl(`file:///etc/passwd`), "PROTOCOL_NOT_ALLOWED");
+    });
+
+    it("refuses embedded credentials", async () => {
+      await rejectsWith(policy.checkUrl(`https://user:pw@${PUBLIC_IP}/`), "INVALID_URL");
+    });
+
+    it("refuses hosts off the allowlist", async () => {
+      await rejectsWith(policy.checkUrl("https://8.8.8.8/"), "HOST_NOT_ALLOWED");
+    });
+
+    it("refuses allowed hosts that resolve to a local address", async () => {
+      await rejectsWith(policy.checkUrl("http://localhost:3000/"), "PRIVATE_ADDRESS");
+    });
+  });
+
+  describe("with every host allowed", () => {
+    const policy = createUrlPolicy({ allowedHosts: ["*"] });
+
+    it("still refuses private addresses in any notation", async () => {
+      for (const url of [
+        "http://127.0.0.1/",
+        "http://127.1/",
+        "http://2130706433/",
+        "http://0x7f000001/",
+        "http://[::1]/",
+        "http://[::ffff:127.0.0.1]/",
+        "http://[::ffff:a9fe:a9fe]/latest/meta-data",
+        "http://169.254.169.254/latest/meta-data",
+      ]) {
+        await rejectsWith(policy.checkUrl(url), "PRIVATE_ADDRESS");
+      }
+    });
+
+    it("accepts public hosts", async () => {
+      await policy.checkUrl("https://8.8.8.8/");
+    });
+  });
+
+  describe("checkRequestUrl", () => {
+    const policy = createUrlPolicy({ allowedHosts: [PUBLIC_IP] });
+
+    it("allows requests to other public hosts", async () => {
+      await policy.checkRequestUrl("https://8.8.8.8/script.js");
+    });
+
+    it("refuses requests to private addresses", async () => {
+      await rejectsWith(policy.checkRequestUrl("http://10.0.0.5/admin"), "PRIVATE_ADDRESS");
+    });
+  });
+
+  it("matches subdomains of allowed hosts only", () => {
+    const policy = createUrlPolicy({ allowedHosts: ["vevox.app"] });
+    assert.equal(policy.isAllowedHost("https://vevox.app/#/m/1"), true);
+    assert.equal(policy.isAllowedHost("https://app.vevox.app/"), true);
+    assert.equal(policy.isAllowedHost("https://evilvevox.app/"), false);
+    assert.equal(policy.isAllowedHost("https://vevox.app.evil.com/"), false);
+  });
+});
+
+describe("guardPage", () => {
+  // Just enough of a Puppeteer page and its requests
+  const createPage = () => {
+    const page = new EventEmitter();
+    page.mainFrame = () => "main";
+    page.setRequestInterception = async () => {};
+    return page;
+  };
+
+  const createRequest = (url, { navigation = false, frame = "main" } = {}) => {
+    const request = {
+      outcome: null,
+      url: () => url,
+      isNavigationRequest: () => navigation,
+      frame: () => frame,
+      isInterceptResolutionHandled: () => false,
+      continue: async () => {
+        request.outcome = "continued";
+      },
+      abort: async () => {
+        request.outcome = "aborted";
+      },
+    };
+    return request;
+  };
+
+  // The request handler is async; wait for it to settle
+  const send = async (page, request) => {
+    page.emit("request", request);
+    while (request.outcome === null) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    return request.outcome;
+  };
+
+  const policy = createUrlPolicy({ allowedHosts: [PUBLIC_IP] });
+
+  it("lets the session page and public resources load", async () => {
+    const page = createPage();
+    const guard = await guardPage(page, policy);
+    assert.equal(
+      await send(page, createRequest(`https://${PUBLIC_IP}/`, { navigation: true })),
+      "continued"
+    );
+    assert.equal(await send(page, createRequest("https://8.8.8.8/app.js")), "continued");
+    assert.equal(await send(page, createRequest("data:image/png;base64,AA==")), "continued");
+    assert.equal(guard.getBlockedNavigation(), null);
+  });
+
+  // With any host allowed, only the address check stands between a redirect
+  // and the local network
+  const openPolicy = createUrlPolicy({ allowedHosts: ["*"] });
+
+  it("aborts a redirect hop to a private address and reports it", async () => {
+    const page = createPage();
+    const guard = await guardPage(page, openPolicy);
+    // Each hop of a redirect chain is intercepted as its own navigation request
+    await send(page, createRequest(`https://${PUBLIC_IP}/`, { navigation: true }));
+    const hop = createRequest("http://169.254.169.254/latest/meta-data", {
+      navigation: true,
+    });
+    assert.equal(await send(page, hop), "aborted");
+    assert.equal(guard.getBlockedNavigation()?.code, "PRIVATE_ADDRESS");
+  });
+
+  it("aborts a redirect to an IPv4-mapped loopback address", async () => {
+    const page = createPage();
+    const guard = await guardPage(page, openPolicy);
+    const hop = createRequest("http://[::ffff:127.0.0.1]:3000/", { navigation: true });
+    assert.equal(await send(page, hop), "aborted");
+    assert.equal(guard.getBlockedNavigation()?.code, "PRIVATE_ADDRESS");
+  });
+
+  it("aborts top-level navigation off the allowed hosts", async () => {
+    const page = createPage();
+    const guard = await guardPage(page, policy);
+    const hop = createRequest("https://8.8.8.8/phish", { navigation: true });
+    assert.equal(await send(page, hop), "aborted");
+    assert.equal(guard.getBlockedNavigation()?.code, "HOST_NOT_ALLOWED");
+  });
+
+  it("lets frames navigate to public hosts but not private ones", async () => {
+    const page = createPage();
+    const guard = await guardPage(page, policy);
+    const publicFrame = createRequest("https://8.8.8.8/embed", {
+      navigation: true,
+      frame: "child",
+    });
+    const privateFrame = createRequest("http://192.168.0.1/", {
+      navigation: true,
+      frame: "child",
+    });
+    assert.equal(await send(page, publicFrame), "continued");
+    assert.equal(await send(page, privateFrame), "aborted");
+    // Only the main frame's navigation explains a failed load
+    assert.equal(guard.getBlockedNavigation(), null);
+  });
+});